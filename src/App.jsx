@@ -21,6 +21,7 @@ import { auth, db, appId } from './firebaseConfig';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import FieldPortalDashboard from './FieldPortalDashboard';
+import { pickupSimulatedWeight } from './pickupWeights';
 
 // --- ARCHER BRAND COLORS ---
 const COLORS = {
@@ -39,30 +40,113 @@ const COLORS = {
 // --- HELPER: MATH & PHYSICS ---
 const degToRad = (deg) => deg * (Math.PI / 180);
 
-const interpolate = (x, xArray, yArray) => {
-  if (!xArray || xArray.length === 0) return 0;
-  for (let i = 0; i < xArray.length - 1; i++) {
-    if (x >= xArray[i] && x <= xArray[i + 1]) {
-      const ratio = (x - xArray[i]) / (xArray[i + 1] - xArray[i]);
-      return yArray[i] + ratio * (yArray[i + 1] - yArray[i]);
+const radToDeg = (rad) => rad * (180 / Math.PI);
+const normalizeAzimuth = (deg) => ((deg % 360) + 360) % 360;
+
+// Smallest signed azimuth change from a1 to a2, in degrees (-180..180)
+const azimuthDelta = (a1, a2) => {
+  const d = normalizeAzimuth(a2 - a1);
+  return d > 180 ? d - 360 : d;
+};
+
+// Rates are reported per 30 m (metric convention) and DLS also per 100 ft
+const RATE_INTERVAL_M = 30;
+const RATE_INTERVAL_FT_IN_M = 100 * 0.3048;
+
+// Tie-in station the trajectory starts from. Defaults to a vertical well at surface (RKB).
+const DEFAULT_TIE_IN = { md: 0, tvd: 0, north: 0, east: 0, inc: 0, azi: 0 };
+
+// Survey calculation methods. Each step returns the { dN, dE, dTVD } displacement between two stations
+// (angles in radians, dAzi is the wrapped azimuth change). Minimum curvature is the default; the others
+// are kept so legacy surveys match the operator's numbers.
+const SURVEY_METHODS = {
+  minimumCurvature: {
+    label: 'Minimum Curvature',
+    step: (dm, I1, I2, A1, A2, dl) => {
+      const RF = dl > 0.0001 ? (2 / dl) * Math.tan(dl / 2) : 1;
+      return {
+        dN: (dm / 2) * (Math.sin(I1) * Math.cos(A1) + Math.sin(I2) * Math.cos(A2)) * RF,
+        dE: (dm / 2) * (Math.sin(I1) * Math.sin(A1) + Math.sin(I2) * Math.sin(A2)) * RF,
+        dTVD: (dm / 2) * (Math.cos(I1) + Math.cos(I2)) * RF
+      };
+    }
+  },
+  balancedTangential: {
+    label: 'Balanced Tangential',
+    step: (dm, I1, I2, A1, A2) => ({
+      dN: (dm / 2) * (Math.sin(I1) * Math.cos(A1) + Math.sin(I2) * Math.cos(A2)),
+      dE: (dm / 2) * (Math.sin(I1) * Math.sin(A1) + Math.sin(I2) * Math.sin(A2)),
+      dTVD: (dm / 2) * (Math.cos(I1) + Math.cos(I2))
+    })
+  },
+  radiusOfCurvature: {
+    label: 'Radius of Curvature',
+    step: (dm, I1, I2, A1, A2, dl, dAzi) => {
+      const dInc = I2 - I1;
+      // Straight-line limits when inclination or azimuth does not change over the course length
+      const dH = Math.abs(dInc) > 1e-6 ? dm * (Math.cos(I1) - Math.cos(I2)) / dInc : dm * Math.sin(I1);
+      const dTVD = Math.abs(dInc) > 1e-6 ? dm * (Math.sin(I2) - Math.sin(I1)) / dInc : dm * Math.cos(I1);
+      if (Math.abs(dAzi) < 1e-6) return { dN: dH * Math.cos(A1), dE: dH * Math.sin(A1), dTVD };
+      return {
+        dN: dH * (Math.sin(A1 + dAzi) - Math.sin(A1)) / dAzi,
+        dE: dH * (Math.cos(A1) - Math.cos(A1 + dAzi)) / dAzi,
+        dTVD
+      };
     }
+  },
+  tangential: {
+    label: 'Tangential',
+    step: (dm, I1, I2, A1, A2) => ({
+      dN: dm * Math.sin(I2) * Math.cos(A2),
+      dE: dm * Math.sin(I2) * Math.sin(A2),
+      dTVD: dm * Math.cos(I2)
+    })
   }
-  if (x < xArray[0]) return yArray[0];
-  if (x > xArray[xArray.length - 1]) return yArray[yArray.length - 1];
-  return 0;
+};
+const DEFAULT_SURVEY_METHOD = 'minimumCurvature';
+
+// Trajectory options that are stored on the well (calculation method, VS azimuth, tie-in, depth datum and surface location)
+const getTrajectoryOptions = (well) => {
+  const num = (val) => { const n = parseFloat(val); return isNaN(n) ? 0 : n; };
+  const vsAzimuth = parseFloat(well?.vsAzimuth);
+  return {
+    method: SURVEY_METHODS[well?.surveyMethod] ? well.surveyMethod : DEFAULT_SURVEY_METHOD,
+    vsAzimuth: isNaN(vsAzimuth) ? null : vsAzimuth,
+    tieIn: Object.fromEntries(Object.keys(DEFAULT_TIE_IN).map(key => [key, num(well?.tieIn?.[key])])),
+    rkb: num(well?.datum?.rkb),
+    waterDepth: num(well?.datum?.waterDepth),
+    surfaceNorthing: num(well?.surface?.northing),
+    surfaceEasting: num(well?.surface?.easting)
+  };
 };
 
-const calculateTrajectory = (surveyPoints) => {
+// TVD is measured from RKB; N/E are local offsets from the wellhead. tvdss/northing/easting use the well datum.
+// options.vsAzimuth: vertical section azimuth in degrees. When not set, the closure direction at TD is used.
+// options.tieIn: station the calculation starts from. Stations above the tie-in MD are ignored, and a
+// station exactly at the tie-in MD defines the tie-in inclination and azimuth.
+// options.method: key in SURVEY_METHODS (minimum curvature by default). DLS, build and turn do not depend on it.
+const calculateTrajectory = (surveyPoints, options = {}) => {
   if (!surveyPoints || surveyPoints.length === 0) return [];
 
-  let trajectory = [];
-  let N = 0, E = 0, TVD = 0;
+  const tieIn = { ...DEFAULT_TIE_IN, ...options.tieIn };
+  const methodKey = SURVEY_METHODS[options.method] ? options.method : DEFAULT_SURVEY_METHOD;
+  const method = SURVEY_METHODS[methodKey];
+  const stationAtTieIn = surveyPoints.find(p => p.md === tieIn.md);
+  let prev = stationAtTieIn || tieIn;
 
-  // Start point (Surface)
-  trajectory.push({ x: 0, y: 0, z: 0, md: 0, tvd: 0 });
+  let trajectory = [];
+  let N = tieIn.north, E = tieIn.east, TVD = tieIn.tvd;
+
+  // Start point (Tie-in, surface by default)
+  trajectory.push({
+    x: E, y: -TVD, z: -N, md: tieIn.md, tvd: TVD, north: N, east: E,
+    inc: prev.inc, azi: prev.azi,
+    dls: 0, dls100ft: 0, build: 0, turn: 0, radius: 0,
+    method: methodKey, isTieIn: true
+  });
 
-  for (let i = 1; i < surveyPoints.length; i++) {
-    const p1 = surveyPoints[i - 1];
+  for (let i = 0; i < surveyPoints.length; i++) {
+    const p1 = prev;
     const p2 = surveyPoints[i];
 
     if (p2.md <= p1.md) continue;
@@ -73,27 +157,430 @@ const calculateTrajectory = (surveyPoints) => {
     const A1 = degToRad(p1.azi);
     const A2 = degToRad(p2.azi);
 
-    // Minimum Curvature Method
+    // Dogleg angle between the stations
     const dl = Math.acos(Math.max(-1, Math.min(1, Math.cos(I2 - I1) - Math.sin(I1) * Math.sin(I2) * (1 - Math.cos(A2 - A1)))));
 
-    let RF = 1;
-    if (dl > 0.0001) {
-      RF = (2 / dl) * Math.tan(dl / 2);
-    }
-
-    const dN = (dm / 2) * (Math.sin(I1) * Math.cos(A1) + Math.sin(I2) * Math.cos(A2)) * RF;
-    const dE = (dm / 2) * (Math.sin(I1) * Math.sin(A1) + Math.sin(I2) * Math.sin(A2)) * RF;
-    const dTVD = (dm / 2) * (Math.cos(I1) + Math.cos(I2)) * RF;
+    const { dN, dE, dTVD } = method.step(dm, I1, I2, A1, A2, dl, degToRad(azimuthDelta(p1.azi, p2.azi)));
 
     N += dN;
     E += dE;
     TVD += dTVD;
 
-    trajectory.push({ x: E, y: -TVD, z: -N, md: p2.md, tvd: TVD });
+    trajectory.push({
+      x: E, y: -TVD, z: -N, md: p2.md, tvd: TVD, north: N, east: E,
+      inc: p2.inc, azi: p2.azi,
+      dls: radToDeg(dl) / dm * RATE_INTERVAL_M,
+      dls100ft: radToDeg(dl) / dm * RATE_INTERVAL_FT_IN_M,
+      build: (p2.inc - p1.inc) / dm * RATE_INTERVAL_M,
+      turn: azimuthDelta(p1.azi, p2.azi) / dm * RATE_INTERVAL_M,
+      radius: dl > 0.0001 ? dm / dl : 0, // Radius of curvature (m), 0 for straight segments
+      method: methodKey,
+      ...(p2.source ? { source: p2.source } : {})
+    });
+    prev = p2;
   }
+
+  // Closure and vertical section (needs the TD position when no VS azimuth is given)
+  const last = trajectory[trajectory.length - 1];
+  const vsAzimuth = options.vsAzimuth ?? normalizeAzimuth(radToDeg(Math.atan2(last.east, last.north)));
+  const vsRad = degToRad(vsAzimuth);
+  trajectory.forEach(p => {
+    p.closureDist = Math.sqrt(p.north * p.north + p.east * p.east);
+    p.closureAzi = p.closureDist > 0 ? normalizeAzimuth(radToDeg(Math.atan2(p.east, p.north))) : 0;
+    p.vs = p.north * Math.cos(vsRad) + p.east * Math.sin(vsRad);
+    p.vsAzimuth = vsAzimuth;
+    p.tvdss = p.tvd - (options.rkb || 0);
+    p.northing = (options.surfaceNorthing || 0) + p.north;
+    p.easting = (options.surfaceEasting || 0) + p.east;
+  });
+
   return trajectory;
 };
 
+// --- HELPER: TRAJECTORY QUERIES ---
+const directionVector = (inc, azi) => {
+  const I = degToRad(inc), A = degToRad(azi);
+  return [Math.sin(I) * Math.cos(A), Math.sin(I) * Math.sin(A), Math.cos(I)]; // [N, E, TVD]
+};
+
+// Position at any MD on a calculated trajectory, following the minimum curvature arc between the
+// two surrounding stations. Segments calculated with another method (p.method) are interpolated linearly,
+// so the result meets the stations exactly. MDs outside the trajectory are clamped to the first/last station.
+const positionAtMD = (trajectory, md) => {
+  if (!trajectory || trajectory.length === 0) return null;
+  const pick = (p) => ({ md, tvd: p.tvd, north: p.north, east: p.east, inc: p.inc, azi: p.azi });
+  if (md <= trajectory[0].md) return pick(trajectory[0]);
+  if (md >= trajectory[trajectory.length - 1].md) return pick(trajectory[trajectory.length - 1]);
+
+  // Binary search for the segment containing md
+  let lo = 0, hi = trajectory.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (trajectory[mid].md <= md) lo = mid; else hi = mid;
+  }
+  const p1 = trajectory[lo], p2 = trajectory[hi];
+  const f = (md - p1.md) / (p2.md - p1.md);
+  if (p2.method && p2.method !== DEFAULT_SURVEY_METHOD) {
+    const lerp = (key) => p1[key] + f * (p2[key] - p1[key]);
+    return { md, north: lerp('north'), east: lerp('east'), tvd: lerp('tvd'), inc: lerp('inc'), azi: normalizeAzimuth(p1.azi + f * azimuthDelta(p1.azi, p2.azi)) };
+  }
+  const t1 = directionVector(p1.inc, p1.azi);
+  const t2 = directionVector(p2.inc, p2.azi);
+  const s = md - p1.md;
+
+  // Direction at md: spherical interpolation between the station directions
+  const dl = Math.acos(Math.max(-1, Math.min(1, t1[0] * t2[0] + t1[1] * t2[1] + t1[2] * t2[2])));
+  let t;
+  if (dl < 0.0001) {
+    t = t1.map((v, k) => v + f * (t2[k] - v));
+  } else {
+    const w1 = Math.sin((1 - f) * dl) / Math.sin(dl);
+    const w2 = Math.sin(f * dl) / Math.sin(dl);
+    t = t1.map((v, k) => w1 * v + w2 * t2[k]);
+  }
+  const norm = Math.sqrt(t[0] * t[0] + t[1] * t[1] + t[2] * t[2]) || 1;
+  t = t.map(v => v / norm);
+
+  // Minimum curvature step over the partial arc
+  const partialDl = f * dl;
+  const RF = partialDl > 0.0001 ? (2 / partialDl) * Math.tan(partialDl / 2) : 1;
+  const inc = radToDeg(Math.acos(Math.max(-1, Math.min(1, t[2]))));
+  return {
+    md,
+    north: p1.north + (s / 2) * (t1[0] + t[0]) * RF,
+    east: p1.east + (s / 2) * (t1[1] + t[1]) * RF,
+    tvd: p1.tvd + (s / 2) * (t1[2] + t[2]) * RF,
+    inc,
+    azi: inc > 0.01 ? normalizeAzimuth(radToDeg(Math.atan2(t[1], t[0]))) : p1.azi + f * azimuthDelta(p1.azi, p2.azi)
+  };
+};
+
+// Every MD where the trajectory passes a TVD, in MD order. Horizontal and toe-up wells can reach the
+// same TVD several times. Each segment is scanned in short steps and refined by bisection, so crossings
+// inside a curved segment are found as well; a stretch lying exactly at the TVD counts once.
+const mdsAtTVD = (trajectory, tvd) => {
+  if (!trajectory || trajectory.length === 0) return [];
+  const SCAN_STEP = 10; // m
+  const f = (md) => positionAtMD(trajectory, md).tvd - tvd;
+  const grid = [trajectory[0].md];
+  for (let i = 0; i < trajectory.length - 1; i++) {
+    const steps = Math.max(1, Math.ceil((trajectory[i + 1].md - trajectory[i].md) / SCAN_STEP));
+    for (let k = 1; k <= steps; k++) grid.push(trajectory[i].md + (k / steps) * (trajectory[i + 1].md - trajectory[i].md));
+  }
+
+  const crossings = [];
+  let prev = f(grid[0]);
+  if (prev === 0) crossings.push(grid[0]);
+  for (let k = 1; k < grid.length; k++) {
+    const cur = f(grid[k]);
+    if (cur === 0) {
+      if (prev !== 0) crossings.push(grid[k]);
+    } else if (prev * cur < 0) {
+      let a = grid[k - 1], b = grid[k], fa = prev;
+      for (let iter = 0; iter < 40; iter++) {
+        const m = (a + b) / 2;
+        const fm = f(m);
+        if (fa * fm <= 0) b = m; else { a = m; fa = fm; }
+      }
+      crossings.push((a + b) / 2);
+    }
+    prev = cur;
+  }
+  return crossings;
+};
+
+// MD where the trajectory reaches a TVD. `crossing` picks which pass (0 = first) when the TVD is reached
+// more than once. TVDs outside the trajectory clamp to the shallowest/deepest station.
+const mdAtTVD = (trajectory, tvd, crossing = 0) => {
+  if (!trajectory || trajectory.length === 0) return 0;
+  const mds = mdsAtTVD(trajectory, tvd);
+  if (mds.length > 0) return mds[Math.max(0, Math.min(crossing, mds.length - 1))];
+  const deepest = trajectory.reduce((best, p) => (p.tvd > best.tvd ? p : best), trajectory[0]);
+  return tvd <= trajectory[0].tvd ? trajectory[0].md : deepest.md;
+};
+
+// MD intervals where the trajectory lies between two TVDs (top inclusive). In an undulating well a
+// TVD band is split into several intervals along the hole.
+const mdIntervalsInTVDRange = (trajectory, topTVD, baseTVD) => {
+  if (!trajectory || trajectory.length === 0 || baseTVD <= topTVD) return [];
+  const firstMD = trajectory[0].md, lastMD = trajectory[trajectory.length - 1].md;
+  const cuts = [firstMD, ...mdsAtTVD(trajectory, topTVD), ...mdsAtTVD(trajectory, baseTVD), lastMD].sort((a, b) => a - b);
+  const intervals = [];
+  for (let k = 0; k < cuts.length - 1; k++) {
+    const from = cuts[k], to = cuts[k + 1];
+    if (to - from < 0.01) continue;
+    const midTVD = positionAtMD(trajectory, (from + to) / 2).tvd;
+    if (midTVD < topTVD || midTVD > baseTVD) continue;
+    const last = intervals[intervals.length - 1];
+    if (last && from - last.to < 0.01) last.to = to;
+    else intervals.push({ from, to });
+  }
+  return intervals;
+};
+
+// Gravity-ordered fluid columns from the list in StepFluids: each fluid fills its share of maxTVD from the top.
+// With a trajectory, each column also gets the MDs where its top is crossed and the MD intervals it fills.
+const getFluidColumns = (fluidList, maxTVD, trajectory) => {
+  let currentTVD = 0;
+  return (fluidList || []).map(f => {
+    const height = (parseFloat(f.percent || 0) / 100) * maxTVD;
+    const column = { ...f, startTVD: currentTVD, endTVD: currentTVD + height };
+    if (trajectory) {
+      column.topMDs = height > 0 ? mdsAtTVD(trajectory, column.startTVD) : [];
+      column.intervals = mdIntervalsInTVDRange(trajectory, column.startTVD, column.endTVD);
+    }
+    currentTVD += height;
+    return column;
+  });
+};
+
+// Scenarios of the fluids step. Flow and Injection runs also have rates per phase (oil and water in m³/d, gas in
+// Sm³/d), an optional downhole gauge reading ({ md, pressure } in m and bar) and the pipe-friction flag for ComTrac.
+const FLUID_SCENARIOS = { 'Shut-in': 'Stengt inne', 'Flow': 'Produksjon', 'Injection': 'Injeksjon' };
+const FLUID_RATE_PHASES = [{ key: 'oil', type: 'Olje', unit: 'm³/d' }, { key: 'water', type: 'Vann', unit: 'm³/d' }, { key: 'gas', type: 'Gass', unit: 'Sm³/d' }];
+const PIPE_ROUGHNESS = 4.5e-5; // m, commercial steel
+const ATMOSPHERIC_BAR = 1.01325;
+
+// Pressure (bar) from WHP down the well in steps of MD: the hydrostatic column of getFluidColumns and, for Flow and
+// Injection, that column plus Darcy–Weisbach friction of the total rate through the architecture ID at each depth.
+// Homogeneous flow with the density of the column at that depth; gas is taken to its in-situ volume as an ideal gas
+// at the local pressure, and the friction factor is the fully rough one for steel pipe. Production flows up, so
+// friction adds pressure below the wellhead; injection flows down and loses it.
+const fluidPressureProfile = (fluids, { trajectory, maxMD, maxTVD, architecture = [], steps = 50 }) => {
+  const columns = getFluidColumns(fluids?.list, maxTVD);
+  const whp = parseFloat(fluids?.whp) || 0;
+  const direction = fluids?.scenario === 'Flow' ? 1 : fluids?.scenario === 'Injection' ? -1 : 0;
+  const rate = (key) => Math.max(0, parseFloat(fluids?.rates?.[key]) || 0) / 86400; // m³/s
+  const liquidRate = rate('oil') + rate('water');
+  const gasRate = rate('gas');
+  const boreAt = (md) => {
+    const sec = architecture.find(s => md >= (parseFloat(s.start) || 0) && md <= (parseFloat(s.end) || 0));
+    return sec ? sectionBoreCm(sec).id / 100 : 0; // m
+  };
+  const hydrostatic = (tvd) => columns.reduce((p, f) => p + Math.max(0, Math.min(tvd, f.endTVD) - f.startTVD) * f.sg * 0.0981, whp);
+  const sgAt = (tvd) => (columns.find(f => tvd >= f.startTVD && tvd <= f.endTVD) || columns[columns.length - 1])?.sg || 0;
+
+  const points = [];
+  const step = maxMD > 0 ? maxMD / steps : 0;
+  let friction = 0;
+  for (let i = 0; i <= steps && maxMD > 0; i++) {
+    const md = i * step;
+    const tvd = positionAtMD(trajectory, md)?.tvd ?? md;
+    const hydro = hydrostatic(tvd);
+    if (i > 0 && direction !== 0) {
+      const d = boreAt(md);
+      const q = liquidRate + gasRate * ATMOSPHERIC_BAR / (hydro + direction * friction + ATMOSPHERIC_BAR);
+      if (d > 0 && q > 0) {
+        const v = q / (Math.PI * d * d / 4);
+        const f = 0.25 / Math.log10(PIPE_ROUGHNESS / (3.7 * d)) ** 2;
+        friction += f * (step / d) * (sgAt(tvd) * 1000) * v * v / 2 / 1e5;
+      }
+    }
+    points.push({ md: parseFloat(md.toFixed(0)), pressure: parseFloat(hydro.toFixed(1)), ...(direction !== 0 ? { flowing: parseFloat((hydro + direction * friction).toFixed(1)) } : {}) });
+  }
+  return points;
+};
+
+// Linear interpolation of a profile value at an MD
+const profileValueAtMD = (points, md, key) => {
+  const k = points.findIndex(p => p.md >= md);
+  if (k < 0) return points[points.length - 1]?.[key] ?? null;
+  if (k === 0) return points[0][key];
+  const a = points[k - 1], b = points[k];
+  return a[key] + (b[key] - a[key]) * (md - a.md) / ((b.md - a.md) || 1);
+};
+
+// --- HELPER: WELL SURVEYS ---
+const SURVEY_TYPES = { plan: 'Plan', definitive: 'Definitiv', gyro: 'Gyro', mwd: 'MWD' };
+
+// Named surveys on a well: [{ id, name, type, source, date, stations, boreId }]. Wells saved before multiple surveys
+// were supported only have `survey`, which is returned as a single definitive survey.
+// `well.survey` is always kept as a copy of the main bore's active survey stations.
+const getWellSurveys = (well) => {
+  if (well?.surveys?.length > 0) return well.surveys;
+  return [{ id: 'survey-1', name: 'Survey', type: 'definitive', source: '', date: '', stations: well?.survey || [], touched: [] }];
+};
+
+// Active survey of the main bore
+const getActiveSurvey = (well) => {
+  const surveys = getWellSurveys(well);
+  const mainSurveys = surveys.filter(s => (s.boreId || MAIN_BORE.id) === MAIN_BORE.id);
+  return mainSurveys.find(s => s.id === well?.activeSurveyId) || mainSurveys[0] || surveys[0];
+};
+
+// --- HELPER: BORES (SIDETRACKS) ---
+// A well has a main bore and optional sidetracks in `well.bores`: [{ id, name, parentBoreId, kickoffMD,
+// activeSurveyId, architecture }]. A sidetrack's surveys (boreId = its id) and architecture only cover
+// the hole below the kick-off point; everything above comes from the parent bore.
+const MAIN_BORE = { id: 'main', name: 'Hovedboring', parentBoreId: null, kickoffMD: 0 };
+
+const getWellBores = (well) => [MAIN_BORE, ...(well?.bores || [])];
+
+const getBoreSurveys = (well, boreId) => getWellSurveys(well).filter(s => (s.boreId || MAIN_BORE.id) === (boreId || MAIN_BORE.id));
+
+// Active survey of a bore (null for a sidetrack without surveys)
+const getBoreActiveSurvey = (well, boreId) => {
+  const bore = getWellBores(well).find(b => b.id === boreId);
+  if (!bore || bore.id === MAIN_BORE.id) return getActiveSurvey(well);
+  const surveys = getBoreSurveys(well, bore.id);
+  return surveys.find(s => s.id === bore.activeSurveyId) || surveys[0] || null;
+};
+
+// Combined stations for a bore: the parent's stations above the kick-off point, a station at the KOP with the
+// parent's direction there, then the bore's own stations below. `surveyId` picks one of the bore's own surveys
+// (e.g. run.surveyId); the bore's active survey is used otherwise. Parents always use their active survey.
+const getBoreStations = (well, boreId, surveyId, depth = 0) => {
+  const bore = getWellBores(well).find(b => b.id === boreId) || MAIN_BORE;
+  const own = getBoreSurveys(well, bore.id).find(s => s.id === surveyId) || getBoreActiveSurvey(well, bore.id);
+  const ownStations = own?.stations || [];
+  if (bore.id === MAIN_BORE.id || depth > 10) return ownStations;
+
+  const parentStations = getBoreStations(well, bore.parentBoreId, null, depth + 1);
+  const kop = parseFloat(bore.kickoffMD) || 0;
+  const atKop = positionAtMD(calculateTrajectory(parentStations, getTrajectoryOptions(well)), kop);
+  return [
+    ...parentStations.filter(p => p.md < kop),
+    ...(atKop ? [{ md: kop, inc: atKop.inc, azi: atKop.azi }] : []),
+    ...ownStations.filter(p => p.md > kop)
+  ];
+};
+
+// Combined architecture for a bore: parent sections above the kick-off point (cut at the KOP) and the bore's own sections
+const getBoreArchitecture = (well, boreId, depth = 0) => {
+  const bore = getWellBores(well).find(b => b.id === boreId) || MAIN_BORE;
+  if (bore.id === MAIN_BORE.id || depth > 10) return well?.architecture || [];
+  const kop = parseFloat(bore.kickoffMD) || 0;
+  const inherited = getBoreArchitecture(well, bore.parentBoreId, depth + 1)
+    .filter(sec => sec.start < kop)
+    .map(sec => (sec.end > kop ? { ...sec, end: kop } : sec));
+  return [...inherited, ...(bore.architecture || [])];
+};
+
+// Difference of one trajectory relative to another along MD, sampled every `step` m over the MD range both cover
+const compareTrajectories = (reference, compare, step = 30) => {
+  if (reference.length < 2 || compare.length < 2) return [];
+  const from = Math.max(reference[0].md, compare[0].md);
+  const to = Math.min(reference[reference.length - 1].md, compare[compare.length - 1].md);
+  if (to <= from) return [];
+  const mds = [];
+  for (let md = from; md < to; md += step) mds.push(md);
+  mds.push(to);
+  return mds.map(md => {
+    const a = positionAtMD(reference, md);
+    const b = positionAtMD(compare, md);
+    return { md, dTVD: b.tvd - a.tvd, lateral: Math.sqrt((b.north - a.north) ** 2 + (b.east - a.east) ** 2) };
+  });
+};
+
+// --- HELPER: SURVEY IMPACT ON RUNS ---
+// Trajectory a run is planned on: its bore and survey (active survey when not set)
+const getRunTrajectory = (well, boreId, surveyId) => {
+  const stations = getBoreStations(well, boreId, surveyId);
+  const maxDepth = Math.max(...stations.map(p => p.md), 0);
+  const trajectory = calculateTrajectory(stations, getTrajectoryOptions(well));
+  const maxTVD = trajectory.length > 0 ? Math.max(...trajectory.map(p => p.tvd)) : maxDepth;
+  return { trajectory, maxDepth, maxTVD };
+};
+
+// Runs keep values that were derived from the survey when they were planned: temperature point TVDs (from MD),
+// fluid interfaces (stored as percent of max TVD, so the interface TVD moves when max TVD changes) and the target MD.
+// Compares a run against two versions of the well; changes below the tolerance (TVDs are stored to 0.1 m) are ignored.
+const SURVEY_IMPACT_TOLERANCE = 0.1;
+
+const runSurveyImpact = (oldWell, newWell, run) => {
+  const before = getRunTrajectory(oldWell, run.boreId, run.surveyId);
+  const after = getRunTrajectory(newWell, run.boreId, run.surveyId);
+  const tvdAt = (t, md) => positionAtMD(t.trajectory, md)?.tvd ?? 0;
+
+  const temps = (run.temps || []).map(row => {
+    const md = parseFloat(row.md) || 0;
+    return { md, storedTVD: parseFloat(row.tvd) || 0, newTVD: tvdAt(after, md) };
+  }).filter(row => Math.abs(row.newTVD - row.storedTVD) > SURVEY_IMPACT_TOLERANCE);
+
+  const newColumns = getFluidColumns(run.fluids?.list, after.maxTVD);
+  const fluids = getFluidColumns(run.fluids?.list, before.maxTVD).map((column, i) => ({
+    type: column.type, storedTVD: column.endTVD, newTVD: newColumns[i].endTVD
+  })).filter((column, i, all) => i < all.length - 1 && Math.abs(column.newTVD - column.storedTVD) > SURVEY_IMPACT_TOLERANCE);
+
+  const targetMD = parseFloat(run.general?.targetDepth);
+  const target = isNaN(targetMD) ? null : {
+    md: targetMD, oldTVD: tvdAt(before, targetMD), newTVD: tvdAt(after, targetMD), beyondTD: targetMD > after.maxDepth
+  };
+  const targetChanged = target && (target.beyondTD || Math.abs(target.newTVD - target.oldTVD) > SURVEY_IMPACT_TOLERANCE);
+
+  return {
+    runId: run.id, temps, fluids, target: targetChanged ? target : null,
+    affected: temps.length > 0 || fluids.length > 0 || !!targetChanged
+  };
+};
+
+// Recomputes a run on the new survey: temperature TVDs follow their MD, fluid interfaces keep their TVD (the
+// percentages are rescaled to the new max TVD, the bottom fluid still fills the well). The target MD is left as is.
+const recomputeRunForSurvey = (oldWell, newWell, run) => {
+  const before = getRunTrajectory(oldWell, run.boreId, run.surveyId);
+  const after = getRunTrajectory(newWell, run.boreId, run.surveyId);
+  const temps = (run.temps || []).map(row => ({ ...row, tvd: parseFloat((positionAtMD(after.trajectory, parseFloat(row.md) || 0)?.tvd ?? 0).toFixed(1)) }));
+  const list = run.fluids?.list;
+  if (!list || after.maxTVD <= 0) return { ...run, temps };
+
+  const columns = getFluidColumns(list, before.maxTVD);
+  const lastFilled = columns.map(c => c.endTVD > c.startTVD).lastIndexOf(true);
+  const fillsWell = lastFilled >= 0 && Math.abs(columns[lastFilled].endTVD - before.maxTVD) < 1e-6;
+  const newList = list.map((fluid, i) => {
+    const top = Math.min(columns[i].startTVD, after.maxTVD);
+    const bottom = i === lastFilled && fillsWell ? after.maxTVD : Math.min(columns[i].endTVD, after.maxTVD);
+    return { ...fluid, percent: parseFloat(((bottom - top) / after.maxTVD * 100).toFixed(2)) };
+  });
+  return { ...run, temps, fluids: { ...run.fluids, list: newList } };
+};
+
+// --- HELPER: OFFSET WELLS ---
+// Offset wells are other wells in the workspace, linked by id in `well.offsetWellIds`. Their trajectories are
+// moved into the subject well's frame (N/E from the subject wellhead, TVD from the subject RKB) using surface
+// coordinates and RKB elevations.
+// A coordinate of exactly 0 is a location too; only blank or unreadable fields count as missing
+const hasSurfaceLocation = (well) => ['northing', 'easting'].some(key => {
+  const val = well?.surface?.[key];
+  return val !== undefined && val !== null && String(val).trim() !== '' && !isNaN(parseFloat(val));
+});
+
+const relocateTrajectory = (trajectory, fromOptions, toOptions) => {
+  const dN = (fromOptions.surfaceNorthing || 0) - (toOptions.surfaceNorthing || 0);
+  const dE = (fromOptions.surfaceEasting || 0) - (toOptions.surfaceEasting || 0);
+  const dTVD = (toOptions.rkb || 0) - (fromOptions.rkb || 0);
+  return trajectory.map(p => {
+    const north = p.north + dN, east = p.east + dE, tvd = p.tvd + dTVD;
+    return { ...p, north, east, tvd, x: east, y: -tvd, z: -north };
+  });
+};
+
+// Closest centre-to-centre distance from the reference trajectory to an offset trajectory, sampled every `step` m
+// of reference MD. The offset path is densified along its arcs so the distance is not taken to chords only.
+const closestApproach = (reference, offset, step = 30) => {
+  if (reference.length < 2 || offset.length < 2) return [];
+  const densify = (trajectory, spacing) => {
+    const first = trajectory[0].md, last = trajectory[trajectory.length - 1].md;
+    const mds = [];
+    for (let md = first; md < last; md += spacing) mds.push(md);
+    mds.push(last);
+    return mds.map(md => positionAtMD(trajectory, md));
+  };
+  const path = densify(offset, 10);
+  return densify(reference, step).map(p => {
+    let best = { distance: Infinity, offsetMD: 0 };
+    for (let i = 0; i < path.length - 1; i++) {
+      const a = path[i], b = path[i + 1];
+      const ab = [b.north - a.north, b.east - a.east, b.tvd - a.tvd];
+      const ap = [p.north - a.north, p.east - a.east, p.tvd - a.tvd];
+      const len2 = ab[0] * ab[0] + ab[1] * ab[1] + ab[2] * ab[2];
+      const t = len2 > 0 ? Math.max(0, Math.min(1, (ap[0] * ab[0] + ap[1] * ab[1] + ap[2] * ab[2]) / len2)) : 0;
+      const d = Math.sqrt((ap[0] - t * ab[0]) ** 2 + (ap[1] - t * ab[1]) ** 2 + (ap[2] - t * ab[2]) ** 2);
+      if (d < best.distance) best = { distance: d, offsetMD: a.md + t * (b.md - a.md) };
+    }
+    return { md: p.md, ...best };
+  });
+};
+
 const calculateIDFromODWeight = (od, weight, unitOD, unitWeight, unitID) => {
   if (!od || !weight || od <= 0 || weight <= 0) return null;
   let odInch = unitOD === 'in' ? od : od / 2.54;
@@ -107,202 +594,962 @@ const calculateIDFromODWeight = (od, weight, unitOD, unitWeight, unitID) => {
   return null;
 };
 
+// --- HELPER: PIPE CATALOG ---
+// API 5CT casing/tubing sizes: [type, OD (in), weight (lb/ft), nominal ID (in), drift (in), grades]. The table is
+// stored in inches and lb/ft like the data sheets; entries are converted to the section units when picked.
+// Company entries (Firestore, artifacts/{appId}/public/data/pipeCatalog) are appended with custom: true.
+const PIPE_SIZES = [
+  ['tubing', 2.375, 4.7, 1.995, 1.901, ['J-55', 'L-80', 'N-80', '13Cr-80']],
+  ['tubing', 2.875, 6.5, 2.441, 2.347, ['J-55', 'L-80', 'N-80', '13Cr-80']],
+  ['tubing', 3.5, 9.3, 2.992, 2.867, ['J-55', 'L-80', 'N-80', '13Cr-80']],
+  ['tubing', 3.5, 12.95, 2.75, 2.625, ['L-80', 'N-80', 'P-110']],
+  ['tubing', 4.5, 12.6, 3.958, 3.833, ['J-55', 'L-80', 'N-80', '13Cr-80']],
+  ['tubing', 4.5, 15.2, 3.826, 3.701, ['L-80', 'P-110']],
+  ['tubing', 5.5, 17, 4.892, 4.767, ['L-80', 'N-80', 'P-110', '13Cr-80']],
+  ['tubing', 5.5, 20, 4.778, 4.653, ['L-80', 'P-110']],
+  ['casing', 7, 26, 6.276, 6.151, ['L-80', 'N-80', 'P-110', '13Cr-80']],
+  ['casing', 7, 29, 6.184, 6.059, ['L-80', 'P-110']],
+  ['casing', 7, 32, 6.094, 5.969, ['L-80', 'P-110']],
+  ['casing', 7.625, 29.7, 6.875, 6.75, ['L-80', 'N-80', 'P-110']],
+  ['casing', 7.625, 33.7, 6.765, 6.64, ['L-80', 'P-110']],
+  ['casing', 9.625, 40, 8.835, 8.679, ['L-80', 'N-80']],
+  ['casing', 9.625, 47, 8.681, 8.525, ['L-80', 'P-110']],
+  ['casing', 9.625, 53.5, 8.535, 8.379, ['L-80', 'P-110']],
+  ['casing', 10.75, 55.5, 9.76, 9.604, ['L-80', 'P-110']],
+  ['casing', 13.375, 68, 12.415, 12.259, ['K-55', 'L-80']],
+  ['casing', 13.375, 72, 12.347, 12.191, ['L-80', 'P-110']],
+  ['casing', 20, 133, 18.73, 18.542, ['J-55', 'K-55']]
+];
+const PIPE_CATALOG = PIPE_SIZES.flatMap(([type, od, weight, nominalId, drift, grades]) =>
+  grades.map(grade => ({ key: `api-${od}-${weight}-${grade}`, type, od, weight, grade, nominalId, drift })));
+
+// API drift mandrel allowance below nominal ID (in), used when a section is not in the catalog
+const pipeDriftAllowance = (odInch) => (odInch <= 2.875 ? 0.094 : odInch <= 9.625 ? 0.125 : odInch <= 13.375 ? 0.156 : 0.1875);
+
+// 9.625 -> 9 5/8
+const formatPipeSize = (inch) => {
+  const whole = Math.floor(inch + 1e-6);
+  let num = Math.round((inch - whole) * 16);
+  let den = 16;
+  while (num > 0 && num % 2 === 0) { num /= 2; den /= 2; }
+  return num > 0 ? `${whole} ${num}/${den}` : `${whole}`;
+};
+const pipeLabel = (pipe) => `${formatPipeSize(pipe.od)}" ${pipe.weight}# ${pipe.grade}`;
+
+// Catalog entry with the same OD and weight as the section (grade preferred when several match)
+const findCatalogPipe = (catalog, od, weight, units, grade = '') => {
+  const odInch = units.od === 'in' ? od : od / 2.54;
+  const wLbFt = units.weight === 'lb/ft' ? weight : weight * 0.671969;
+  const matches = catalog.filter(p => Math.abs(p.od - odInch) < 0.01 && Math.abs(p.weight - wLbFt) < 0.05);
+  return matches.find(p => p.grade === grade) || matches[0] || null;
+};
+
+// Section fields for a catalog entry in the step's units
+const sectionFromCatalog = (pipe, units) => {
+  const toLength = (inch) => parseFloat((units.id === 'in' ? inch : inch * 2.54).toFixed(3));
+  return {
+    od: parseFloat((units.od === 'in' ? pipe.od : pipe.od * 2.54).toFixed(3)),
+    weight: parseFloat((units.weight === 'lb/ft' ? pipe.weight : pipe.weight / 0.671969).toFixed(2)),
+    grade: pipe.grade, id: toLength(pipe.nominalId), drift: toLength(pipe.drift), pipeKey: pipe.key
+  };
+};
+
+// Drift estimated from the ID with the API allowance (units.id)
+const estimateDrift = (id, od, units) => {
+  if (!id || id <= 0) return 0;
+  const odInch = units.od === 'in' ? od : od / 2.54;
+  const allowance = pipeDriftAllowance(odInch || (units.id === 'in' ? id : id / 2.54));
+  return parseFloat(Math.max(0, id - (units.id === 'in' ? allowance : allowance * 2.54)).toFixed(3));
+};
+
+// ID and drift in cm for a section (stored, or tagged with the architecture step's display units). Sections saved
+// before drift was recorded fall back to the ID.
+const sectionBoreCm = (sec) => {
+  const toCm = (v) => (sec.units?.id === 'in' ? v * 2.54 : v);
+  const id = toCm(parseFloat(sec.id) || 0);
+  const drift = parseFloat(sec.drift) > 0 ? toCm(parseFloat(sec.drift)) : id;
+  return { id, drift };
+};
+
+// Largest OD in the tool string (cm): tool bodies and uncompressed centralizers
+const bhaMaxOD = (tools) => Math.max(0, ...(tools || []).map(t => Math.max(parseFloat(t.od) || 0, t.isCentralizer ? parseFloat(t.centMaxOD) || 0 : 0)));
+
+// Tightest drift along the architecture against the largest BHA tool OD (cm)
+const architectureClearance = (architecture, tools) => {
+  const restriction = (architecture || []).reduce((min, sec) => {
+    const { drift } = sectionBoreCm(sec);
+    return drift > 0 && (!min || drift < min.drift) ? { section: sec, drift } : min;
+  }, null);
+  const maxToolOD = bhaMaxOD(tools);
+  if (!restriction) return null;
+  return { ...restriction, maxToolOD, clearance: restriction.drift - maxToolOD };
+};
+
+// --- HELPER: POINT RESTRICTIONS ---
+// Nipples, safety valves and mandrels narrower than the surrounding pipe: { type, depth, minId, name }, stored like
+// sections (depth in m, minimum ID in cm) per bore in `well.restrictions` / `bore.restrictions`. While edited in the
+// architecture step they carry the step's display `units`.
+const RESTRICTION_TYPES = { nipple: 'Landing nipple', xn: 'XN-nipple', sssv: 'SSSV', glm: 'Gassløftmandrel', other: 'Annen' };
+
+// Depth in m and minimum ID in cm
+const restrictionMetric = (r) => ({
+  depth: (parseFloat(r.depth) || 0) * (r.units?.depth === 'ft' ? 0.3048 : 1),
+  minId: (parseFloat(r.minId) || 0) * (r.units?.id === 'in' ? 2.54 : 1)
+});
+
+// A sidetrack passes through the parent's restrictions above the kick-off point
+const getBoreRestrictions = (well, boreId, depth = 0) => {
+  const bore = getWellBores(well).find(b => b.id === boreId) || MAIN_BORE;
+  if (bore.id === MAIN_BORE.id || depth > 10) return well?.restrictions || [];
+  const kop = parseFloat(bore.kickoffMD) || 0;
+  const inherited = getBoreRestrictions(well, bore.parentBoreId, depth + 1).filter(r => restrictionMetric(r).depth < kop);
+  return [...inherited, ...(bore.restrictions || [])];
+};
+
+// Restrictions sorted by depth with clearance against the BHA (cm). `blocking` are those above the target depth
+// that the largest tool OD cannot pass.
+const bhaPassability = (restrictions, tools, targetDepth) => {
+  const maxOD = bhaMaxOD(tools);
+  const checks = (restrictions || [])
+    .map(r => {
+      const { depth, minId } = restrictionMetric(r);
+      return { restriction: r, depth, minId, clearance: minId - maxOD, aboveTarget: !(targetDepth > 0) || depth <= targetDepth };
+    })
+    .sort((a, b) => a.depth - b.depth);
+  return { maxOD, checks, blocking: maxOD > 0 ? checks.filter(c => c.aboveTarget && c.minId > 0 && c.clearance <= 0) : [] };
+};
+
+// --- HELPER: ARCHITECTURE VALIDATION ---
+// Checks a bore's sections (and restrictions) before they are saved or exported. Depths are compared in metres
+// whatever units the sections were entered in. Each issue has a severity ('error' blocks save and export), the
+// index of the section it concerns and, where the correction is obvious, a fix returning a corrected section list.
+const DEFAULT_ARCHITECTURE_UNITS = { depth: 'm', id: 'cm', od: 'cm', weight: 'kg/m' };
+const ARCHITECTURE_TOLERANCE = 0.01; // m
+
+const sectionDepthFactor = (sec) => (sec.units?.depth === 'ft' ? 0.3048 : 1);
+const sectionMetric = (sec) => ({
+  start: (parseFloat(sec.start) || 0) * sectionDepthFactor(sec),
+  end: (parseFloat(sec.end) || 0) * sectionDepthFactor(sec),
+  od: (parseFloat(sec.od) || 0) * (sec.units?.od === 'in' ? 2.54 : 1),
+  id: sectionBoreCm(sec).id
+});
+const withSectionDepth = (sec, field, meters) => ({ ...sec, [field]: parseFloat((meters / sectionDepthFactor(sec)).toFixed(2)) });
+const replaceSection = (list, idx, sec) => list.map((s, i) => (i === idx ? sec : s));
+
+const validateArchitecture = (sections, { maxDepth = 0, minDepth = 0, restrictions = [], catalog = PIPE_CATALOG } = {}) => {
+  const tol = ARCHITECTURE_TOLERANCE;
+  const issues = [];
+  const add = (severity, index, message, fix) => issues.push({ severity, index, message, ...(fix ? { fix } : {}) });
+  const m = (sections || []).map(sectionMetric);
+  const depthText = (meters) => `${parseFloat(meters.toFixed(2))} m`;
+  const remove = (idx) => ({ label: 'Fjern seksjonen', apply: list => list.filter((_, i) => i !== idx) });
+  // Nominal ID from the catalog, else estimated from OD and weight
+  const idFix = (idx) => {
+    const sec = sections[idx];
+    const units = sec.units || DEFAULT_ARCHITECTURE_UNITS;
+    const pipe = findCatalogPipe(catalog, sec.od, sec.weight, units, sec.grade);
+    const id = pipe ? null : calculateIDFromODWeight(sec.od, sec.weight, units.od, units.weight, units.id);
+    const changes = pipe ? sectionFromCatalog(pipe, units) : id ? { id, drift: estimateDrift(id, sec.od, units) } : null;
+    return changes ? { label: `Sett ID til ${changes.id} ${units.id}`, apply: list => replaceSection(list, idx, { ...list[idx], ...changes }) } : null;
+  };
+
+  m.forEach((s, i) => {
+    const label = `Seksjon ${i + 1}`;
+    if (s.end <= s.start) add('error', i, `${label}: Til (${depthText(s.end)}) må være større enn Fra (${depthText(s.start)})`, remove(i));
+    if (maxDepth > 0 && s.start >= maxDepth - tol) add('error', i, `${label} starter under surveyens dybde (${depthText(maxDepth)})`, remove(i));
+    else if (maxDepth > 0 && s.end > maxDepth + tol) add('error', i, `${label} går forbi surveyens dybde (${depthText(maxDepth)})`, { label: `Kutt ved ${depthText(maxDepth)}`, apply: list => replaceSection(list, i, withSectionDepth(list[i], 'end', maxDepth)) });
+    if (s.id <= 0) add('error', i, `${label}: ID mangler`, idFix(i));
+    else if (s.od > 0 && s.id >= s.od) add('error', i, `${label}: ID er større enn eller lik OD`, idFix(i));
+    const sec = sections[i];
+    if (parseFloat(sec.drift) > parseFloat(sec.id)) add('warning', i, `${label}: Drift er større enn ID`, { label: 'Beregn drift fra ID', apply: list => replaceSection(list, i, { ...list[i], drift: estimateDrift(list[i].id, list[i].od, list[i].units || DEFAULT_ARCHITECTURE_UNITS) }) });
+  });
+
+  // Continuity, in depth order
+  const order = m.map((_, i) => i).sort((a, b) => m[a].start - m[b].start);
+  if (order.length > 0 && m[order[0]].start > minDepth + tol) {
+    const first = order[0];
+    add('warning', first, `Arkitekturen starter ved ${depthText(m[first].start)}, ikke ved ${depthText(minDepth)}`, { label: `Start ved ${depthText(minDepth)}`, apply: list => replaceSection(list, first, withSectionDepth(list[first], 'start', minDepth)) });
+  }
+  order.slice(1).forEach((cur, k) => {
+    const prev = order[k];
+    const gap = m[cur].start - m[prev].end;
+    if (gap > tol) {
+      add('error', cur, `Gap på ${depthText(gap)} mellom seksjon ${prev + 1} og ${cur + 1} (${depthText(m[prev].end)} – ${depthText(m[cur].start)})`, { label: `Flytt Fra til ${depthText(m[prev].end)}`, apply: list => replaceSection(list, cur, withSectionDepth(list[cur], 'start', m[prev].end)) });
+    } else if (gap < -tol) {
+      const fix = m[prev].end < m[cur].end
+        ? { label: `Flytt Fra til ${depthText(m[prev].end)}`, apply: list => replaceSection(list, cur, withSectionDepth(list[cur], 'start', m[prev].end)) }
+        : { label: `Kutt seksjon ${prev + 1} ved ${depthText(m[cur].start)}`, apply: list => replaceSection(list, prev, withSectionDepth(list[prev], 'end', m[cur].start)) };
+      add('error', cur, `Seksjon ${cur + 1} overlapper seksjon ${prev + 1} med ${depthText(-gap)}`, fix);
+    }
+  });
+  if (order.length > 0 && maxDepth > 0) {
+    const last = order[order.length - 1];
+    if (m[last].end < maxDepth - tol && m[last].end > m[last].start) add('warning', last, `Arkitekturen slutter ved ${depthText(m[last].end)}, brønnen går til ${depthText(maxDepth)}`, { label: `Forleng til ${depthText(maxDepth)}`, apply: list => replaceSection(list, last, withSectionDepth(list[last], 'end', maxDepth)) });
+  }
+
+  (restrictions || []).forEach((r, i) => {
+    const { depth, minId } = restrictionMetric(r);
+    const label = `Restriksjon ${i + 1} (${RESTRICTION_TYPES[r.type] || r.type})`;
+    if (maxDepth > 0 && depth > maxDepth + tol) add('error', null, `${label} ligger under surveyens dybde (${depthText(maxDepth)})`);
+    if (minId <= 0) add('error', null, `${label}: Minste ID mangler`);
+    const around = m.findIndex(s => depth >= s.start && depth <= s.end);
+    if (around >= 0 && minId > m[around].id + 0.001) add('warning', around, `${label} har større ID enn seksjon ${around + 1} rundt den`);
+  });
+  return issues;
+};
+
+// Applies fixes one at a time (indices change as sections are removed) until none are left
+const fixArchitecture = (sections, options) => {
+  let list = sections;
+  for (let i = 0; i < 100; i++) {
+    const issue = validateArchitecture(list, options).find(x => x.fix);
+    if (!issue) break;
+    list = issue.fix.apply(list);
+  }
+  return list;
+};
+
+const architectureStatus = (issues) => {
+  const errors = issues.filter(i => i.severity === 'error').length;
+  const warnings = issues.length - errors;
+  return { errors, warnings, level: errors > 0 ? 'error' : warnings > 0 ? 'warning' : 'ok' };
+};
+
+// --- HELPER: STORED UNITS ---
+// Wells and runs are stored in one unit system, the one the calculations use: depths and lengths in m; IDs, ODs,
+// drift and rod diameter in cm; linear weight in kg/m, tool weight in kg, pressure in bar, temperature in °C, rates
+// in m³/d (gas Sm³/d) and Young's modulus in GPa (DEFAULT_ARCHITECTURE_UNITS are the stored architecture units).
+// Screens that offer other units convert on input and for display only. Wells saved before unitsVersion 1 kept each
+// architecture section and restriction in the units it was entered in (its own `units` object); migrateWellUnits
+// converts those on load.
+const UNITS_VERSION = 1;
+
+// Fields by unit group (the architecture step's unit toggles)
+const SECTION_UNIT_FIELDS = { start: 'depth', end: 'depth', od: 'od', id: 'id', drift: 'id', weight: 'weight' };
+const RESTRICTION_UNIT_FIELDS = { depth: 'depth', minId: 'id' };
+const ARCHITECTURE_DISPLAY_DECIMALS = { depth: 2, od: 3, id: 3, weight: 2 };
+
+const convertArchitectureFields = (item, fields, convert) => {
+  const out = { ...item };
+  delete out.units;
+  Object.entries(fields).forEach(([field, group]) => {
+    if (out[field] !== undefined && out[field] !== null && out[field] !== '') out[field] = convert(parseFloat(out[field]) || 0, group);
+  });
+  return out;
+};
+
+// Section or restriction from the given units (by default the item's own, else stored units) to stored units
+const architectureToStored = (item, fields, units = item.units || DEFAULT_ARCHITECTURE_UNITS) =>
+  convertArchitectureFields(item, fields, (v, group) => convertArchitectureUnit(v, units[group], DEFAULT_ARCHITECTURE_UNITS[group]));
+
+// Stored section or restriction in display units, rounded like the step's inputs and tagged with those units
+const architectureToDisplay = (item, fields, units) => ({
+  ...convertArchitectureFields(item, fields, (v, group) => parseFloat(convertArchitectureUnit(v, DEFAULT_ARCHITECTURE_UNITS[group], units[group]).toFixed(ARCHITECTURE_DISPLAY_DECIMALS[group]))),
+  units
+});
+
+// Temperature rows and WHP could be saved as typed text; rod units were a display setting kept with the values
+const migrateRunUnits = (run) => {
+  const toNumber = (v) => (typeof v === 'string' && v.trim() !== '' ? parseFloat(v.replace(',', '.')) : v);
+  const rod = run.rod ? { ...run.rod } : run.rod;
+  if (rod) delete rod.units;
+  return {
+    ...run,
+    ...(rod ? { rod } : {}),
+    ...(run.fluids ? { fluids: { ...run.fluids, whp: toNumber(run.fluids.whp) } } : {}),
+    ...(Array.isArray(run.temps) ? { temps: run.temps.map(t => ({ ...t, md: toNumber(t.md), tvd: toNumber(t.tvd), temp: toNumber(t.temp) })) } : {})
+  };
+};
+
+// Converts a well saved before unitsVersion 1. The first section's units are kept as the architecture step's
+// display setting (`architectureUnits`). Wells already in stored units are returned unchanged.
+const migrateWellUnits = (well) => {
+  if ((well.unitsVersion || 0) >= UNITS_VERSION) return well;
+  const sections = (list) => list.map(sec => architectureToStored(sec, SECTION_UNIT_FIELDS));
+  const restrictions = (list) => list.map(r => architectureToStored(r, RESTRICTION_UNIT_FIELDS));
+  const units = [...(well.architecture || []), ...(well.bores || []).flatMap(b => b.architecture || [])].find(sec => sec.units)?.units;
+  return {
+    ...well,
+    ...(well.architecture ? { architecture: sections(well.architecture) } : {}),
+    ...(well.restrictions ? { restrictions: restrictions(well.restrictions) } : {}),
+    ...(well.bores ? { bores: well.bores.map(b => ({ ...b, architecture: sections(b.architecture || []), restrictions: restrictions(b.restrictions || []) })) } : {}),
+    ...(well.jobs ? { jobs: well.jobs.map(migrateRunUnits) } : {}),
+    ...(units && !well.architectureUnits ? { architectureUnits: units } : {}),
+    unitsVersion: UNITS_VERSION
+  };
+};
+
 // --- HELPER: EXPORT TO CTSPROJ (XML) ---
-const fmt = (val) => {
+const fmt = (val, decimals = 4) => {
   const n = parseFloat(val);
-  return isNaN(n) ? "0.0000" : n.toFixed(4);
+  return isNaN(n) ? (0).toFixed(decimals) : n.toFixed(decimals);
 };
 
-const exportToComtrac = (well, run) => {
-  const traj = calculateTrajectory(well.survey);
-  const maxDepth = Math.max(...well.survey.map(p => p.md), 0);
-  const safeScenarioName = run.bha?.name || "New Run";
+// Scenario Id from the well and run ids (32-bit FNV-1a), so every export of a run gives it the same Id
+const hashScenarioId = (key) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    h ^= key.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0) % 2147483647;
+};
 
-  const scenarioMap = { 'Shut-in': 'ShutIn', 'Flow': 'Flowing', 'Injection': 'Injection' };
-  const fluidMovement = scenarioMap[run.fluids?.scenario] || 'ShutIn';
+// Ids and names for the scenarios of one project. A hash collision moves to the next free Id and repeated
+// run names get a suffix, in run order, so the result only depends on the selected runs.
+const comtracScenarioKeys = (well, runs) => {
+  const ids = new Set();
+  const names = new Set();
+  return runs.map((run, i) => {
+    let id = hashScenarioId(`${well.id}:${run.id || i}`);
+    while (ids.has(id)) id = (id + 1) % 2147483647;
+    ids.add(id);
+    const base = run.bha?.name || "New Run";
+    let name = base;
+    for (let n = 2; names.has(name); n++) name = `${base} (${n})`;
+    names.add(name);
+    return { id, name };
+  });
+};
+
+// A project has one trajectory, so runs exported together must use the same bore and survey
+const comtracTrajectoryKey = (well, run) => `${run.boreId || MAIN_BORE.id}:${run.surveyId || getBoreActiveSurvey(well, run.boreId)?.id || ''}`;
+
+// XML text content: the five reserved characters as entities, control characters (not allowed in XML 1.0) removed
+const escapeXml = (value) => [...String(value ?? '')]
+  .filter(c => c.charCodeAt(0) >= 0x20 || c === '\t' || c === '\n' || c === '\r').join('')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+// Collects what the export could not write as entered: defaulted, missing, invalid or out-of-range values and
+// names that had to be escaped. The XML builder reports through it, so the preflight covers exactly what is written.
+const createExportReport = () => {
+  const issues = [];
+  return {
+    issues,
+    add: (severity, scenario, section, message) => issues.push({ severity, scenario, section, message })
+  };
+};
 
-  const gas = run.fluids?.list?.find(f => f.type === 'Gass') || { sg: 0, percent: 0 };
-  const oil = run.fluids?.list?.find(f => f.type === 'Olje') || { sg: 0, percent: 0 };
-  const water = run.fluids?.list?.find(f => f.type === 'Vann') || { sg: 0, percent: 0 };
+// Value readers for one scenario. A value is only defaulted when it is missing, never when it is 0.
+const exportFields = (report, scenario) => {
+  const rangeText = (min, max, positive) => {
+    if (positive) return max < Infinity ? `> 0 og ≤ ${max}` : '> 0';
+    if (max < Infinity) return `${min} – ${max}`;
+    return `≥ ${min}`;
+  };
+  const num = (section, label, value, fallback, { min = -Infinity, max = Infinity, positive = false, required = false } = {}) => {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      if (required) report.add('error', scenario, section, `${label} mangler.`);
+      else report.add('warning', scenario, section, `${label} mangler – standardverdi ${fallback} brukt.`);
+      return fallback;
+    }
+    // Number() rejects trailing text ("12abc") that parseFloat would read as 12
+    const n = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isFinite(n)) {
+      report.add('error', scenario, section, `${label} er ikke et gyldig tall («${value}»).`);
+      return fallback;
+    }
+    if (n < min || n > max || (positive && n <= 0)) {
+      report.add('error', scenario, section, `${label} = ${n} er utenfor gyldig område (${rangeText(min, max, positive)}).`);
+    }
+    return n;
+  };
+  const text = (section, label, value, fallback) => {
+    const s = String(value ?? '').trim();
+    if (!s) {
+      report.add('warning', scenario, section, `${label} mangler – «${fallback}» brukt.`);
+      return escapeXml(fallback);
+    }
+    if (escapeXml(s) !== s) report.add('warning', scenario, section, `${label} «${s}» inneholder tegn som escapes i XML.`);
+    return escapeXml(s);
+  };
+  return { num, text };
+};
 
-  let xml = `<?xml version="1.0" encoding="utf-8"?>
-<ComTracProject xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
-  <ProjectFileName>C:\\Users\\User\\Documents\\ComTrac Projects\\${safeScenarioName}.ctsproj</ProjectFileName>
-  <ProjectVersion>1.0.0.43</ProjectVersion>
-  <WellTrajectory>
-    <Items>
-`;
+const comtracScenarioXml = (well, run, { id, name }, report = createExportReport()) => {
+  const { num, text } = exportFields(report, name);
+  const stations = getBoreStations(well, run.boreId, run.surveyId);
+  const architecture = getBoreArchitecture(well, run.boreId);
+  const maxDepth = Math.max(...stations.map(p => p.md), 0);
 
-  // Trajectory Items
-  const trajMap = new Map(traj.map(t => [t.md, t]));
-  well.survey.forEach((p) => {
-    const calc = trajMap.get(p.md) || { x: 0, y: 0, z: 0, tvd: 0 };
-    xml += `      <WellTrajectoryItem>
-        <MD>${fmt(p.md)}</MD>
-        <Incl>${fmt(degToRad(p.inc))}</Incl>
-        <Az>${fmt(degToRad(p.azi))}</Az>
-        <TVD>${fmt(calc.tvd)}</TVD>
-        <North>${fmt(-calc.z)}</North>
-        <East>${fmt(calc.x)}</East>
-        <Radius>0.0000</Radius>
-        <VSect>0.0000</VSect>
-        <DLS>0.0000</DLS>
-      </WellTrajectoryItem>
-`;
-  });
+  const scenarioMap = { 'Shut-in': 'ShutIn', 'Flow': 'Flowing', 'Injection': 'Injection' };
+  if (!scenarioMap[run.fluids?.scenario]) report.add('warning', name, 'Væske', run.fluids?.scenario ? `Ukjent scenario «${run.fluids.scenario}» – ShutIn brukt.` : 'Scenario mangler – ShutIn brukt.');
+  const fluidMovement = scenarioMap[run.fluids?.scenario] || 'ShutIn';
 
-  xml += `    </Items>
-  </WellTrajectory>
-  <Scenarios>
-    <Scenario>
-      <Id>${Math.floor(Math.random() * 100000)}</Id>
-      <Name>${safeScenarioName}</Name>
+  if (!String(run.bha?.name ?? '').trim()) report.add('warning', name, 'Generelt', `Navn mangler – «${name}» brukt.`);
+  else text('Generelt', 'Navn', run.bha.name, name);
+
+  let xml = `    <Scenario>
+      <Id>${id}</Id>
+      <Name>${escapeXml(name)}</Name>
       <Architecture>
         <MaxDepth>${fmt(maxDepth)}</MaxDepth>
         <CasingSections>
 `;
 
-  if (well.architecture && well.architecture.length > 0) {
-    well.architecture.forEach(sec => {
-      const radius = (parseFloat(sec.id) || 0) / 200.0;
-      xml += `          <CasingSection>
-            <ShoeDepth>${fmt(sec.end)}</ShoeDepth>
-            <DepthFrom>${fmt(sec.start)}</DepthFrom>
-            <CasingRadius>${fmt(radius)}</CasingRadius> 
-            <MuRodRIHFactor>${fmt(sec.fricRodRIH || 1.0)}</MuRodRIHFactor>
-            <MuRodPOHFactor>${fmt(sec.fricRodPOOH || 1.0)}</MuRodPOHFactor>
-            <MuToolRIHFactor>${fmt(sec.fricToolRIH || 0.3)}</MuToolRIHFactor>
-            <MuToolPOHFactor>${fmt(sec.fricToolPOOH || 0.3)}</MuToolPOHFactor>
-          </CasingSection>
-`;
-    });
-  } else {
+  if (architecture.length === 0) {
+    report.add('error', name, 'Arkitektur', 'Ingen arkitektur definert for boringen – ComTrac trenger minst én casing-seksjon.');
+  }
+  architecture.forEach((sec, i) => {
+    const label = `Seksjon ${i + 1}`;
+    // Stored units: depths in m, ID in cm
+    const from = num('Arkitektur', `${label}: topp (MD)`, sec.start, 0, { min: 0 });
+    const shoe = num('Arkitektur', `${label}: sko (MD)`, sec.end, 0, { min: 0, required: true });
+    if (shoe <= from) report.add('error', name, 'Arkitektur', `${label}: sko (${shoe.toFixed(1)} m) ligger ikke under topp (${from.toFixed(1)} m).`);
+    const idCm = num('Arkitektur', `${label}: ID`, sec.id, 0, { positive: true, required: true });
     xml += `          <CasingSection>
-            <ShoeDepth>${fmt(maxDepth)}</ShoeDepth>
-            <DepthFrom>0.0000</DepthFrom>
-            <CasingRadius>0.1000</CasingRadius>
-            <MuRodRIHFactor>0.2500</MuRodRIHFactor>
-            <MuRodPOHFactor>0.2500</MuRodPOHFactor>
-            <MuToolRIHFactor>0.2500</MuToolRIHFactor>
-            <MuToolPOHFactor>0.2500</MuToolPOHFactor>
+            <ShoeDepth>${fmt(shoe)}</ShoeDepth>
+            <DepthFrom>${fmt(from)}</DepthFrom>
+            <CasingRadius>${fmt(idCm / 200.0)}</CasingRadius> 
+            <MuRodRIHFactor>${fmt(num('Arkitektur', `${label}: friksjonsfaktor rod RIH`, sec.fricRodRIH, 1.0, { min: 0 }))}</MuRodRIHFactor>
+            <MuRodPOHFactor>${fmt(num('Arkitektur', `${label}: friksjonsfaktor rod POOH`, sec.fricRodPOOH, 1.0, { min: 0 }))}</MuRodPOHFactor>
+            <MuToolRIHFactor>${fmt(num('Arkitektur', `${label}: friksjonsfaktor verktøy RIH`, sec.fricToolRIH, 0.3, { min: 0 }))}</MuToolRIHFactor>
+            <MuToolPOHFactor>${fmt(num('Arkitektur', `${label}: friksjonsfaktor verktøy POOH`, sec.fricToolPOOH, 0.3, { min: 0 }))}</MuToolPOHFactor>
           </CasingSection>
 `;
-  }
+  });
+
+  const whp = num('Brønnforhold', 'Brønnhodetrykk (WHP)', run.fluids?.whp, 0, { min: 0 });
+  const temps = run.temps || [];
+  if (temps.length === 0) report.add('warning', name, 'Brønnforhold', 'Temperaturprofilen er tom.');
+  const tempRows = temps.map((t, i) => ({
+    md: num('Brønnforhold', `Temperaturpunkt ${i + 1}: MD`, t.md, 0, { min: 0, max: maxDepth, required: true }),
+    // Temp C -> K
+    kelvin: num('Brønnforhold', `Temperaturpunkt ${i + 1}: temperatur`, t.temp, 0, { min: -273.15, required: true }) + 273.15
+  }));
 
   xml += `        </CasingSections>
       </Architecture>
       <WellConditions>
-        <SurfacePressure>${fmt((parseFloat(run.fluids?.whp) || 0) * 100000)}</SurfacePressure>
+        <SurfacePressure>${fmt(whp * 100000)}</SurfacePressure>
         <TemperatureProfile>
           <ProfileName>Default</ProfileName>
           <TemperatureData>
             <TemperatureTable_MD_>
 `;
-  (run.temps || []).forEach(t => xml += `              <double>${fmt(t.md)}</double>\n`);
+  tempRows.forEach(t => xml += `              <double>${fmt(t.md)}</double>\n`);
   xml += `            </TemperatureTable_MD_>
             <TemperatureTable_Temperatures_>
 `;
-  // Temp C -> K
-  (run.temps || []).forEach(t => xml += `              <double>${fmt(parseFloat(t.temp) + 273.15)}</double>\n`);
+  tempRows.forEach(t => xml += `              <double>${fmt(t.kelvin)}</double>\n`);
+
+  // Phases that are not in the list are absent (0 %); a listed phase needs its own SG and share
+  const fluids = run.fluids?.list || [];
+  const phase = (type, label) => {
+    const f = fluids.find(x => x.type === type);
+    if (!f) return { sg: 0, percent: 0 };
+    return {
+      sg: num('Væske', `${label}: SG`, f.sg, 0, { min: 0, required: true }),
+      percent: num('Væske', `${label}: andel`, f.percent, 0, { min: 0, max: 100, required: true })
+    };
+  };
+  const gas = phase('Gass', 'Gass');
+  const oil = phase('Olje', 'Olje');
+  const water = phase('Vann', 'Vann');
+  const totalPercent = gas.percent + oil.percent + water.percent;
+  if (Math.abs(totalPercent - 100) > 0.01) report.add('warning', name, 'Væske', `Andelene summerer til ${totalPercent.toFixed(1)} %, ikke 100 %.`);
+
+  // Rates (m³/d, gas Sm³/d -> m³/s, written with 8 decimals) and the gauge reading (bar -> Pa) only apply to flowing
+  // and injection runs.
+  // Without a gauge the file keeps atmospheric pressure at TD, as ComTrac writes for a blank entry.
+  const flowing = fluidMovement !== 'ShutIn';
+  const rates = Object.fromEntries(FLUID_RATE_PHASES.map(phase => [phase.key, flowing ? num('Væske', `${phase.type}rate`, run.fluids?.rates?.[phase.key], 0, { min: 0 }) / 86400 : 0]));
+  if (flowing && Object.values(rates).every(r => r === 0)) report.add('warning', name, 'Væske', `${FLUID_SCENARIOS[run.fluids.scenario]} uten rater – alle rater er 0.`);
+  const gauge = run.fluids?.gauge;
+  const hasGauge = flowing && gauge && gauge.md !== '' && gauge.md != null;
+  if (flowing && !hasGauge) report.add('warning', name, 'Væske', 'Ingen nedihulls gauge – atmosfærisk trykk ved TD brukt.');
+  const downholePressure = hasGauge ? num('Væske', 'Gauge-trykk', gauge.pressure, ATMOSPHERIC_BAR, { min: 0, required: true }) * 100000 : 101325;
+  const gaugeMD = hasGauge ? num('Væske', 'Gauge MD', gauge.md, maxDepth, { positive: true, max: maxDepth }) : maxDepth;
+
   xml += `            </TemperatureTable_Temperatures_>
           </TemperatureData>
         </TemperatureProfile>
       </WellConditions>
       <Fluids>
         <FluidMovement>${fluidMovement}</FluidMovement>
-        <GasFlowRate>0.0000</GasFlowRate>
+        <GasFlowRate>${fmt(rates.gas, 8)}</GasFlowRate>
         <GasFraction>${fmt(gas.percent / 100)}</GasFraction>
-        <OilFlowRate>0.0000</OilFlowRate>
+        <OilFlowRate>${fmt(rates.oil, 8)}</OilFlowRate>
         <OilFraction>${fmt(oil.percent / 100)}</OilFraction>
-        <WaterFlowRate>0.0000</WaterFlowRate>
+        <WaterFlowRate>${fmt(rates.water, 8)}</WaterFlowRate>
         <WaterFraction>${fmt(water.percent / 100)}</WaterFraction>
         <GasFluidDensity>${fmt(gas.sg * 1000)}</GasFluidDensity>
         <OilFluidDensity>${fmt(oil.sg * 1000)}</OilFluidDensity>
         <WaterFluidDensity>${fmt(water.sg * 1000)}</WaterFluidDensity>
-        <IsFluidPipeFrictionEstimation>false</IsFluidPipeFrictionEstimation>
-        <DownholePressureAtMD>101325.0000</DownholePressureAtMD>
-        <MDForDownholePressure>${fmt(maxDepth)}</MDForDownholePressure>
+        <IsFluidPipeFrictionEstimation>${flowing && run.fluids?.pipeFriction ? 'true' : 'false'}</IsFluidPipeFrictionEstimation>
+        <DownholePressureAtMD>${fmt(downholePressure)}</DownholePressureAtMD>
+        <MDForDownholePressure>${fmt(gaugeMD)}</MDForDownholePressure>
         <DarcyFrictionFactorGuess>0.1000</DarcyFrictionFactorGuess>
         <DarcyFrictionFactorUsed>0.0000</DarcyFrictionFactorUsed>
       </Fluids>
       <PVTData />
       <Rod>
-        <Radius>${fmt((run.rod?.diameter || 1.2) / 200)}</Radius>
-        <LinearMass>${fmt(run.rod?.weight || 0.225)}</LinearMass>
-        <YoungModulus>${fmt((run.rod?.youngs || 125) * 1e9)}</YoungModulus>
-        <RodFluidFrictionFactor>${fmt(run.rod?.fluidFric || 0.04)}</RodFluidFrictionFactor>
-        <RodRIHFrictionFactor>${fmt(run.rod?.rihFric || 0.2)}</RodRIHFrictionFactor>
-        <RodPOOHFrictionFactor>${fmt(run.rod?.poohFric || 0.2)}</RodPOOHFrictionFactor>
+        <Radius>${fmt(num('Rod', 'Diameter', run.rod?.diameter, 1.2, { positive: true }) / 200)}</Radius>
+        <LinearMass>${fmt(num('Rod', 'Vekt per meter', run.rod?.weight, 0.225, { positive: true }))}</LinearMass>
+        <YoungModulus>${fmt(num('Rod', 'E-modul', run.rod?.youngs, 125, { positive: true }) * 1e9)}</YoungModulus>
+        <RodFluidFrictionFactor>${fmt(num('Rod', 'Væskefriksjon', run.rod?.fluidFric, 0.04, { min: 0 }))}</RodFluidFrictionFactor>
+        <RodRIHFrictionFactor>${fmt(num('Rod', 'Friksjon RIH', run.rod?.rihFric, 0.2, { min: 0 }))}</RodRIHFrictionFactor>
+        <RodPOOHFrictionFactor>${fmt(num('Rod', 'Friksjon POOH', run.rod?.poohFric, 0.2, { min: 0 }))}</RodPOOHFrictionFactor>
       </Rod>
       <StuffingBox>
-        <StuffingContactForce>${fmt(run.pce?.force || 100)}</StuffingContactForce>
-        <StuffingFriction>${fmt(run.pce?.friction || 0.2)}</StuffingFriction>
+        <StuffingContactForce>${fmt(num('PCE', 'Stuffing box kontaktkraft', run.pce?.force, 100, { min: 0 }))}</StuffingContactForce>
+        <StuffingFriction>${fmt(num('PCE', 'Stuffing box friksjon', run.pce?.friction, 0.2, { min: 0 }))}</StuffingFriction>
       </StuffingBox>
       <ToolString>
         <ToolStringElements>
 `;
 
-  if (run.bha?.tools) {
-    run.bha.tools.forEach(tool => {
-      const rad = (tool.od || 0) / 200;
-      xml += `          <ToolStringElement>
-            <Name>${tool.name || 'Tool'}</Name>
-            <Length>${fmt(tool.length)}</Length>
-            <Radius>${fmt(rad)}</Radius>
-            <Mass>${fmt(tool.weight)}</Mass>
+  const tools = run.bha?.tools || [];
+  if (tools.length === 0) report.add('error', name, 'BHA', 'Verktøystrengen er tom.');
+  tools.forEach((tool, i) => {
+    const label = `Verktøy ${i + 1}${String(tool.name ?? '').trim() ? ` (${String(tool.name).trim()})` : ''}`;
+    const od = num('BHA', `${label}: OD`, tool.od, 0, { positive: true, required: true });
+    // Tractor and centralizer values only matter when the tool is one
+    const tractorForce = tool.isTractor ? num('BHA', `${label}: traktorkraft`, tool.tractorForce, 0, { positive: true, required: true }) : (parseFloat(tool.tractorForce) || 0);
+    const centMaxOD = tool.isCentralizer ? num('BHA', `${label}: sentralizer maks OD`, tool.centMaxOD, 0, { min: od, required: true }) : (parseFloat(tool.centMaxOD) || 0);
+    const centForce = tool.isCentralizer ? num('BHA', `${label}: sentralizer kraft`, tool.centForce, 0, { min: 0, required: true }) : (parseFloat(tool.centForce) || 0);
+    xml += `          <ToolStringElement>
+            <Name>${text('BHA', `Verktøy ${i + 1}: navn`, tool.name, 'Tool')}</Name>
+            <Length>${fmt(num('BHA', `${label}: lengde`, tool.length, 0, { positive: true, required: true }))}</Length>
+            <Radius>${fmt(od / 200)}</Radius>
+            <Mass>${fmt(num('BHA', `${label}: vekt`, tool.weight, 0, { min: 0, required: true }))}</Mass>
             <IsTractor>${tool.isTractor ? 'true' : 'false'}</IsTractor>
-            <TractionForce>${fmt(tool.tractorForce || 0)}</TractionForce>
-            <ToolFluidFrictionFactor>${fmt(tool.fricFluid || 0.4)}</ToolFluidFrictionFactor>
-            <ToolRIHFrictionFactor>${fmt(tool.fricRIH || 1.0)}</ToolRIHFrictionFactor>
-            <ToolPOOHFrictionFactor>${fmt(tool.fricPOOH || 1.0)}</ToolPOOHFrictionFactor>
+            <TractionForce>${fmt(tractorForce)}</TractionForce>
+            <ToolFluidFrictionFactor>${fmt(num('BHA', `${label}: væskefriksjon`, tool.fricFluid, 0.4, { min: 0 }))}</ToolFluidFrictionFactor>
+            <ToolRIHFrictionFactor>${fmt(num('BHA', `${label}: friksjon RIH`, tool.fricRIH, 1.0, { min: 0 }))}</ToolRIHFrictionFactor>
+            <ToolPOOHFrictionFactor>${fmt(num('BHA', `${label}: friksjon POOH`, tool.fricPOOH, 1.0, { min: 0 }))}</ToolPOOHFrictionFactor>
             <StiffUpperNode>false</StiffUpperNode>
             <FrictionReductionFactor>0.0000</FrictionReductionFactor>
             <HasCentralizer>${tool.isCentralizer ? 'true' : 'false'}</HasCentralizer>
-            <CentralizerMaxOD>${fmt(tool.centMaxOD || 0)}</CentralizerMaxOD>
-            <CentralizerAppliedForce>${fmt(tool.centForce || 0)}</CentralizerAppliedForce>
+            <CentralizerMaxOD>${fmt(centMaxOD)}</CentralizerMaxOD>
+            <CentralizerAppliedForce>${fmt(centForce)}</CentralizerAppliedForce>
           </ToolStringElement>
 `;
-    });
-  }
+  });
 
   xml += `        </ToolStringElements>
       </ToolString>
-      <TargetMD>${fmt(run.general?.targetDepth || maxDepth)}</TargetMD>
+      <TargetMD>${fmt(num('Generelt', 'Måldybde', run.general?.targetDepth, maxDepth, { positive: true, max: maxDepth }))}</TargetMD>
       <SimulationStep>10</SimulationStep>
       <BucklingCheckStep>10</BucklingCheckStep>
     </Scenario>
-  </Scenarios>
+`;
+  return xml;
+};
+
+const buildComtracProject = (well, runs, report = createExportReport()) => {
+  if (runs.length === 0) throw new Error('Ingen runs valgt for eksport.');
+  if (runs.some(run => comtracTrajectoryKey(well, run) !== comtracTrajectoryKey(well, runs[0]))) {
+    throw new Error('Runs på ulike boringer eller surveys kan ikke eksporteres i samme prosjekt.');
+  }
+  const stations = getBoreStations(well, runs[0].boreId, runs[0].surveyId);
+  const traj = calculateTrajectory(stations, getTrajectoryOptions(well));
+  const keys = comtracScenarioKeys(well, runs);
+  const projectName = runs.length === 1 ? keys[0].name : well.name;
+
+  if (stations.length < 2) report.add('error', null, 'Survey', 'Boringen mangler survey (minst to stasjoner trengs).');
+  const invalid = traj.filter(c => ['md', 'inc', 'azi', 'tvd', 'north', 'east', 'dls'].some(k => !Number.isFinite(c[k])));
+  if (invalid.length > 0) report.add('error', null, 'Survey', `${invalid.length} trajectory-punkt(er) har ugyldige verdier (første ved MD ${fmt(invalid[0].md)}).`);
+  // A single run names the project after its scenario, which the scenario already reports on
+  if (runs.length > 1 && escapeXml(projectName) !== projectName) report.add('warning', null, 'Generelt', `Brønnnavnet «${projectName}» inneholder tegn som escapes i XML.`);
+
+  let xml = `<?xml version="1.0" encoding="utf-8"?>
+<ComTracProject xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
+  <ProjectFileName>C:\\Users\\User\\Documents\\ComTrac Projects\\${escapeXml(projectName)}.ctsproj</ProjectFileName>
+  <ProjectVersion>1.0.0.43</ProjectVersion>
+  <WellTrajectory>
+    <Items>
+`;
+
+  // Trajectory Items (SI like the rest of the file: radians, metres and DLS in rad/m).
+  // Written from the calculated trajectory so the tie-in station is the first item.
+  traj.forEach((calc) => {
+    xml += `      <WellTrajectoryItem>
+        <MD>${fmt(calc.md)}</MD>
+        <Incl>${fmt(degToRad(calc.inc))}</Incl>
+        <Az>${fmt(degToRad(calc.azi))}</Az>
+        <TVD>${fmt(calc.tvd)}</TVD>
+        <North>${fmt(calc.north)}</North>
+        <East>${fmt(calc.east)}</East>
+        <Radius>${fmt(calc.radius)}</Radius>
+        <VSect>${fmt(calc.vs)}</VSect>
+        <DLS>${fmt(degToRad(calc.dls) / RATE_INTERVAL_M)}</DLS>
+      </WellTrajectoryItem>
+`;
+  });
+
+  xml += `    </Items>
+  </WellTrajectory>
+  <Scenarios>
+`;
+  runs.forEach((run, i) => { xml += comtracScenarioXml(well, run, keys[i], report); });
+  xml += `  </Scenarios>
   <Report>
     <Info />
     <Well>
       <Description>Generated by Archer Comtrac Tuner</Description>
     </Well>
     <Scenarios>
-        <ReportScenario>
-            <Description>${safeScenarioName}</Description>
+`;
+  keys.forEach(key => {
+    xml += `        <ReportScenario>
+            <Description>${escapeXml(key.name)}</Description>
         </ReportScenario>
-    </Scenarios>
+`;
+  });
+  xml += `    </Scenarios>
     <AllScenarios />
   </Report>
 </ComTracProject>`;
+  return xml;
+};
+
+// Preflight for exportToComtrac: the issues the same build would produce, errors block the download.
+// Runs that cannot share a project at all come back as a single error.
+const preflightComtracExport = (well, runs) => {
+  const list = Array.isArray(runs) ? runs : [runs];
+  const report = createExportReport();
+  try {
+    buildComtracProject(well, list, report);
+  } catch (err) {
+    report.add('error', null, 'Generelt', err.message);
+  }
+  return {
+    errors: report.issues.filter(i => i.severity === 'error'),
+    warnings: report.issues.filter(i => i.severity === 'warning')
+  };
+};
+
+// Downloads one project with a scenario per run (a single run may be passed directly)
+const exportToComtrac = (well, runs) => {
+  const list = Array.isArray(runs) ? runs : [runs];
+  const xml = buildComtracProject(well, list);
+  const name = list.length === 1 ? (list[0].bha?.name || "New Run") : `${list.length}_scenarier`;
 
   const blob = new Blob([xml], { type: 'application/xml' });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = `${well.name}_${safeScenarioName.replace(/\s+/g, '_')}.ctsproj`;
+  a.download = `${well.name}_${name.replace(/\s+/g, '_')}.ctsproj`;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
 };
 
+// --- HELPER: IMPORT FROM CTSPROJ (XML) ---
+// Reads a ComTrac project back into a well: the inverse of exportToComtrac (SI units: radians, metres, Pa, K,
+// kg/m³). Every <Scenario> becomes a run; the well takes trajectory and architecture from the file (the first
+// scenario's architecture when scenarios differ). Elements without a place in the app, or values that differ
+// from what the export writes for them, are listed in `unmapped` so the user can see what was lost.
+const COMTRAC_FLUID_MOVEMENTS = { ShutIn: 'Shut-in', Flowing: 'Flow', Injection: 'Injection' };
+
+const parseComtracProject = (text, fileName = '') => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('Ugyldig XML: filen kunne ikke leses.');
+  const root = doc.documentElement;
+  if (root.localName !== 'ComTracProject') throw new Error('Filen er ikke et ComTrac-prosjekt (mangler <ComTracProject>).');
+  const children = (node) => (node ? Array.from(node.children) : []);
+  const child = (node, name) => children(node).find(c => c.localName === name);
+  const textOf = (node, name) => child(node, name)?.textContent.trim() || '';
+  const num = (node, name, fallback = 0) => {
+    const value = parseFloat(textOf(node, name));
+    return isNaN(value) ? fallback : value;
+  };
+  const round = (value, decimals) => parseFloat(value.toFixed(decimals));
+  const doubles = (node) => children(node).map(c => parseFloat(c.textContent)).filter(v => !isNaN(v));
+
+  const warnings = [];
+  const unmapped = [];
+  const summary = (node) => (node.children.length > 0 ? `${node.children.length} elementer` : node.textContent.trim());
+  const flagUnknown = (scenario, node, path, known) => children(node).forEach(c => {
+    if (!known.includes(c.localName) && summary(c) !== '') unmapped.push({ scenario, path: `${path}/${c.localName}`, value: summary(c) });
+  });
+  // Known elements the app has no field for; only reported when they differ from the value the export writes
+  const flagIfChanged = (scenario, node, path, name, exported) => {
+    const value = textOf(node, name);
+    if (value === '') return;
+    const differs = typeof exported === 'number' ? Math.abs(parseFloat(value) - exported) > 1e-6 : value !== exported;
+    if (differs) unmapped.push({ scenario, path: `${path}/${name}`, value });
+  };
+
+  flagUnknown(null, root, 'ComTracProject', ['ProjectFileName', 'ProjectVersion', 'WellTrajectory', 'Scenarios', 'Report']);
+
+  // Trajectory (derived columns such as TVD, North/East and DLS are recalculated)
+  const items = children(child(child(root, 'WellTrajectory'), 'Items')).filter(c => c.localName === 'WellTrajectoryItem');
+  const stations = items.map(item => {
+    const md = parseFloat(textOf(item, 'MD')), inc = parseFloat(textOf(item, 'Incl')), azi = parseFloat(textOf(item, 'Az'));
+    if (isNaN(md) || isNaN(inc) || isNaN(azi)) return null;
+    return { md: round(md, 2), inc: round(radToDeg(inc), 4), azi: round(((radToDeg(azi) % 360) + 360) % 360, 4) };
+  }).filter(Boolean);
+  if (stations.length < items.length) warnings.push(`${items.length - stations.length} trajectory-punkter uten MD/Incl/Az ble hoppet over`);
+  if (stations.length === 0) warnings.push('Filen inneholder ingen trajectory. Brønnen opprettes uten survey.');
+  // The export starts at the tie-in station; a deviated tie-in keeps its position from the file
+  const firstItem = items.find(item => !isNaN(parseFloat(textOf(item, 'MD'))));
+  const tieIn = stations[0]?.md > 0
+    ? { md: stations[0].md, tvd: round(num(firstItem, 'TVD'), 2), north: round(num(firstItem, 'North'), 2), east: round(num(firstItem, 'East'), 2), inc: stations[0].inc, azi: stations[0].azi }
+    : null;
+  const trajectory = calculateTrajectory(stations, getTrajectoryOptions(tieIn ? { tieIn } : {}));
+  const maxDepth = Math.max(0, ...stations.map(p => p.md));
+
+  const scenarioNodes = children(child(root, 'Scenarios')).filter(c => c.localName === 'Scenario');
+  if (scenarioNodes.length === 0) warnings.push('Filen inneholder ingen <Scenario>. Brønnen opprettes uten runs.');
+  const today = new Date().toISOString().split('T')[0];
+
+  const scenarios = scenarioNodes.map((node, i) => {
+    const name = textOf(node, 'Name') || `Scenario ${i + 1}`;
+    flagUnknown(name, node, 'Scenario', ['Id', 'Name', 'Architecture', 'WellConditions', 'Fluids', 'PVTData', 'Rod', 'StuffingBox', 'ToolString', 'TargetMD', 'SimulationStep', 'BucklingCheckStep']);
+    flagIfChanged(name, node, 'Scenario', 'SimulationStep', 10);
+    flagIfChanged(name, node, 'Scenario', 'BucklingCheckStep', 10);
+
+    // Architecture: casing radius (m) -> ID (cm); OD and weight are not in the file
+    const architectureNode = child(node, 'Architecture');
+    flagUnknown(name, architectureNode, 'Architecture', ['MaxDepth', 'CasingSections']);
+    const sectionKnown = ['ShoeDepth', 'DepthFrom', 'CasingRadius', 'MuRodRIHFactor', 'MuRodPOHFactor', 'MuToolRIHFactor', 'MuToolPOHFactor'];
+    const architecture = children(child(architectureNode, 'CasingSections')).filter(c => c.localName === 'CasingSection').map(sec => {
+      flagUnknown(name, sec, 'CasingSection', sectionKnown);
+      const id = round(num(sec, 'CasingRadius') * 200, 3);
+      return {
+        start: round(num(sec, 'DepthFrom'), 2), end: round(num(sec, 'ShoeDepth'), 2), od: 0, weight: 0, id,
+        drift: estimateDrift(id, 0, DEFAULT_ARCHITECTURE_UNITS), grade: '', description: '',
+        fricRodRIH: num(sec, 'MuRodRIHFactor', 1.0), fricRodPOOH: num(sec, 'MuRodPOHFactor', 1.0),
+        fricToolRIH: num(sec, 'MuToolRIHFactor', 0.3), fricToolPOOH: num(sec, 'MuToolPOHFactor', 0.3)
+      };
+    });
+
+    // Well conditions: Pa -> bar, K -> °C. TVD of each temperature point comes from the imported trajectory.
+    const conditions = child(node, 'WellConditions');
+    flagUnknown(name, conditions, 'WellConditions', ['SurfacePressure', 'TemperatureProfile']);
+    const profile = child(conditions, 'TemperatureProfile');
+    flagUnknown(name, profile, 'TemperatureProfile', ['ProfileName', 'TemperatureData']);
+    const tempData = child(profile, 'TemperatureData');
+    const tempMDs = doubles(child(tempData, 'TemperatureTable_MD_'));
+    const tempValues = doubles(child(tempData, 'TemperatureTable_Temperatures_'));
+    if (tempMDs.length !== tempValues.length) warnings.push(`${name}: temperaturtabellen har ${tempMDs.length} dybder og ${tempValues.length} temperaturer, bare komplette par er importert`);
+    const temps = tempMDs.slice(0, tempValues.length).map((md, k) => ({
+      md: round(md, 2), tvd: round(positionAtMD(trajectory, md)?.tvd ?? md, 1), temp: round(tempValues[k] - 273.15, 2)
+    }));
+
+    // Fluids: fractions -> percent, kg/m³ -> SG
+    const fluidsNode = child(node, 'Fluids');
+    flagUnknown(name, fluidsNode, 'Fluids', ['FluidMovement', 'GasFlowRate', 'GasFraction', 'OilFlowRate', 'OilFraction', 'WaterFlowRate', 'WaterFraction', 'GasFluidDensity', 'OilFluidDensity', 'WaterFluidDensity', 'IsFluidPipeFrictionEstimation', 'DownholePressureAtMD', 'MDForDownholePressure', 'DarcyFrictionFactorGuess', 'DarcyFrictionFactorUsed']);
+    const movement = textOf(fluidsNode, 'FluidMovement');
+    if (movement && !COMTRAC_FLUID_MOVEMENTS[movement]) unmapped.push({ scenario: name, path: 'Fluids/FluidMovement', value: movement });
+    const fluid = (type, prefix) => ({ type, sg: round(num(fluidsNode, `${prefix}FluidDensity`) / 1000, 3), percent: round(num(fluidsNode, `${prefix}Fraction`) * 100, 1) });
+    const fluids = { scenario: COMTRAC_FLUID_MOVEMENTS[movement] || 'Shut-in', whp: round(num(conditions, 'SurfacePressure') / 100000, 2), list: [fluid('Gass', 'Gas'), fluid('Olje', 'Oil'), fluid('Vann', 'Water')] };
+    // Rates m³/s -> m³/d (gas Sm³/d) and the gauge Pa -> bar. Atmospheric pressure at the gauge means no reading.
+    if (fluids.scenario !== 'Shut-in') {
+      fluids.rates = { gas: round(num(fluidsNode, 'GasFlowRate') * 86400, 3), oil: round(num(fluidsNode, 'OilFlowRate') * 86400, 3), water: round(num(fluidsNode, 'WaterFlowRate') * 86400, 3) };
+      fluids.pipeFriction = textOf(fluidsNode, 'IsFluidPipeFrictionEstimation') === 'true';
+      const downhole = num(fluidsNode, 'DownholePressureAtMD', 101325);
+      if (Math.abs(downhole - 101325) > 1e-6) fluids.gauge = { md: round(num(fluidsNode, 'MDForDownholePressure'), 2), pressure: round(downhole / 100000, 2) };
+    } else {
+      ['GasFlowRate', 'OilFlowRate', 'WaterFlowRate'].forEach(tag => flagIfChanged(name, fluidsNode, 'Fluids', tag, 0));
+      flagIfChanged(name, fluidsNode, 'Fluids', 'IsFluidPipeFrictionEstimation', 'false');
+      flagIfChanged(name, fluidsNode, 'Fluids', 'DownholePressureAtMD', 101325);
+    }
+
+    const pvt = child(node, 'PVTData');
+    if (pvt && summary(pvt) !== '') unmapped.push({ scenario: name, path: 'PVTData', value: summary(pvt) });
+
+    // Rod: radius (m) -> diameter (cm), Pa -> GPa
+    const rodNode = child(node, 'Rod');
+    flagUnknown(name, rodNode, 'Rod', ['Radius', 'LinearMass', 'YoungModulus', 'RodFluidFrictionFactor', 'RodRIHFrictionFactor', 'RodPOOHFrictionFactor']);
+    const rod = {
+      diameter: round(num(rodNode, 'Radius', 0.006) * 200, 3), weight: num(rodNode, 'LinearMass', 0.225), youngs: round(num(rodNode, 'YoungModulus', 125e9) / 1e9, 3),
+      rihFric: num(rodNode, 'RodRIHFrictionFactor', 0.2), poohFric: num(rodNode, 'RodPOOHFrictionFactor', 0.2), fluidFric: num(rodNode, 'RodFluidFrictionFactor', 0.04)
+    };
+
+    const stuffing = child(node, 'StuffingBox');
+    flagUnknown(name, stuffing, 'StuffingBox', ['StuffingContactForce', 'StuffingFriction']);
+    const pce = { type: '', force: num(stuffing, 'StuffingContactForce'), friction: num(stuffing, 'StuffingFriction') };
+
+    // Tool string: radius (m) -> OD (cm)
+    const toolString = child(node, 'ToolString');
+    flagUnknown(name, toolString, 'ToolString', ['ToolStringElements']);
+    const toolKnown = ['Name', 'Length', 'Radius', 'Mass', 'IsTractor', 'TractionForce', 'ToolFluidFrictionFactor', 'ToolRIHFrictionFactor', 'ToolPOOHFrictionFactor', 'StiffUpperNode', 'FrictionReductionFactor', 'HasCentralizer', 'CentralizerMaxOD', 'CentralizerAppliedForce'];
+    const tools = children(child(toolString, 'ToolStringElements')).filter(c => c.localName === 'ToolStringElement').map((el, k) => {
+      const toolName = textOf(el, 'Name') || `Verktøy ${k + 1}`;
+      flagUnknown(name, el, `ToolStringElement (${toolName})`, toolKnown);
+      flagIfChanged(name, el, `ToolStringElement (${toolName})`, 'StiffUpperNode', 'false');
+      flagIfChanged(name, el, `ToolStringElement (${toolName})`, 'FrictionReductionFactor', 0);
+      return {
+        id: Math.random().toString(), name: toolName, od: round(num(el, 'Radius') * 200, 3), length: num(el, 'Length'), weight: num(el, 'Mass'),
+        expanded: false, youngs: 2000000, fricRIH: num(el, 'ToolRIHFrictionFactor', 1.0), fricPOOH: num(el, 'ToolPOOHFrictionFactor', 1.0), fricFluid: num(el, 'ToolFluidFrictionFactor', 0.4),
+        isKnuckle: false, isTractor: textOf(el, 'IsTractor') === 'true', tractorForce: num(el, 'TractionForce'),
+        isCentralizer: textOf(el, 'HasCentralizer') === 'true', centForce: num(el, 'CentralizerAppliedForce'), centMaxOD: num(el, 'CentralizerMaxOD')
+      };
+    });
+
+    const run = {
+      id: Math.random().toString(), date: today, boreId: MAIN_BORE.id, surveyId: 'survey-1',
+      general: { goal: name, targetDepth: round(num(node, 'TargetMD', maxDepth), 2) },
+      pce, fluids, temps, rod, bha: { name, tools },
+      simulations: { fileStandard: null, fileTractor: null, filePooh: null, tractorDepth: 0 },
+      completed: { 1: true, 2: !!stuffing, 3: !!fluidsNode, 4: temps.length > 0, 5: !!rodNode, 6: tools.length > 0 }
+    };
+    return { name, run, architecture };
+  });
+
+  const architecture = scenarios[0]?.architecture || [];
+  scenarios.slice(1).forEach(sc => {
+    if (JSON.stringify(sc.architecture) !== JSON.stringify(architecture)) warnings.push(`${sc.name}: arkitekturen avviker fra ${scenarios[0].name}. Brønnen bruker arkitekturen fra ${scenarios[0].name}.`);
+  });
+
+  const projectName = (fileName || textOf(root, 'ProjectFileName').split(/[\\/]/).pop()).replace(/\.ctsproj$/i, '');
+  return {
+    warnings, unmapped, scenarios,
+    well: {
+      id: Math.random().toString(36).substr(2, 9),
+      name: projectName || 'Importert brønn', rig: '', operator: '',
+      survey: stations, architecture, restrictions: [],
+      ...(tieIn ? { tieIn } : {}),
+      jobs: scenarios.map(sc => sc.run),
+      unitsVersion: UNITS_VERSION
+    }
+  };
+};
+
+// --- HELPER: EXCEL JOB WORKBOOK ---
+// One workbook per run: survey with calculated positions, architecture and restrictions of the run's bore, run
+// parameters, temperature profile, BHA, the stitched simulation and the field pickups against it. Values are in
+// stored units (m, cm, kg, bar, °C), with IDs and ODs also in inches.
+const buildJobWorkbook = (XLSX, well, run) => {
+  const book = XLSX.utils.book_new();
+  const addSheet = (name, rows, widths) => {
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    sheet['!cols'] = widths.map(wch => ({ wch }));
+    XLSX.utils.book_append_sheet(book, sheet, name);
+  };
+  const round = (value, decimals) => {
+    const n = parseFloat(value);
+    return isNaN(n) ? '' : parseFloat(n.toFixed(decimals));
+  };
+  const inch = (cm) => round((parseFloat(cm) || 0) / 2.54, 3);
+  const boreId = run.boreId || MAIN_BORE.id;
+  const bore = getWellBores(well).find(b => b.id === boreId) || MAIN_BORE;
+  const survey = getWellSurveys(well).find(s => s.id === run.surveyId) || getBoreActiveSurvey(well, boreId);
+  const trajectory = calculateTrajectory(getBoreStations(well, boreId, run.surveyId), getTrajectoryOptions(well));
+
+  addSheet('Survey', [
+    ['MD (m)', 'Inc (°)', 'Azi (°)', 'TVD (m)', 'North (m)', 'East (m)', 'VS (m)', `DLS (°/${RATE_INTERVAL_M}m)`],
+    ...trajectory.map(p => [round(p.md, 2), round(p.inc, 3), round(p.azi, 3), round(p.tvd, 2), round(p.north, 2), round(p.east, 2), round(p.vs, 2), round(p.dls, 2)])
+  ], [10, 9, 9, 10, 10, 10, 10, 12]);
+
+  const restrictions = getBoreRestrictions(well, boreId);
+  addSheet('Arkitektur', [
+    ['Fra MD (m)', 'Til MD (m)', 'OD (cm)', 'OD (in)', 'Vekt (kg/m)', 'ID (cm)', 'ID (in)', 'Drift (cm)', 'Drift (in)', 'Grade', 'Beskrivelse', 'μ rod RIH', 'μ rod POOH', 'μ verktøy RIH', 'μ verktøy POOH'],
+    ...getBoreArchitecture(well, boreId).map(sec => {
+      const { id, drift } = sectionBoreCm(sec);
+      return [round(sec.start, 2), round(sec.end, 2), round(sec.od, 3), inch(sec.od), round(sec.weight, 2), round(id, 3), inch(id), round(drift, 3), inch(drift), sec.grade || '', sec.description || '', round(sec.fricRodRIH, 2), round(sec.fricRodPOOH, 2), round(sec.fricToolRIH, 2), round(sec.fricToolPOOH, 2)];
+    }),
+    [],
+    ['Restriksjoner'],
+    ['Type', 'MD (m)', 'Min. ID (cm)', 'Min. ID (in)', 'Beskrivelse'],
+    ...restrictions.map(r => {
+      const { depth, minId } = restrictionMetric(r);
+      return [RESTRICTION_TYPES[r.type] || r.type, round(depth, 2), round(minId, 3), inch(minId), r.name || ''];
+    })
+  ], [12, 10, 9, 9, 11, 9, 9, 10, 10, 10, 24, 10, 10, 12, 12]);
+
+  const fluids = run.fluids || {};
+  const flowing = fluids.scenario === 'Flow' || fluids.scenario === 'Injection';
+  addSheet('Parametere', [
+    ['Gruppe', 'Parameter', 'Verdi', 'Enhet'],
+    ['Generelt', 'Brønn', well.name, ''],
+    ['Generelt', 'Run', run.bha?.name || '', ''],
+    ['Generelt', 'Mål', run.general?.goal || '', ''],
+    ['Generelt', 'Måldybde', round(run.general?.targetDepth, 2), 'm MD'],
+    ['Generelt', 'Boring', bore.name, ''],
+    ['Generelt', 'Survey', survey?.name || '', ''],
+    ['PCE', 'Type', run.pce?.type || '', ''],
+    ['PCE', 'Kontaktkraft', round(run.pce?.force, 2), 'kg'],
+    ['PCE', 'Friksjon', round(run.pce?.friction, 3), ''],
+    ['Væske', 'Scenario', FLUID_SCENARIOS[fluids.scenario] || fluids.scenario || '', ''],
+    ['Væske', 'WHP', round(fluids.whp, 2), 'bar'],
+    ...(fluids.list || []).flatMap(f => [['Væske', `${f.type} SG`, round(f.sg, 3), ''], ['Væske', `${f.type} andel`, round(f.percent, 1), '% av TVD']]),
+    ...(flowing ? [
+      ...FLUID_RATE_PHASES.map(phase => ['Væske', `${phase.type}rate`, round(fluids.rates?.[phase.key], 3), phase.unit]),
+      ['Væske', 'Gauge MD', round(fluids.gauge?.md, 2), 'm'],
+      ['Væske', 'Gauge-trykk', round(fluids.gauge?.pressure, 2), 'bar'],
+      ['Væske', 'Rørfriksjon i ComTrac', fluids.pipeFriction ? 'Ja' : 'Nei', '']
+    ] : []),
+    ['Rod', 'Diameter', round(run.rod?.diameter, 3), 'cm'],
+    ['Rod', 'Lineær vekt', round(run.rod?.weight, 3), 'kg/m'],
+    ['Rod', 'Youngs modulus', round(run.rod?.youngs, 1), 'GPa'],
+    ['Rod', 'Friksjon væske', round(run.rod?.fluidFric, 3), ''],
+    ['Rod', 'Friksjon RIH', round(run.rod?.rihFric, 3), ''],
+    ['Rod', 'Friksjon POOH', round(run.rod?.poohFric, 3), '']
+  ], [10, 24, 18, 10]);
+
+  addSheet('Temperatur', [
+    ['MD (m)', 'TVD (m)', 'Temp (°C)'],
+    ...(run.temps || []).map(t => [round(t.md, 2), round(t.tvd, 2), round(t.temp, 2)])
+  ], [10, 10, 10]);
+
+  const tools = run.bha?.tools || [];
+  addSheet('BHA', [
+    ['Verktøy', 'OD (cm)', 'OD (in)', 'Lengde (m)', 'Vekt (kg)', 'Traktor', 'Traktorkraft (kg)', 'Sentralizer', 'Sentralizer maks OD (cm)', 'Sentralizer kraft (kg)', 'μ RIH', 'μ POOH', 'μ væske'],
+    ...tools.map(t => [t.name || '', round(t.od, 3), inch(t.od), round(t.length, 3), round(t.weight, 2), t.isTractor ? 'Ja' : 'Nei', t.isTractor ? round(t.tractorForce, 1) : '', t.isCentralizer ? 'Ja' : 'Nei', t.isCentralizer ? round(t.centMaxOD, 3) : '', t.isCentralizer ? round(t.centForce, 1) : '', round(t.fricRIH, 2), round(t.fricPOOH, 2), round(t.fricFluid, 2)]),
+    ['Totalt', '', '', round(tools.reduce((s, t) => s + (parseFloat(t.length) || 0), 0), 3), round(tools.reduce((s, t) => s + (parseFloat(t.weight) || 0), 0), 2)]
+  ], [20, 9, 9, 11, 10, 8, 16, 11, 22, 20, 8, 8, 8]);
+
+  const chartData = run.simulations?.chartData || [];
+  addSheet('Simulering', [
+    ['MD (m)', 'RIH standard (kg)', 'RIH traktor (kg)', 'RIH standard etter traktor (kg)', 'POOH (kg)'],
+    ...chartData.map(d => [round(d.md, 2), round(d.rih_standard_1, 1), round(d.rih_tractor, 1), round(d.rih_standard_2, 1), round(d.pooh, 1)])
+  ], [10, 18, 16, 28, 12]);
+
+  addSheet('Pickup', [
+    ['MD (m)', 'Type', 'Målt (kg)', 'Simulert (kg)', 'Avvik (kg)'],
+    ...(run.pickupWeights || []).map(pw => {
+      const simulated = pickupSimulatedWeight(chartData, pw);
+      return [round(pw.md, 2), pw.type || 'RIH', round(pw.weight, 1), round(simulated, 1), simulated === null ? '' : round(pw.weight - simulated, 1)];
+    })
+  ], [10, 8, 11, 13, 11]);
+
+  return book;
+};
+
+// Builds and downloads the workbook (xlsx is loaded on demand, like the survey import)
+const exportJobWorkbook = async (well, run) => {
+  const XLSX = await import('xlsx');
+  XLSX.writeFile(buildJobWorkbook(XLSX, well, run), `${well.name}_${(run.bha?.name || 'Run').replace(/\s+/g, '_')}.xlsx`);
+};
+
 // --- HELPER: PARSING SURVEY ---
-const parseSurveyData = (text, config) => {
-  if (!text) return [];
+const SURVEY_CELL_UNIT_SUFFIX = /\s*(m|ft|°|º|deg|grader)$/i;
+
+// A column setup that cannot read any row (e.g. positions without a TVD column) is reported once by the
+// config form instead of as an error on every line
+const surveyConfigError = (config) => {
+  const required = config.mode === 'positions'
+    ? [['colMD', 'MD'], ['colTVD', 'TVD'], ['colNorth', 'North'], ['colEast', 'East']]
+    : [['colMD', 'MD'], ['colInc', 'Inc'], ['colAzi', 'Azi']];
+  const missing = required.filter(([key]) => !(config[key] >= 1)).map(([, label]) => label);
+  return missing.length > 0 ? `Velg kolonne for ${missing.join(', ')}` : null;
+};
+
+// Reads every non-empty line from startLine. Lines that cannot be read as MD/Inc/Azi are kept
+// with an error message so the survey QA can report them instead of dropping them silently.
+const inspectSurveyText = (text, config) => {
+  if (!text || surveyConfigError(config)) return [];
   const lines = text.split('\n');
-  const parsed = [];
-  const { startLine, delimiter, colMD, colInc, colAzi, unitMultiplier, thousandSep } = config;
+  const rows = [];
+  const { startLine, delimiter, colMD, colInc, colAzi, colTVD, colNorth, colEast, unitMultiplier, thousandSep, angleUnit, mode } = config;
+  const angleFactor = angleUnit === 'rad' ? 180 / Math.PI : 1;
   const effectiveStartLine = Math.max(1, startLine);
+  const cleanFloat = (str) => {
+    if (str === undefined || str === null) return NaN;
+    let s = str.toString().trim().replace(/^"|"$/g, '');
+    if (thousandSep === 'space') s = s.replace(/\s/g, '');
+    else if (thousandSep === '.') s = s.replace(/\./g, '');
+    else if (thousandSep === ',') s = s.replace(/,/g, '');
+    if (thousandSep !== ',') s = s.replace(',', '.');
+    // Unit suffixes some exports put in every cell ("123.4m", "45°")
+    s = s.replace(SURVEY_CELL_UNIT_SUFFIX, '');
+    return s === '' ? NaN : Number(s);
+  };
   for (let i = effectiveStartLine - 1; i < lines.length; i++) {
     if (lines[i] === undefined) continue;
     let line = lines[i].trim();
@@ -312,27 +1559,655 @@ const parseSurveyData = (text, config) => {
     else if (delimiter === 'tab') parts = line.split('\t');
     else if (delimiter === ',') parts = line.split(',');
     else parts = line.split(delimiter);
-    const rawMD = parts[colMD - 1];
-    const rawInc = parts[colInc - 1];
+    const md = cleanFloat(parts[colMD - 1]) * unitMultiplier;
+    // Positional tables: the stations get their angles later from surveyFromPositions
+    if (mode === 'positions') {
+      const position = { md: parseFloat(md.toFixed(2)), tvd: cleanFloat(parts[colTVD - 1]) * unitMultiplier, north: cleanFloat(parts[colNorth - 1]) * unitMultiplier, east: cleanFloat(parts[colEast - 1]) * unitMultiplier };
+      if (Object.values(position).some(v => isNaN(v))) rows.push({ line: i + 1, text: line, point: null, error: 'Ikke numeriske verdier i MD/TVD/N/E kolonnene' });
+      else if (md < 0) rows.push({ line: i + 1, text: line, point: null, error: 'Negativ MD' });
+      else rows.push({ line: i + 1, text: line, point: null, position, error: null });
+      continue;
+    }
+    const inc = parseFloat((cleanFloat(parts[colInc - 1]) * angleFactor).toFixed(4));
+    // A missing azimuth cell reads as 0 like before, but is reported by the survey QA
     const rawAzi = parts[colAzi - 1];
-    if (rawMD !== undefined && rawInc !== undefined) {
-      const cleanFloat = (str) => {
-        if (!str) return 0;
-        let s = str.toString().replace(/^"|"$/g, '');
-        if (thousandSep === 'space') s = s.replace(/\s/g, '');
-        else if (thousandSep === '.') s = s.replace(/\./g, '');
-        else if (thousandSep === ',') s = s.replace(/,/g, '');
-        if (thousandSep !== ',') s = s.replace(',', '.');
-        const val = parseFloat(s);
-        return isNaN(val) ? 0 : val;
-      };
-      const md = cleanFloat(rawMD) * unitMultiplier;
-      const inc = cleanFloat(rawInc);
-      const azi = cleanFloat(rawAzi);
-      if (!isNaN(md) && md >= 0) parsed.push({ md: parseFloat(md.toFixed(2)), inc, azi });
+    const missingAzi = rawAzi === undefined || rawAzi.toString().trim().replace(/^"|"$/g, '') === '';
+    const azi = missingAzi ? 0 : parseFloat((cleanFloat(rawAzi) * angleFactor).toFixed(4));
+    // TVD from the file (optional column) is only used to compare against the calculated TVD
+    const fileTVD = colTVD > 0 ? cleanFloat(parts[colTVD - 1]) * unitMultiplier : NaN;
+    if (isNaN(md) || isNaN(inc) || isNaN(azi)) {
+      rows.push({ line: i + 1, text: line, point: null, error: 'Ikke numeriske verdier i MD/Inc/Azi kolonnene' });
+    } else if (md < 0) {
+      rows.push({ line: i + 1, text: line, point: null, error: 'Negativ MD' });
+    } else {
+      rows.push({ line: i + 1, text: line, point: { md: parseFloat(md.toFixed(2)), inc, azi }, fileTVD: isNaN(fileTVD) ? null : fileTVD, missingAzi, error: null });
     }
   }
-  return parsed;
+  return rows;
+};
+
+const parseSurveyData = (text, config) => inspectSurveyText(text, config).filter(r => r.point).map(r => r.point);
+
+// --- HELPER: SURVEY FROM POSITIONS ---
+// Legacy wells with only MD/TVD/N/E tables. 'arc' fits a minimum curvature arc to every chord: the chord bisects the
+// start and end directions, so the end direction is the start direction mirrored about the chord. This reproduces the
+// positions closely but passes rounding noise on as zigzag in inc/azi. 'smooth' uses the length-weighted mean of the
+// neighbouring chords instead, giving smoother DLS at the cost of larger position residuals.
+const POSITIONAL_METHODS = {
+  arc: { label: 'Buetilpasning (eksakt)' },
+  smooth: { label: 'Utjevnet (sentraldifferanse)' }
+};
+
+const directionToAngles = ([n, e, v]) => {
+  const length = Math.sqrt(n * n + e * e + v * v);
+  if (length === 0) return null;
+  const inc = radToDeg(Math.acos(Math.max(-1, Math.min(1, v / length))));
+  return { inc: parseFloat(inc.toFixed(4)), azi: inc < 1e-6 ? 0 : parseFloat(normalizeAzimuth(radToDeg(Math.atan2(e, n))).toFixed(4)) };
+};
+
+// positions: [{ md, tvd, north, east }] in the trajectory frame (local N/E from the wellhead, TVD from RKB).
+// Returns stations [{ md, inc, azi }] and, per input position, the distance to the recomputed minimum curvature position.
+const surveyFromPositions = (positions, options = {}, method = 'arc') => {
+  const tieIn = { ...DEFAULT_TIE_IN, ...options.tieIn };
+  const below = positions.filter(p => p.md > tieIn.md);
+  const path = [{ md: tieIn.md, tvd: tieIn.tvd, north: tieIn.north, east: tieIn.east }, ...below];
+  const chord = (a, b) => {
+    const d = [b.north - a.north, b.east - a.east, b.tvd - a.tvd];
+    const length = Math.sqrt(d[0] ** 2 + d[1] ** 2 + d[2] ** 2);
+    return length > 0 ? d.map(c => c / length) : null;
+  };
+
+  let t = directionVector(tieIn.inc, tieIn.azi);
+  const stations = [];
+  for (let i = 1; i < path.length; i++) {
+    const c1 = chord(path[i - 1], path[i]);
+    if (method === 'smooth') {
+      const c2 = i + 1 < path.length ? chord(path[i], path[i + 1]) : null;
+      const l1 = path[i].md - path[i - 1].md;
+      const l2 = i + 1 < path.length ? path[i + 1].md - path[i].md : l1;
+      // Weight each chord by the other segment's length: the shorter segment is closer to the station's tangent
+      if (c1 && c2) t = c1.map((c, k) => c * l2 + c2[k] * l1);
+      else if (c1 || c2) t = c1 || c2;
+    } else if (c1) {
+      const dot = t[0] * c1[0] + t[1] * c1[1] + t[2] * c1[2];
+      t = c1.map((c, k) => 2 * dot * c - t[k]);
+    }
+    const angles = directionToAngles(t) || { inc: tieIn.inc, azi: tieIn.azi };
+    stations.push({ md: path[i].md, ...angles });
+  }
+
+  const recomputed = calculateTrajectory(stations, { tieIn, method: DEFAULT_SURVEY_METHOD });
+  const residuals = positions.map(p => {
+    const q = positionAtMD(recomputed, p.md);
+    return { md: p.md, distance: q ? Math.sqrt((q.tvd - p.tvd) ** 2 + (q.north - p.north) ** 2 + (q.east - p.east) ** 2) : null };
+  });
+  return { stations, residuals };
+};
+
+// Fills in the stations of positional rows from inspectSurveyText. N/E in grid coordinates are moved to the wellhead.
+const applyPositionalSurvey = (rows, options, config) => {
+  const offsetN = config.positionRef === 'grid' ? options.surfaceNorthing : 0;
+  const offsetE = config.positionRef === 'grid' ? options.surfaceEasting : 0;
+  let lastMD = -Infinity;
+  const checked = rows.map(row => {
+    if (!row.position) return row;
+    if (row.position.md <= lastMD) return { ...row, position: null, error: 'MD er ikke stigende' };
+    lastMD = row.position.md;
+    return { ...row, position: { ...row.position, north: row.position.north - offsetN, east: row.position.east - offsetE } };
+  });
+  const positional = checked.filter(row => row.position);
+  if (positional.length === 0) return checked;
+  const tieIn = { ...DEFAULT_TIE_IN, ...options.tieIn };
+  const { stations, residuals } = surveyFromPositions(positional.map(row => row.position), options, config.positionMethod);
+  const stationByMD = new Map(stations.map(st => [st.md, st]));
+  return checked.map(row => {
+    if (!row.position) return row;
+    const index = positional.indexOf(row);
+    const point = stationByMD.get(row.position.md) || { md: row.position.md, inc: tieIn.inc, azi: tieIn.azi };
+    return { ...row, point, residual: residuals[index].distance };
+  });
+};
+
+// --- HELPER: SURVEY COLUMN DETECTION ---
+// Header names from contractor files, matched against a header cell with its unit removed
+const SURVEY_COLUMN_PATTERNS = {
+  tvd: /^(tvd|true ?vertical ?depth|tv ?depth)$/,
+  md: /^(md|m\.d\.|mdepth|measured ?depth|depth|dybde|dmea|dept)$/,
+  inc: /^(inc|incl|inclination|inkl|inklinasjon|angle|dev|devi|deviation)$/,
+  azi: /^(az|azi|azim|azimuth|azimut|azm|hazi|dir|direction|hole ?azimuth|azimuth ?(true|grid))$/,
+  north: /^(n|north|northing|n\/s|ns|dns|local ?n|nord)$/,
+  east: /^(e|east|easting|e\/w|ew|dew|local ?e|øst|ost)$/
+};
+const SURVEY_UNIT_PATTERNS = {
+  ft: /^(f|ft|feet|usft|fot)$/, m: /^(m|meter|meters|metres)$/,
+  rad: /^(rad|rads|radian|radians)$/, deg: /^(deg|degree|degrees|grader|°|dega)$/
+};
+
+// Splits a header or data line the way inspectSurveyText does. Multi-word names ("Measured Depth") and
+// units in their own cell ("MD (ft)") are joined so header cells line up with data columns.
+const splitSurveyLine = (line, delimiter) => {
+  if (delimiter === 'tab') return line.split('\t').map(c => c.trim());
+  if (delimiter !== 'auto') return line.split(delimiter).map(c => c.trim());
+  const joined = line.trim()
+    .replace(/true\s+vertical\s+depth/ig, 'TrueVerticalDepth').replace(/measured\s+depth/ig, 'MeasuredDepth')
+    .replace(/hole\s+azimuth/ig, 'HoleAzimuth').replace(/\s+([([])/g, '$1');
+  return joined.split(/[\t,; ]+/);
+};
+
+const parseHeaderCell = (cell) => {
+  const text = cell.trim().replace(/^"|"$/g, '');
+  const unitMatch = text.match(/[([]\s*([^)\]]+)\s*[)\]]/) || text.match(/[_\s-](ft|m|usft|deg|rad|°)$/i);
+  const name = text.replace(/[([][^)\]]*[)\]]/g, '').replace(/[_\s-](ft|m|usft|deg|rad|°)$/i, '').trim().toLowerCase()
+    .replace('trueverticaldepth', 'true vertical depth').replace('measureddepth', 'measured depth').replace('holeazimuth', 'hole azimuth');
+  const unitText = unitMatch ? unitMatch[1].trim().toLowerCase() : '';
+  const unit = Object.keys(SURVEY_UNIT_PATTERNS).find(key => SURVEY_UNIT_PATTERNS[key].test(unitText)) || null;
+  return { name, unit };
+};
+
+// Decides between degrees and radians for angle values that are all within 0–2π. Radians need non-integer values,
+// varying inclination and doglegs that stay realistic once converted; a TVD column settles it when present.
+// unit is null when both readings are plausible, so the user has to pick one.
+const guessAngleUnit = (stations) => {
+  const factor = 180 / Math.PI;
+  const values = stations.flatMap(st => [st.inc, st.azi]);
+  const incs = stations.map(st => st.inc);
+  if (values.every(Number.isInteger) || Math.max(...incs) - Math.min(...incs) === 0) return { unit: 'deg', note: 'Alle vinkler er under 2π, men tolkes som grader (heltall eller konstant inklinasjon)' };
+  let maxDLS = 0;
+  for (let i = 1; i < stations.length; i++) {
+    const dm = stations[i].md - stations[i - 1].md;
+    if (dm <= 0) continue;
+    const I1 = stations[i - 1].inc, I2 = stations[i].inc, dA = stations[i].azi - stations[i - 1].azi;
+    const dl = Math.acos(Math.max(-1, Math.min(1, Math.cos(I2 - I1) - Math.sin(I1) * Math.sin(I2) * (1 - Math.cos(dA)))));
+    maxDLS = Math.max(maxDLS, radToDeg(dl) / dm * RATE_INTERVAL_M);
+  }
+  if (maxDLS > SURVEY_QA_LIMITS.maxDLS * 3) return { unit: 'deg', note: `Alle vinkler er under 2π, men tolkes som grader (som radianer blir DLS ${maxDLS.toFixed(0)}°/30m)` };
+  const withTVD = stations.filter(st => !isNaN(st.tvd));
+  if (withTVD.length >= 2) {
+    const tvdError = (scale) => {
+      const trajectory = calculateTrajectory(stations.map(st => ({ md: st.md, inc: st.inc * scale, azi: st.azi * scale })), { tieIn: { ...DEFAULT_TIE_IN, md: stations[0].md, tvd: withTVD[0].tvd } });
+      return withTVD.reduce((sum, st) => sum + Math.abs((positionAtMD(trajectory, st.md)?.tvd ?? st.tvd) - st.tvd), 0) / withTVD.length;
+    };
+    const degError = tvdError(1), radError = tvdError(factor);
+    if (radError < degError / 2) return { unit: 'rad', note: 'Vinkler i radianer (TVD-kolonnen stemmer med radianer)' };
+    if (degError < radError / 2) return { unit: 'deg', note: 'Alle vinkler er under 2π, men TVD-kolonnen stemmer med grader' };
+  }
+  return { unit: null, note: 'Vinklene kan være både grader og radianer: velg enhet før du fortsetter' };
+};
+
+// Guesses the import config from the pasted text: first data line, delimiter, column mapping from the header row,
+// depth unit and degrees vs radians. Returns the config fields plus a confidence (0–1) and notes for the user.
+const detectSurveyColumns = (text) => {
+  const lines = (text || '').split('\n').slice(0, 200);
+  const isNumeric = (cell) => /^-?[\d\s.,]+(e-?\d+)?$/i.test(cell.trim()) && /\d/.test(cell);
+  const dataIndex = lines.findIndex(l => splitSurveyLine(l, 'auto').filter(isNumeric).length >= 3);
+  if (dataIndex < 0) return null;
+
+  const dataLine = lines[dataIndex];
+  const delimiter = dataLine.includes('\t') ? 'tab' : dataLine.includes(';') ? ';' : dataLine.includes(',') ? ',' : 'auto';
+  const dataCells = splitSurveyLine(dataLine, delimiter);
+  const notes = [];
+  const result = { mode: 'angles', startLine: dataIndex + 1, delimiter, colMD: 1, colInc: 2, colAzi: 3, colTVD: 0, colNorth: 3, colEast: 4, unitMultiplier: 1, angleUnit: 'deg' };
+  let score = 0;
+
+  // Header row: the closest line above the data with text in it. A line of units between them is also read.
+  let header = null;
+  let units = null;
+  for (let i = dataIndex - 1; i >= Math.max(0, dataIndex - 3); i--) {
+    const cells = splitSurveyLine(lines[i], delimiter).filter(c => c !== '');
+    if (cells.length === 0) continue;
+    const parsed = cells.map(parseHeaderCell);
+    const unitKeys = parsed.map(c => c.name === '' ? c.unit : Object.keys(SURVEY_UNIT_PATTERNS).find(key => SURVEY_UNIT_PATTERNS[key].test(c.name)));
+    if (unitKeys.every(Boolean)) { units = unitKeys; continue; }
+    if (parsed.some(c => Object.values(SURVEY_COLUMN_PATTERNS).some(re => re.test(c.name)))) header = parsed;
+    break;
+  }
+
+  const found = {};
+  if (header) {
+    header.forEach((cell, i) => {
+      const key = Object.keys(SURVEY_COLUMN_PATTERNS).find(k => SURVEY_COLUMN_PATTERNS[k].test(cell.name));
+      if (key && !found[key]) found[key] = { col: i + 1, unit: cell.unit || units?.[i] || null };
+    });
+    if (found.md) { result.colMD = found.md.col; score += 0.3; } else notes.push('Fant ikke MD-kolonne i headeren');
+    if (!found.inc && !found.azi && found.tvd && found.north && found.east) {
+      // Positional table without angles: inclination and azimuth are back-calculated from the positions
+      Object.assign(result, { mode: 'positions', colNorth: found.north.col, colEast: found.east.col });
+      notes.push('Posisjonstabell (MD/TVD/N/E) uten Inc/Azi: vinkler tilbakeregnes');
+      score += 0.5;
+    } else {
+      if (found.inc) { result.colInc = found.inc.col; score += 0.25; } else notes.push('Fant ikke Inc-kolonne i headeren');
+      if (found.azi) { result.colAzi = found.azi.col; score += 0.25; } else notes.push('Fant ikke Azi-kolonne i headeren');
+    }
+    if (found.tvd) result.colTVD = found.tvd.col;
+    if (header.length !== dataCells.length) { notes.push(`Headeren har ${header.length} kolonner, data har ${dataCells.length}`); score -= 0.2; }
+  } else {
+    notes.push('Ingen header funnet: antar kolonne 1–3 er MD, Inc, Azi');
+  }
+
+  // Depth unit from the header, otherwise meters
+  const depthUnit = found.md?.unit || found.tvd?.unit;
+  if (depthUnit === 'ft' || depthUnit === 'm') { result.unitMultiplier = depthUnit === 'ft' ? 0.3048 : 1; score += 0.1; }
+  else notes.push('Dybdeenhet ikke angitt: antar meter');
+
+  // Angle unit from the header, otherwise from the values (radians never exceed 2π)
+  const sample = lines.slice(dataIndex).map(l => splitSurveyLine(l, delimiter)).filter(c => c.length >= Math.max(result.colMD, result.colInc, result.colAzi));
+  const num = (cell) => Number(String(cell).trim().replace(',', '.'));
+  const incs = sample.map(c => num(c[result.colInc - 1])).filter(v => !isNaN(v));
+  const azis = sample.map(c => num(c[result.colAzi - 1])).filter(v => !isNaN(v));
+  const mds = sample.map(c => num(c[result.colMD - 1])).filter(v => !isNaN(v));
+  const angleUnit = found.inc?.unit === 'rad' || found.azi?.unit === 'rad' ? 'rad' : (found.inc?.unit === 'deg' || found.azi?.unit === 'deg' ? 'deg' : null);
+  if (angleUnit || result.mode === 'positions') { result.angleUnit = angleUnit || 'deg'; score += 0.1; }
+  else if (azis.length >= 5 && Math.max(...azis) > 0 && Math.max(...azis) <= 2 * Math.PI + 0.001 && Math.max(...incs) <= Math.PI + 0.001) {
+    // Small values alone do not prove radians: a near-vertical well heading north has them in degrees too
+    const guess = guessAngleUnit(sample.map(c => ({
+      md: num(c[result.colMD - 1]) * result.unitMultiplier, inc: num(c[result.colInc - 1]), azi: num(c[result.colAzi - 1]),
+      tvd: result.colTVD > 0 ? num(c[result.colTVD - 1]) * result.unitMultiplier : NaN
+    })).filter(st => !isNaN(st.md) && !isNaN(st.inc) && !isNaN(st.azi)));
+    result.angleUnit = guess.unit;
+    notes.push(guess.note);
+    if (!guess.unit) score -= 0.2;
+  }
+
+  // Sanity check of the mapped columns against the values
+  const maxAngle = result.angleUnit === 'rad' ? 2 * Math.PI : 360;
+  const increasing = mds.length > 1 ? mds.slice(1).filter((md, i) => md > mds[i]).length / (mds.length - 1) : 0;
+  if (increasing < 0.9) { notes.push('MD-kolonnen øker ikke jevnt'); score -= 0.2; }
+  if (result.mode === 'angles' && (incs.some(v => v < 0 || v > maxAngle / 2) || azis.some(v => v < 0 || v > maxAngle))) { notes.push('Inc/Azi-verdier utenfor gyldig område'); score -= 0.2; }
+  if (!header && increasing >= 0.9) score += 0.5;
+
+  const confidence = Math.max(0, Math.min(1, score));
+  return { ...result, confidence, level: confidence >= 0.8 ? 'high' : confidence >= 0.5 ? 'medium' : 'low', notes };
+};
+
+
+// --- HELPER: SURVEY FILE FORMATS ---
+// LAS 2.0 and WITSML 1.4.1 trajectories are read straight into stations in meters and degrees. Besides the stations,
+// the parsers return what they found about the well and survey (used to pre-fill the wizard) and every header item
+// they did not use, so the user can see what was left behind.
+const unitKey = (uom) => Object.keys(SURVEY_UNIT_PATTERNS).find(key => SURVEY_UNIT_PATTERNS[key].test((uom || '').trim().toLowerCase())) || null;
+const lengthToMeters = (value, uom) => (unitKey(uom) === 'ft' ? value * 0.3048 : value);
+const angleToDegrees = (value, uom) => (unitKey(uom) === 'rad' ? value * 180 / Math.PI : value);
+const fileDate = (text) => {
+  if (!text) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(text.trim())) return text.trim().slice(0, 10);
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+const parseLasSurvey = (text) => {
+  const sections = {};
+  let current = null;
+  text.split(/\r?\n/).forEach(line => {
+    if (line.trim() === '' || line.trim().startsWith('#')) return;
+    if (line.trim().startsWith('~')) { current = line.trim().charAt(1).toUpperCase(); sections[current] = []; return; }
+    if (current) sections[current].push(line);
+  });
+  if (!sections.V || !sections.C || !sections.A) throw new Error('Ugyldig LAS-fil: mangler ~V, ~C eller ~A seksjon.');
+
+  // Header lines are "MNEM.UNIT  VALUE : DESCRIPTION"
+  const readItems = (lines = []) => lines.map(line => {
+    const match = line.match(/^\s*([^.\s]+)\s*\.(\S*)\s*(.*)$/);
+    if (!match) return null;
+    const colon = match[3].lastIndexOf(':');
+    return {
+      mnemonic: match[1].trim().toUpperCase(), unit: match[2].trim(),
+      value: (colon >= 0 ? match[3].slice(0, colon) : match[3]).trim(),
+      description: colon >= 0 ? match[3].slice(colon + 1).trim() : ''
+    };
+  }).filter(Boolean);
+  const version = readItems(sections.V);
+  const wellItems = readItems(sections.W);
+  const curves = readItems(sections.C);
+  const params = readItems(sections.P);
+  const vers = version.find(item => item.mnemonic === 'VERS')?.value;
+  const warnings = vers && !vers.startsWith('2') ? [`LAS versjon ${vers}: importert som LAS 2.0`] : [];
+
+  const curveIndex = (key) => curves.findIndex(c => SURVEY_COLUMN_PATTERNS[key].test(c.mnemonic.toLowerCase()) || SURVEY_COLUMN_PATTERNS[key].test(c.description.toLowerCase()));
+  const cols = { md: curveIndex('md'), inc: curveIndex('inc'), azi: curveIndex('azi'), tvd: curveIndex('tvd') };
+  if (cols.md < 0) cols.md = 0;
+  if (cols.inc < 0 || cols.azi < 0) throw new Error('Fant ikke inklinasjon- og azimut-kurver i ~C seksjonen.');
+
+  // Wrapped and unwrapped data are both read as one stream of values, one row per curve count
+  const nullValue = parseFloat(wellItems.find(item => item.mnemonic === 'NULL')?.value);
+  const values = sections.A.join(' ').trim().split(/\s+/).map(Number);
+  const stations = [];
+  let skipped = 0;
+  for (let i = 0; i + curves.length <= values.length; i += curves.length) {
+    const row = values.slice(i, i + curves.length);
+    const pick = (key) => (cols[key] >= 0 && row[cols[key]] !== nullValue ? row[cols[key]] : NaN);
+    const md = pick('md'), inc = pick('inc'), azi = pick('azi'), tvd = pick('tvd');
+    if ([md, inc, azi].some(v => isNaN(v))) { skipped++; continue; }
+    stations.push({
+      md: lengthToMeters(md, curves[cols.md].unit), inc: angleToDegrees(inc, curves[cols.inc].unit), azi: angleToDegrees(azi, curves[cols.azi].unit),
+      tvd: isNaN(tvd) ? null : lengthToMeters(tvd, curves[cols.tvd].unit)
+    });
+  }
+  if (skipped > 0) warnings.push(`${skipped} rader med NULL/ugyldige verdier ble hoppet over`);
+
+  const item = (list, ...mnemonics) => list.find(entry => mnemonics.includes(entry.mnemonic) && entry.value !== '');
+  const used = new Set();
+  const take = (list, ...mnemonics) => { const found = item(list, ...mnemonics); if (found) used.add(found); return found; };
+  const well = take(wellItems, 'WELL');
+  const company = take(wellItems, 'COMP');
+  const service = take(wellItems, 'SRVC');
+  const date = take(wellItems, 'DATE');
+  const elevation = take([...wellItems, ...params], 'EKB', 'EREF', 'EDF', 'APD');
+  const vsAzimuth = take(params, 'VSAZ', 'VSEC', 'VSA');
+  ['STRT', 'STOP', 'STEP', 'NULL'].forEach(m => take(wellItems, m));
+  if (date && !fileDate(date.value)) used.delete(date);
+
+  const ignored = [
+    ...[...wellItems, ...params].filter(entry => !used.has(entry)).map(entry => ({ key: entry.mnemonic, value: `${entry.value}${entry.unit ? ` ${entry.unit}` : ''}${entry.description ? ` (${entry.description})` : ''}` })),
+    ...curves.filter((c, i) => !Object.values(cols).includes(i)).map(c => ({ key: `Kurve ${c.mnemonic}`, value: c.description || c.unit })),
+    ...(sections.O?.length ? [{ key: '~Other', value: sections.O.map(l => l.trim()).join(' ') }] : [])
+  ];
+
+  return {
+    format: 'LAS 2.0', stations, warnings, ignored,
+    units: { depth: unitKey(curves[cols.md].unit) || 'm', angle: unitKey(curves[cols.inc].unit) || 'deg' },
+    well: {
+      name: well?.value || '', operator: company?.value || '',
+      rkb: elevation && !isNaN(parseFloat(elevation.value)) ? lengthToMeters(parseFloat(elevation.value), elevation.unit) : null,
+      vsAzimuth: vsAzimuth && !isNaN(parseFloat(vsAzimuth.value)) ? angleToDegrees(parseFloat(vsAzimuth.value), vsAzimuth.unit) : null
+    },
+    survey: { name: '', source: service?.value || '', date: fileDate(date?.value), type: null }
+  };
+};
+
+const parseWitsmlTrajectory = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('Ugyldig XML: filen kunne ikke leses.');
+  const trajectories = doc.getElementsByTagNameNS('*', 'trajectory');
+  if (trajectories.length === 0) throw new Error('Fant ikke noe <trajectory> element i WITSML-filen.');
+  const trajectory = trajectories[0];
+  const children = (node) => Array.from(node.children);
+  const child = (node, name) => children(node).find(c => c.localName === name);
+  const textOf = (node, name) => child(node, name)?.textContent.trim() || '';
+  const measure = (node, name, convert) => {
+    const el = child(node, name);
+    const value = parseFloat(el?.textContent);
+    return el && !isNaN(value) ? convert(value, el.getAttribute('uom')) : null;
+  };
+
+  const warnings = [];
+  const version = doc.documentElement.getAttribute('version');
+  if (version && !version.startsWith('1.4')) warnings.push(`WITSML versjon ${version}: importert som 1.4.1`);
+  if (trajectories.length > 1) warnings.push(`Filen inneholder ${trajectories.length} trajectories, bare den første (${textOf(trajectory, 'name') || 'uten navn'}) er importert`);
+
+  const stationNodes = children(trajectory).filter(c => c.localName === 'trajectoryStation');
+  const stationFields = new Set(['md', 'tvd', 'incl', 'azi']);
+  const ignoredStationFields = new Set();
+  let skipped = 0;
+  const stations = stationNodes.map(node => {
+    children(node).forEach(c => { if (!stationFields.has(c.localName) && c.textContent.trim() !== '') ignoredStationFields.add(c.localName); });
+    const md = measure(node, 'md', lengthToMeters), inc = measure(node, 'incl', angleToDegrees), azi = measure(node, 'azi', angleToDegrees);
+    if (md === null || inc === null || azi === null) { skipped++; return null; }
+    return { md, inc, azi, tvd: measure(node, 'tvd', lengthToMeters) };
+  }).filter(Boolean);
+  if (skipped > 0) warnings.push(`${skipped} stasjoner uten md/incl/azi ble hoppet over`);
+
+  const used = new Set(['trajectoryStation', 'nameWell', 'name', 'serviceCompany', 'dTimTrajStart', 'aziVertSect', 'definitive', 'commonData']);
+  const ignored = [
+    ...children(trajectory).filter(c => !used.has(c.localName) && c.children.length === 0 && c.textContent.trim() !== '')
+      .map(c => ({ key: c.localName, value: `${c.textContent.trim()}${c.getAttribute('uom') ? ` ${c.getAttribute('uom')}` : ''}` })),
+    ...(ignoredStationFields.size > 0 ? [{ key: 'trajectoryStation', value: Array.from(ignoredStationFields).join(', ') }] : [])
+  ];
+
+  return {
+    format: 'WITSML 1.4.1', stations, warnings, ignored,
+    units: {
+      depth: unitKey(child(stationNodes[0] || trajectory, 'md')?.getAttribute('uom')) || 'm',
+      angle: unitKey(child(stationNodes[0] || trajectory, 'incl')?.getAttribute('uom')) || 'deg'
+    },
+    well: { name: textOf(trajectory, 'nameWell'), operator: '', rkb: null, vsAzimuth: measure(trajectory, 'aziVertSect', angleToDegrees) },
+    survey: {
+      name: textOf(trajectory, 'name'), source: textOf(trajectory, 'serviceCompany'), date: fileDate(textOf(trajectory, 'dTimTrajStart')),
+      type: textOf(trajectory, 'definitive') === 'true' ? 'definitive' : null
+    }
+  };
+};
+
+// Picks the parser from the file extension, falling back to the content
+const parseSurveyFile = (fileName, text) => {
+  const name = fileName.toLowerCase();
+  if (name.endsWith('.las') || /^\s*~V/im.test(text.slice(0, 500))) return parseLasSurvey(text);
+  if (name.endsWith('.xml') || text.trimStart().startsWith('<')) return parseWitsmlTrajectory(text);
+  return null;
+};
+
+// --- HELPER: SURVEY MERGE ---
+// Builds one survey from several sources, e.g. a gyro run near surface and MWD below. Each source is used inside its
+// MD interval (blank = the source's own station range); where intervals overlap, the lowest priority number wins.
+// Merged stations carry the source name in `source`. Overlaps and uncovered gaps are returned for display.
+const mergeSurveySources = (sources) => {
+  const ranges = sources.filter(src => src.stations.length > 0).map((src, order) => {
+    const mds = src.stations.map(st => st.md);
+    const from = parseFloat(src.from), to = parseFloat(src.to);
+    return { ...src, order, priority: parseFloat(src.priority) || 0, from: isNaN(from) ? Math.min(...mds) : from, to: isNaN(to) ? Math.max(...mds) : to };
+  }).filter(r => r.to >= r.from);
+  const rank = (a, b) => a.priority - b.priority || a.order - b.order;
+
+  // Elementary intervals between every range boundary, each won by the best covering source
+  const bounds = [...new Set(ranges.flatMap(r => [r.from, r.to]))].sort((a, b) => a - b);
+  const intervals = [];
+  const gaps = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const from = bounds[i], to = bounds[i + 1];
+    const covering = ranges.filter(r => r.from <= from && r.to >= to).sort(rank);
+    if (covering.length === 0) gaps.push({ from, to });
+    else intervals.push({ from, to, winner: covering[0], losers: covering.slice(1) });
+  }
+  if (bounds.length === 1) intervals.push({ from: bounds[0], to: bounds[0], winner: [...ranges].sort(rank)[0], losers: [] });
+
+  const wins = (range, md) => intervals.some(iv => iv.winner.id === range.id && md >= iv.from && md <= iv.to);
+  const byMD = new Map();
+  [...ranges].sort(rank).forEach(range => range.stations.forEach(st => {
+    if (!byMD.has(st.md) && wins(range, st.md)) byMD.set(st.md, { ...st, source: range.name });
+  }));
+
+  const overlaps = intervals.filter(iv => iv.losers.length > 0).map(iv => ({ from: iv.from, to: iv.to, winner: iv.winner.name, overridden: iv.losers.map(l => l.name) }));
+  return { stations: [...byMD.values()].sort((a, b) => a.md - b.md), overlaps, gaps };
+};
+
+// Splits a merged survey back into its sources so it can be edited again
+const splitSurveySources = (stations) => {
+  const groups = [];
+  stations.forEach(st => {
+    const name = st.source || 'Survey';
+    let group = groups.find(g => g.name === name);
+    if (!group) { group = { id: `src-${groups.length + 1}`, name, stations: [], from: '', to: '', priority: groups.length + 1 }; groups.push(group); }
+    const station = { ...st };
+    delete station.source;
+    group.stations.push(station);
+  });
+  return groups;
+};
+// --- HELPER: SURVEY QA ---
+const SURVEY_QA_LIMITS = { maxDLS: 10, maxStationGap: 100 }; // DLS in °/30m, gap in m
+
+// Each issue type lists the resolutions the user can pick; the first one is the recommended choice
+const SURVEY_QA_RULES = {
+  unparsable: { label: 'Kunne ikke tolkes', severity: 'error', actions: ['drop'] },
+  nonIncreasingMD: { label: 'MD øker ikke', severity: 'error', actions: ['fix', 'drop', 'accept'] },
+  duplicateMD: { label: 'Duplisert MD', severity: 'error', actions: ['drop', 'accept'] },
+  incRange: { label: 'Inklinasjon utenfor 0–180°', severity: 'error', actions: ['fix', 'drop'] },
+  aziRange: { label: 'Azimut utenfor 0–360°', severity: 'error', actions: ['fix', 'drop', 'accept'] },
+  doglegSpike: { label: 'Unormal dogleg', severity: 'warning', actions: ['accept', 'drop'] },
+  stationGap: { label: 'Stort stasjonsgap', severity: 'warning', actions: ['accept'] },
+  aboveTieIn: { label: 'Over tie-in', severity: 'warning', actions: ['drop', 'accept'] },
+  missingAzimuth: { label: 'Mangler azimut', severity: 'warning', actions: ['accept', 'drop'] }
+};
+
+const SURVEY_QA_ACTION_LABELS = { fix: 'Fiks', drop: 'Fjern', accept: 'Godta' };
+
+// Returns a list of issues. index refers to the station in `rows.filter(r => r.point)`, null for unparsable lines.
+// options.tieInMD: stations above the tie-in are not used by calculateTrajectory and are reported.
+const validateSurvey = (rows, options = {}) => {
+  const issues = [];
+  const add = (type, row, index, message) => issues.push({ key: `${type}:${row.line}:${index ?? '-'}`, type, line: row.line, index, message, ...SURVEY_QA_RULES[type] });
+
+  let index = -1;
+  let prev = null;
+  rows.forEach(row => {
+    if (!row.point) {
+      add('unparsable', row, null, `${row.error}: "${row.text.slice(0, 40)}"`);
+      return;
+    }
+    index += 1;
+    const p = row.point;
+    if (p.inc < 0 || p.inc > 180) add('incRange', row, index, `Inc ${p.inc}°`);
+    if (p.azi < 0 || p.azi > 360) add('aziRange', row, index, `Azi ${p.azi}°`);
+    if (row.missingAzi) add('missingAzimuth', row, index, `Ingen azimut på MD ${p.md} m, brukes som 0°`);
+    if (options.tieInMD > 0 && p.md < options.tieInMD) add('aboveTieIn', row, index, `MD ${p.md} m ligger over tie-in (${options.tieInMD} m) og brukes ikke`);
+    if (prev) {
+      const dm = p.md - prev.point.md;
+      if (dm === 0) add('duplicateMD', row, index, `MD ${p.md} m finnes allerede på linje ${prev.line}`);
+      else if (dm < 0) add('nonIncreasingMD', row, index, `MD ${p.md} m er lavere enn forrige stasjon (${prev.point.md} m)`);
+      else {
+        if (dm > SURVEY_QA_LIMITS.maxStationGap) add('stationGap', row, index, `${dm.toFixed(1)} m siden forrige stasjon`);
+        const I1 = degToRad(prev.point.inc), I2 = degToRad(p.inc);
+        const dA = degToRad(p.azi - prev.point.azi);
+        const dl = Math.acos(Math.max(-1, Math.min(1, Math.cos(I2 - I1) - Math.sin(I1) * Math.sin(I2) * (1 - Math.cos(dA)))));
+        const dls = radToDeg(dl) / dm * RATE_INTERVAL_M;
+        if (dls > SURVEY_QA_LIMITS.maxDLS) add('doglegSpike', row, index, `DLS ${dls.toFixed(1)}°/30m (grense ${SURVEY_QA_LIMITS.maxDLS})`);
+      }
+    }
+    // Keep comparing against the deepest valid station so one bad MD does not flag the rest
+    if (!prev || p.md > prev.point.md) prev = row;
+  });
+  return issues;
+};
+
+// Applies the chosen resolution per issue key ('fix' | 'drop' | 'accept') to the parsed stations
+const applySurveyResolutions = (points, issues, resolutions) => {
+  const result = points.map(p => ({ ...p }));
+  const dropped = new Set();
+  let sortByMD = false;
+  issues.forEach(issue => {
+    const action = resolutions[issue.key];
+    if (issue.index === null || !action) return;
+    if (action === 'drop') dropped.add(issue.index);
+    if (action === 'fix') {
+      const p = result[issue.index];
+      if (issue.type === 'incRange') p.inc = Math.max(0, Math.min(180, p.inc));
+      if (issue.type === 'aziRange') p.azi = normalizeAzimuth(p.azi);
+      if (issue.type === 'nonIncreasingMD') sortByMD = true;
+    }
+  });
+  const kept = result.filter((_, i) => !dropped.has(i));
+  return sortByMD ? kept.sort((a, b) => a.md - b.md) : kept;
+};
+
+// --- HELPER: ARCHITECTURE TABLE IMPORT ---
+// Casing schematics and completion tallies pasted from Excel or loaded from CSV. Columns are mapped to section fields
+// (header names are recognised where possible). A tally without from/to depths is stacked from the joint lengths.
+const ARCHITECTURE_FIELDS = {
+  start: 'Fra', end: 'Til', length: 'Lengde', od: 'OD', weight: 'Vekt', id: 'ID', drift: 'Drift', grade: 'Grade', description: 'Beskrivelse'
+};
+const ARCHITECTURE_COLUMN_PATTERNS = {
+  start: /^(fra|fra ?md|from|top|topp|top ?md|md ?top|start|depth ?from)$/,
+  end: /^(til|til ?md|to|bottom|bunn|base|bottom ?md|md ?bottom|end|slutt|depth ?to|setting ?depth|shoe ?depth)$/,
+  length: /^(length|lengde|len|joint ?length|lengde ?ledd)$/,
+  od: /^(od|size|outer ?diameter|ytre ?diameter|pipe ?od|nom ?od)$/,
+  weight: /^(weight|wt|vekt|nominal ?weight|ppf|nom ?weight)$/,
+  id: /^(id|inner ?diameter|indre ?diameter|nominal ?id|nom ?id)$/,
+  drift: /^(drift|drift ?id|drift ?diameter)$/,
+  grade: /^(grade|kvalitet|steel ?grade)$/,
+  description: /^(description|beskrivelse|desc|item|component|komponent|type|comment|kommentar)$/
+};
+// Factors to meters (depth), centimeters (OD/ID) and kg/m (weight)
+const ARCHITECTURE_UNIT_FACTORS = { m: 1, ft: 0.3048, cm: 1, in: 2.54, mm: 0.1, 'kg/m': 1, 'lb/ft': 1 / 0.671969 };
+const ARCHITECTURE_UNIT_OPTIONS = { depth: ['m', 'ft'], od: ['cm', 'in', 'mm'], id: ['cm', 'in', 'mm'], weight: ['kg/m', 'lb/ft'] };
+const ARCHITECTURE_UNIT_GROUPS = { start: 'depth', end: 'depth', length: 'depth', drift: 'id' };
+const convertArchitectureUnit = (value, from, to) => value * ARCHITECTURE_UNIT_FACTORS[from] / ARCHITECTURE_UNIT_FACTORS[to];
+
+// Accepts decimal commas and fractional pipe sizes such as 9 5/8" or 13-3/8. thousandSep works like the survey
+// import option ('none' | 'space' | '.' | ','); without it, a cell holding both "," and "." ("3,500.00") uses the
+// first one as thousands separator and a lone comma is read as decimal comma.
+const parseTableNumber = (cell, thousandSep) => {
+  const text = String(cell ?? '').trim().replace(/["”]|in$/g, '').trim();
+  const fraction = text.match(/^(\d+)[\s-]+(\d+)\/(\d+)$/);
+  if (fraction) return parseInt(fraction[1]) + parseInt(fraction[2]) / parseInt(fraction[3]);
+  if (text === '') return NaN;
+  let s = text.replace(/\s/g, '');
+  const sep = thousandSep || (s.includes(',') && s.includes('.') ? (s.indexOf(',') < s.indexOf('.') ? ',' : '.') : 'none');
+  if (sep === '.') s = s.replace(/\./g, '');
+  else if (sep === ',') s = s.replace(/,/g, '');
+  if (sep !== ',') s = s.replace(',', '.');
+  return Number(s);
+};
+
+// Thousands separator used by a pasted table, decided from the cells that show it: both separators in one cell
+// ("3,500.00" / "3.500,00"), a repeated separator ("1,234,567"), or a decimal point elsewhere next to "2,500".
+// ambiguous is set when "2,500"-like cells are read with a decimal comma only because nothing else settles it.
+const detectTableThousandSep = (rows) => {
+  const cells = rows.flat().map(c => String(c ?? '').trim()).filter(c => /^-?[\d\s.,]+$/.test(c) && /\d/.test(c));
+  for (const c of cells) {
+    const comma = c.indexOf(','), dot = c.indexOf('.');
+    if (comma >= 0 && dot >= 0) return { thousandSep: comma < dot ? ',' : '.', ambiguous: false };
+    if ((c.match(/,/g) || []).length > 1) return { thousandSep: ',', ambiguous: false };
+    if ((c.match(/\./g) || []).length > 1) return { thousandSep: '.', ambiguous: false };
+  }
+  const grouped = cells.some(c => /^-?\d{1,3},\d{3}$/.test(c));
+  if (grouped && cells.some(c => c.includes('.'))) return { thousandSep: ',', ambiguous: false };
+  return { thousandSep: 'none', ambiguous: grouped };
+};
+
+const splitTableText = (text) => {
+  const lines = (text || '').split(/\r?\n/).filter(l => l.trim() !== '');
+  const sample = lines.slice(0, 20).join('\n');
+  const delimiter = sample.includes('\t') ? 'tab' : sample.includes(';') ? ';' : sample.includes(',') ? ',' : 'auto';
+  return lines.map(l => splitSurveyLine(l, delimiter));
+};
+
+// Header row, column mapping (0-based, -1 = not mapped) and units read from the header, e.g. "OD (in)"
+const detectArchitectureColumns = (rows) => {
+  const mapping = Object.fromEntries(Object.keys(ARCHITECTURE_FIELDS).map(key => [key, -1]));
+  const units = {};
+  const headerRow = rows.slice(0, 10).findIndex(cells => cells.filter(cell => Object.values(ARCHITECTURE_COLUMN_PATTERNS).some(re => re.test(parseHeaderCell(cell).name))).length >= 2);
+  if (headerRow < 0) return { headerRow, mapping, units };
+  rows[headerRow].forEach((cell, i) => {
+    const key = Object.keys(ARCHITECTURE_COLUMN_PATTERNS).find(k => ARCHITECTURE_COLUMN_PATTERNS[k].test(parseHeaderCell(cell).name));
+    if (!key || mapping[key] >= 0) return;
+    mapping[key] = i;
+    const unit = (cell.match(/[([]\s*([^)\]]+)\s*[)\]]/)?.[1] || '').trim().toLowerCase().replace('ppf', 'lb/ft').replace('"', 'in');
+    const group = ARCHITECTURE_UNIT_GROUPS[key] || key;
+    if (ARCHITECTURE_UNIT_OPTIONS[group]?.includes(unit)) units[group] = unit;
+  });
+  return { headerRow, mapping, units };
+};
+
+// Rows below the header become sections in the target units. Rows without any numeric depth/size are skipped
+// (sub-headers, totals). Missing ID/drift is taken from the pipe catalog, else estimated from OD and weight.
+const parseArchitectureRows = (rows, { headerRow, mapping, fromUnits, thousandSep }, toUnits, catalog = PIPE_CATALOG) => {
+  const cell = (cells, key) => (mapping[key] >= 0 ? cells[mapping[key]] : undefined);
+  const num = (cells, key, group) => {
+    const value = parseTableNumber(cell(cells, key), thousandSep);
+    return isNaN(value) ? null : convertArchitectureUnit(value, fromUnits[group], toUnits[group]);
+  };
+  const sections = [];
+  let depth = 0;
+  rows.slice(headerRow + 1).forEach(cells => {
+    const length = num(cells, 'length', 'depth');
+    const start = num(cells, 'start', 'depth') ?? (sections.length > 0 ? sections[sections.length - 1].end : depth);
+    const end = num(cells, 'end', 'depth') ?? (length !== null ? start + length : null);
+    const od = num(cells, 'od', 'od');
+    if (end === null && od === null) return;
+    const weight = num(cells, 'weight', 'weight');
+    const grade = String(cell(cells, 'grade') ?? '').trim();
+    const pipe = od !== null && weight !== null ? findCatalogPipe(catalog, od, weight, toUnits, grade) : null;
+    const fromPipe = pipe ? sectionFromCatalog(pipe, toUnits) : null;
+    const id = num(cells, 'id', 'id') ?? fromPipe?.id ?? calculateIDFromODWeight(od, weight, toUnits.od, toUnits.weight, toUnits.id);
+    const drift = num(cells, 'drift', 'id') ?? (fromPipe && fromPipe.id === id ? fromPipe.drift : estimateDrift(id, od, toUnits));
+    depth = end ?? start;
+    sections.push({
+      start: parseFloat(start.toFixed(2)), end: parseFloat((end ?? start).toFixed(2)),
+      od: od !== null ? parseFloat(od.toFixed(3)) : 0, weight: weight !== null ? parseFloat(weight.toFixed(2)) : 0, id: id !== null ? parseFloat(id.toFixed(3)) : 0,
+      drift: parseFloat((drift || 0).toFixed(3)), grade, description: String(cell(cells, 'description') ?? '').trim(),
+      ...(pipe ? { pipeKey: pipe.key } : {})
+    });
+  });
+  return sections;
 };
 
 // --- HELPER: PARSING SIMULATION CSV ---
@@ -361,8 +2236,16 @@ const parseSimulationCSV = (text) => {
   return data.sort((a, b) => a.md - b.md);
 };
 
+// Survey sources in station order (merged surveys), used for colouring the well path
+const SURVEY_SOURCE_COLORS = [0x37424A, 0xE11D48, 0x3B82F6, 0xF97316, 0x8B5CF6];
+const surveySourceNames = (points) => [...new Set((points || []).filter(p => p.source).map(p => p.source))];
+
 // --- COMPONENT: 3D WELL VIEWER (INTERACTIVE) ---
-const WellBore3D = ({ points, architecture }) => {
+// datum: optional trajectory options ({ rkb, waterDepth }) used to draw sea level and seabed
+// branches: optional sidetracks [{ id, name, kickoffMD, points, architecture }], drawn from their kick-off point
+// offsets: optional offset wells [{ id, name, points }] already moved into this well's frame (relocateTrajectory)
+// restrictions: optional point restrictions of the main bore (branches carry their own), drawn as red markers
+const WellBore3D = ({ points, architecture, restrictions, datum, branches, offsets }) => {
   const containerRef = useRef(null);
   const [libLoaded, setLibLoaded] = useState(false);
   const [hoverInfo, setHoverInfo] = useState(null);
@@ -383,8 +2266,25 @@ const WellBore3D = ({ points, architecture }) => {
       scene.background = new THREE.Color(0xffffff);
       const camera = new THREE.PerspectiveCamera(45, w / h, 1, 50000);
 
+      // Main bore first, then sidetracks. `from` is the first point drawn (sidetracks share the parent path above the KOP).
+      const BRANCH_COLORS = [0x00A99D, 0x3B82F6, 0xE11D48, 0x8B5CF6, 0xF97316];
+      const OFFSET_COLORS = [0x9CA3AF, 0xC4B5FD, 0xFCA5A5, 0x93C5FD, 0xFCD34D];
+      const surveySources = surveySourceNames(points);
+      const paths = [
+        { name: null, points, architecture, restrictions, from: 0, color: 0x37424A },
+        ...(branches || []).filter(b => b.points.length > 1).map((b, i) => ({
+          name: b.name, points: b.points, architecture: b.architecture, restrictions: b.restrictions,
+          from: Math.max(0, b.points.findIndex(p => p.md >= b.kickoffMD) - 1),
+          color: BRANCH_COLORS[i % BRANCH_COLORS.length]
+        })),
+        ...(offsets || []).filter(o => o.points.length > 1).map((o, i) => ({
+          name: o.name, points: o.points, architecture: null, from: 0, isOffset: true,
+          color: OFFSET_COLORS[i % OFFSET_COLORS.length]
+        }))
+      ];
+
       let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity, minZ = Infinity, maxZ = -Infinity;
-      points.forEach(p => {
+      paths.flatMap(path => path.points).forEach(p => {
         if (p.x < minX) minX = p.x; if (p.x > maxX) maxX = p.x;
         if (p.y < minY) minY = p.y; if (p.y > maxY) maxY = p.y;
         if (p.z < minZ) minZ = p.z; if (p.z > maxZ) maxZ = p.z;
@@ -417,15 +2317,68 @@ const WellBore3D = ({ points, architecture }) => {
       const axes = new THREE.AxesHelper(1000);
       scene.add(axes);
 
-      // Points geometry for Raycasting
-      const geometry = new THREE.BufferGeometry();
-      const vertices = [];
-      points.forEach(p => vertices.push(p.x, p.y, p.z));
-      geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+      // Points geometry for Raycasting (one line per bore)
+      const lines = paths.map(path => {
+        const geometry = new THREE.BufferGeometry();
+        const vertices = [];
+        path.points.slice(path.from).forEach(p => vertices.push(p.x, p.y, p.z));
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+
+        // A merged survey is coloured per source; each segment takes the colour of the station it ends at
+        const colored = path.name === null && surveySources.length > 0;
+        if (colored) {
+          const colors = [];
+          path.points.slice(path.from).forEach((p, i, arr) => {
+            const source = (arr[i + 1] || p).source;
+            const color = new THREE.Color(source ? SURVEY_SOURCE_COLORS[surveySources.indexOf(source) % SURVEY_SOURCE_COLORS.length] : path.color);
+            colors.push(color.r, color.g, color.b);
+          });
+          geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        }
+        const material = new THREE.LineBasicMaterial(colored ? { vertexColors: true, linewidth: 2 } : { color: path.color, linewidth: 2 });
+        const line = new THREE.Line(geometry, material);
+        line.userData.path = path;
+        scene.add(line);
+        return line;
+      });
 
-      const material = new THREE.LineBasicMaterial({ color: 0x37424A, linewidth: 2 });
-      const line = new THREE.Line(geometry, material);
-      scene.add(line);
+      // Sea level and seabed (TVD is measured from RKB, so sea level sits at TVD = RKB elevation)
+      const planeSize = Math.max(maxDim * 2, 500);
+      const addLevelPlane = (depth, color) => {
+        const plane = new THREE.Mesh(
+          new THREE.PlaneGeometry(planeSize, planeSize),
+          new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.12, side: THREE.DoubleSide, depthWrite: false })
+        );
+        plane.rotation.x = -Math.PI / 2;
+        plane.position.set(centerX, -depth, centerZ);
+        scene.add(plane);
+      };
+      if (datum?.rkb > 0) addLevelPlane(datum.rkb, 0x00A99D);
+      if (datum?.waterDepth > 0) addLevelPlane((datum.rkb || 0) + datum.waterDepth, 0x8B5A2B);
+
+      // Deviated tie-in: mark it and show the unsurveyed path from the wellhead as a dashed line
+      const start = points[0];
+      if (start.isTieIn && start.md > 0) {
+        const tieGeometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(start.x, start.y, start.z)]);
+        const tieLine = new THREE.Line(tieGeometry, new THREE.LineDashedMaterial({ color: 0x9CA3AF, dashSize: 20, gapSize: 10 }));
+        tieLine.computeLineDistances();
+        scene.add(tieLine);
+        const tieMarker = new THREE.Mesh(new THREE.SphereGeometry(8, 16, 16), new THREE.MeshBasicMaterial({ color: 0x00A99D }));
+        tieMarker.position.set(start.x, start.y, start.z);
+        scene.add(tieMarker);
+      }
+
+      // Point restrictions (nipples, SSSV, mandrels) as red markers on their bore
+      const restrictionMarkers = paths.flatMap(path => (path.restrictions || []).map(r => {
+        const { depth, minId } = restrictionMetric(r);
+        const pos = positionAtMD(path.points, depth);
+        if (!pos) return null;
+        const mesh = new THREE.Mesh(new THREE.SphereGeometry(9, 16, 16), new THREE.MeshBasicMaterial({ color: 0xDC2626 }));
+        mesh.position.set(pos.east, -pos.tvd, -pos.north);
+        mesh.userData = { restriction: r, depth, minId, tvd: pos.tvd, bore: path.name };
+        scene.add(mesh);
+        return mesh;
+      })).filter(Boolean);
 
       // Marker for hover
       const markerGeometry = new THREE.SphereGeometry(5, 16, 16); // Adjust size as needed
@@ -445,14 +2398,40 @@ const WellBore3D = ({ points, architecture }) => {
         mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 
         raycaster.setFromCamera(mouse, camera);
-        const intersects = raycaster.intersectObject(line);
+        const restrictionHit = raycaster.intersectObjects(restrictionMarkers)[0];
+        const intersects = raycaster.intersectObjects(lines);
 
-        if (intersects.length > 0) {
+        if (restrictionHit) {
+          const { restriction, depth, minId, tvd, bore } = restrictionHit.object.userData;
+          marker.visible = false;
+          setHoverInfo({
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top,
+            md: depth,
+            tvd,
+            tvdss: datum?.rkb ? tvd - datum.rkb : null,
+            id: (minId / 2.54).toFixed(3),
+            restriction: `${RESTRICTION_TYPES[restriction.type] || restriction.type}${restriction.name ? ` – ${restriction.name}` : ''}`,
+            bore: branches?.length > 0 ? (bore || MAIN_BORE.name) : null
+          });
+        } else if (intersects.length > 0) {
           const intersect = intersects[0];
-          const idx = Math.floor(intersect.index);
+          const path = intersect.object.userData.path;
+          const points = path.points;
+          const idx = Math.floor(intersect.index) + path.from;
           if (points[idx]) {
-            const p = points[idx];
-            const section = architecture?.find(s => p.md >= s.start && p.md <= s.end);
+            // MD at the hovered point: project onto the segment chord, then look up the position along the arc
+            let md = points[idx].md;
+            const next = points[idx + 1];
+            if (next) {
+              const a = new THREE.Vector3(points[idx].x, points[idx].y, points[idx].z);
+              const chord = new THREE.Vector3(next.x, next.y, next.z).sub(a);
+              const f = chord.lengthSq() > 0 ? Math.max(0, Math.min(1, intersect.point.clone().sub(a).dot(chord) / chord.lengthSq())) : 0;
+              md = points[idx].md + f * (next.md - points[idx].md);
+            }
+            const pos = positionAtMD(points, md);
+            const p = { ...pos, tvdss: pos.tvd - (datum?.rkb || 0) };
+            const section = path.architecture?.find(s => p.md >= s.start && p.md <= s.end);
 
             // Update marker
             marker.position.set(intersect.point.x, intersect.point.y, intersect.point.z);
@@ -463,7 +2442,10 @@ const WellBore3D = ({ points, architecture }) => {
               y: event.clientY - rect.top,
               md: p.md,
               tvd: p.tvd,
-              id: section ? section.id : '-'
+              tvdss: datum?.rkb ? p.tvdss : null,
+              id: section ? section.id : '-',
+              source: path.name === null ? (points[idx + 1] || points[idx]).source : null,
+              bore: path.isOffset ? `Offset: ${path.name}` : (branches?.length > 0 ? (path.name || MAIN_BORE.name) : null)
             });
           }
         } else {
@@ -504,9 +2486,10 @@ const WellBore3D = ({ points, architecture }) => {
         containerRef.current.innerHTML = `<div class="h-full flex items-center justify-center text-red-500 text-xs">Feil ved lasting av 3D visning: ${err.message}</div>`;
       }
     }
-  }, [libLoaded, points, architecture]);
+  }, [libLoaded, points, architecture, restrictions, datum, branches, offsets]);
 
   if (!libLoaded) return <div className="h-full flex items-center justify-center text-gray-400">Laster 3D motor...</div>;
+  const sourceNames = surveySourceNames(points);
 
   return (
     <div className="relative w-full h-full">
@@ -516,10 +2499,18 @@ const WellBore3D = ({ points, architecture }) => {
           className="absolute bg-white/90 border border-gray-300 p-2 rounded shadow-lg text-xs pointer-events-none z-10"
           style={{ left: hoverInfo.x + 15, top: hoverInfo.y + 15 }}
         >
-          <div className="font-bold text-[#37424A] mb-1">Brønn Data</div>
+          <div className="font-bold text-[#37424A] mb-1">{hoverInfo.bore || 'Brønn Data'}</div>
+          {hoverInfo.restriction && <div className="font-bold text-red-600">{hoverInfo.restriction}</div>}
           <div><span className="font-bold">MD:</span> {hoverInfo.md.toFixed(1)} m</div>
           <div><span className="font-bold">TVD:</span> {hoverInfo.tvd.toFixed(1)} m</div>
-          <div><span className="font-bold">ID:</span> {hoverInfo.id}"</div>
+          {hoverInfo.tvdss !== null && <div><span className="font-bold">TVDSS:</span> {hoverInfo.tvdss.toFixed(1)} m</div>}
+          <div><span className="font-bold">{hoverInfo.restriction ? 'Min. ID' : 'ID'}:</span> {hoverInfo.id}"</div>
+          {hoverInfo.source && <div><span className="font-bold">Kilde:</span> {hoverInfo.source}</div>}
+        </div>
+      )}
+      {sourceNames.length > 0 && (
+        <div className="absolute top-2 right-2 text-[10px] bg-white/80 px-2 py-1 rounded pointer-events-none space-y-0.5">
+          {sourceNames.map((name, i) => <div key={name} className="flex items-center gap-1"><span className="w-3 h-1 inline-block" style={{ backgroundColor: `#${SURVEY_SOURCE_COLORS[i % SURVEY_SOURCE_COLORS.length].toString(16).padStart(6, '0')}` }}></span>{name}</div>)}
         </div>
       )}
       <div className="absolute bottom-2 left-2 text-[10px] text-gray-400 bg-white/80 px-2 py-1 rounded pointer-events-none">
@@ -533,8 +2524,11 @@ const WellBore3D = ({ points, architecture }) => {
 function FieldPortal({ well, run }) {
   if (!well || !run) return <div className="p-8 text-center text-gray-500">Fant ikke data for dette runnet.</div>;
 
-  const maxDepth = Math.max(...well.survey.map(p => p.md), 0);
-  const trajectory = calculateTrajectory(well.survey);
+  const stations = getBoreStations(well, run.boreId, run.surveyId);
+  const architecture = getBoreArchitecture(well, run.boreId);
+  const bore = getWellBores(well).find(b => b.id === run.boreId) || MAIN_BORE;
+  const maxDepth = Math.max(...stations.map(p => p.md), 0);
+  const trajectory = calculateTrajectory(stations, getTrajectoryOptions(well));
   const maxTVD = trajectory.length > 0 ? Math.max(...trajectory.map(t => t.tvd)) : maxDepth;
   const targetDepth = run.general?.targetDepth || maxDepth;
 
@@ -543,10 +2537,18 @@ function FieldPortal({ well, run }) {
   const oilFluid = run.fluids?.list?.find(f => f.type === 'Olje') || { sg: 0, percent: 0 };
   const waterFluid = run.fluids?.list?.find(f => f.type === 'Vann') || { sg: 0, percent: 0 };
 
-  // Convert vertical height percentages to MD (approximation using maxTVD)
-  const gasTopMD = maxDepth - ((gasFluid.percent / 100) * maxTVD);
-  const oilTopMD = gasTopMD - ((oilFluid.percent / 100) * maxTVD);
-  const waterTopMD = oilTopMD - ((waterFluid.percent / 100) * maxTVD);
+  // Fluid tops: TVD of each column (same stacking as StepFluids) converted to MD along the trajectory
+  // (first crossing of the column top; horizontal/toe-up wells can cross the same TVD several times)
+  const fluidColumns = getFluidColumns(run.fluids?.list, maxTVD, trajectory);
+  const fluidTop = (type) => {
+    const column = fluidColumns.find(c => c.type === type);
+    const mds = column?.topMDs || [];
+    return { md: mds.length > 0 ? mds[0] : mdAtTVD(trajectory, column?.startTVD || 0), crossings: mds.length };
+  };
+  const formatTop = (top) => `${top.md.toFixed(0)} m${top.crossings > 1 ? ` (krysning 1 av ${top.crossings})` : ''}`;
+  const gasTop = fluidTop('Gass');
+  const oilTop = fluidTop('Olje');
+  const waterTop = fluidTop('Vann');
 
   // Max temperature
   const maxTemp = run.temps?.length > 0 ? Math.max(...run.temps.map(t => parseFloat(t.temp) || 0)) : 0;
@@ -554,6 +2556,8 @@ function FieldPortal({ well, run }) {
   // Tractor info
   const tractorTools = run.bha?.tools?.filter(t => t.isTractor) || [];
   const tractorForce = tractorTools.length > 0 ? tractorTools[0].tractorForce : 0;
+  const clearance = architectureClearance(architecture, run.bha?.tools);
+  const passability = bhaPassability(getBoreRestrictions(well, run.boreId), run.bha?.tools, targetDepth);
 
   // Collapsible sections state
   const [expanded, setExpanded] = useState({
@@ -691,10 +2695,13 @@ function FieldPortal({ well, run }) {
       <div className="p-4 bg-gray-50 border-b">
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
           <div><span className="text-gray-500">RIG:</span> <span className="font-bold">{well.rig || well.field || '-'}</span></div>
-          <div><span className="text-gray-500">Brønn:</span> <span className="font-bold">{well.name}</span></div>
+          <div><span className="text-gray-500">Brønn:</span> <span className="font-bold">{well.name}{bore.id !== MAIN_BORE.id ? ` (${bore.name})` : ''}</span></div>
           <div><span className="text-gray-500">Mål:</span> <span className="font-bold">{run.general?.goal || '-'}</span></div>
           <div><span className="text-gray-500">Måldybde:</span> <span className="font-bold">{targetDepth} m</span></div>
         </div>
+        {passability.blocking.length > 0 && (
+          <div className="mt-3 text-sm text-red-700 font-bold flex items-center gap-2"><AlertTriangle size={16} /> BHA passerer ikke: {passability.blocking.map(c => `${RESTRICTION_TYPES[c.restriction.type] || c.restriction.type} ved ${c.depth.toFixed(0)} m`).join(', ')}</div>
+        )}
       </div>
 
       {/* Pickup Weights - Above Graph */}
@@ -730,9 +2737,8 @@ function FieldPortal({ well, run }) {
                     </tr>
                   ) : (
                     pickupWeights.map((pw, i) => {
-                      const simData = chartData.find(d => Math.abs(d.md - pw.md) < 50) || {};
-                      const simValue = pw.type === 'RIH' ? (simData.rih_standard_1 || simData.rih_standard_2 || simData.rih_tractor) : simData.pooh;
-                      const deviation = simValue !== null && simValue !== undefined ? pw.weight - simValue : null;
+                      const simValue = pickupSimulatedWeight(chartData, pw);
+                      const deviation = simValue !== null ? pw.weight - simValue : null;
 
                       return (
                         <tr key={i} className="border-b last:border-0">
@@ -919,9 +2925,9 @@ function FieldPortal({ well, run }) {
                 <div>
                   <div className="text-xs font-bold text-gray-500 uppercase mb-1">Væskenivå (MD)</div>
                   <div className="space-y-0.5 text-sm">
-                    <div className="flex gap-2"><span className="text-gray-500">Nivå Gass:</span> <span className="font-bold">{gasFluid.percent > 0 ? gasTopMD.toFixed(0) + ' m' : '-'}</span></div>
-                    <div className="flex gap-2"><span className="text-gray-500">Nivå Olje:</span> <span className="font-bold">{oilFluid.percent > 0 ? oilTopMD.toFixed(0) + ' m' : '-'}</span></div>
-                    <div className="flex gap-2"><span className="text-gray-500">Nivå Vann:</span> <span className="font-bold">{waterFluid.percent > 0 ? waterTopMD.toFixed(0) + ' m' : '-'}</span></div>
+                    <div className="flex gap-2"><span className="text-gray-500">Nivå Gass:</span> <span className="font-bold">{gasFluid.percent > 0 ? formatTop(gasTop) : '-'}</span></div>
+                    <div className="flex gap-2"><span className="text-gray-500">Nivå Olje:</span> <span className="font-bold">{oilFluid.percent > 0 ? formatTop(oilTop) : '-'}</span></div>
+                    <div className="flex gap-2"><span className="text-gray-500">Nivå Vann:</span> <span className="font-bold">{waterFluid.percent > 0 ? formatTop(waterTop) : '-'}</span></div>
                   </div>
                 </div>
               </div>
@@ -1086,7 +3092,7 @@ function FieldPortal({ well, run }) {
           </button>
           {expanded.tubing && (
             <div className="p-3 border-t bg-gray-50">
-              {well.architecture?.length > 0 ? (
+              {architecture.length > 0 ? (
                 <div className="overflow-x-auto">
                   <table className="w-full text-sm text-left">
                     <thead className="bg-gray-100 text-xs text-gray-500 uppercase">
@@ -1094,18 +3100,21 @@ function FieldPortal({ well, run }) {
                         <th className="p-2 text-left">Fra (m)</th>
                         <th className="p-2 text-left">Til (m)</th>
                         <th className="p-2 text-left">ID (inches)</th>
+                        <th className="p-2 text-left">Drift (inches)</th>
                         <th className="p-2 text-left">Frik. Rod RIH</th>
                         <th className="p-2 text-left">Frik. Rod POOH</th>
                       </tr>
                     </thead>
                     <tbody className="bg-white">
-                      {well.architecture.map((sec, i) => {
-                        const idInches = sec.units?.id === 'cm' ? (sec.id / 2.54).toFixed(3) : sec.id?.toFixed(3);
+                      {architecture.map((sec, i) => {
+                        const idInches = ((parseFloat(sec.id) || 0) / 2.54).toFixed(3);
+                        const driftInches = (sectionBoreCm(sec).drift / 2.54).toFixed(3);
                         return (
-                          <tr key={i} className="border-b last:border-0">
+                          <tr key={i} className={`border-b last:border-0 ${clearance?.section === sec ? 'bg-amber-50' : ''}`}>
                             <td className="p-2 text-left">{sec.start?.toFixed(0) || 0}</td>
                             <td className="p-2 text-left">{sec.end?.toFixed(0) || 0}</td>
                             <td className="p-2 font-bold text-left">{idInches}"</td>
+                            <td className="p-2 text-left">{driftInches}"</td>
                             <td className="p-2 text-left">{sec.fricRodRIH?.toFixed(2) || '-'}</td>
                             <td className="p-2 text-left">{sec.fricRodPOOH?.toFixed(2) || '-'}</td>
                           </tr>
@@ -1113,10 +3122,36 @@ function FieldPortal({ well, run }) {
                       })}
                     </tbody>
                   </table>
+                  {clearance && clearance.maxToolOD > 0 && (
+                    <div className={`mt-2 text-xs flex items-center gap-1 ${clearance.clearance <= 0 ? 'text-red-600 font-bold' : 'text-gray-500'}`}>
+                      {clearance.clearance <= 0 && <AlertTriangle size={14} />}
+                      Minste drift {(clearance.drift / 2.54).toFixed(3)}" ({clearance.section.start?.toFixed(0)}–{clearance.section.end?.toFixed(0)} m) mot største verktøy-OD {(clearance.maxToolOD / 2.54).toFixed(3)}": klaring {(clearance.clearance / 2.54).toFixed(3)}"
+                    </div>
+                  )}
                 </div>
               ) : (
                 <div className="text-gray-400 text-sm">Ingen arkitektur definert.</div>
               )}
+              {passability.checks.length > 0 && (
+                <div className="mt-3">
+                  <div className="text-xs font-bold text-gray-500 uppercase mb-1">Restriksjoner</div>
+                  <table className="w-full text-sm text-left bg-white">
+                    <tbody>
+                      {passability.checks.map((c, i) => {
+                        const blocked = passability.blocking.includes(c);
+                        return (
+                          <tr key={i} className={`border-b last:border-0 ${blocked ? 'bg-red-50 text-red-700 font-bold' : ''}`}>
+                            <td className="p-2">{c.depth.toFixed(0)} m</td>
+                            <td className="p-2">{RESTRICTION_TYPES[c.restriction.type] || c.restriction.type}{c.restriction.name ? ` – ${c.restriction.name}` : ''}</td>
+                            <td className="p-2">Min. ID {(c.minId / 2.54).toFixed(3)}"</td>
+                            <td className="p-2">{passability.maxOD > 0 ? (blocked ? 'Passerer ikke' : `Klaring ${(c.clearance / 2.54).toFixed(3)}"`) : '-'}{!c.aboveTarget && <span className="text-gray-400 font-normal"> (under måldybde)</span>}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -1159,6 +3194,8 @@ export default function App() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [customPipes, setCustomPipes] = useState([]);
+  const pipeCatalog = useMemo(() => [...PIPE_CATALOG, ...customPipes], [customPipes]);
 
   // --- FIREBASE AUTH & DATA FETCHING ---
   useEffect(() => {
@@ -1196,9 +3233,16 @@ export default function App() {
     const q = collection(db, 'artifacts', appId, 'users', user.uid, 'wells');
 
     const unsubscribeData = onSnapshot(q, (snapshot) => {
-      const loadedWells = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      const loadedWells = snapshot.docs.map(doc => migrateWellUnits({ id: doc.id, ...doc.data() }));
       setWells(loadedWells);
 
+      // Write converted wells back once, so direct reads of the document (field portal) also see stored units
+      snapshot.docs.forEach((wellDoc, i) => {
+        if ((wellDoc.data().unitsVersion || 0) < UNITS_VERSION) {
+          setDoc(wellDoc.ref, loadedWells[i]).catch(e => console.error("Error migrating well units:", e));
+        }
+      });
+
       if (activeWell) {
         const updatedActive = loadedWells.find(w => w.id === activeWell.id);
         if (updatedActive) setActiveWell(updatedActive);
@@ -1211,6 +3255,21 @@ export default function App() {
     return () => unsubscribeData();
   }, [user, activeWell?.id]);
 
+  // Listen for the company pipe catalog (shared by all users)
+  useEffect(() => {
+    if (!user) return;
+
+    const q = collection(db, 'artifacts', appId, 'public', 'data', 'pipeCatalog');
+
+    const unsubscribeCatalog = onSnapshot(q, (snapshot) => {
+      setCustomPipes(snapshot.docs.map(doc => ({ ...doc.data(), key: doc.id, custom: true })));
+    }, (error) => {
+      console.error("Error loading pipe catalog:", error);
+    });
+
+    return () => unsubscribeCatalog();
+  }, [user]);
+
   // Handle Routing for Field Portal - only on initial load
   const hasCheckedFieldPortalRoute = useRef(false);
   useEffect(() => {
@@ -1249,7 +3308,7 @@ export default function App() {
     try {
       const wellsCollection = collection(db, 'artifacts', appId, 'users', user.uid, 'wells');
       const docRef = doc(wellsCollection, wellData.id);
-      await setDoc(docRef, wellData);
+      await setDoc(docRef, { ...wellData, unitsVersion: UNITS_VERSION });
       setEditingWell(null);
       setView('dashboard');
     } catch (e) {
@@ -1258,6 +3317,40 @@ export default function App() {
     }
   };
 
+  const handleSaveCatalogPipe = async (pipe) => {
+    if (!user) return;
+    try {
+      const catalogCollection = collection(db, 'artifacts', appId, 'public', 'data', 'pipeCatalog');
+      await setDoc(doc(catalogCollection), { ...pipe, createdBy: user.uid });
+    } catch (e) {
+      console.error("Error saving pipe:", e);
+      alert("Kunne ikke lagre katalogoppføring.");
+    }
+  };
+
+  const handleDeleteCatalogPipe = async (key, label) => {
+    if (!user) return;
+    if (window.confirm(`Slette ${label || 'katalogoppføringen'} fra rørkatalogen? Oppføringen fjernes for alle brukere.`)) {
+      try {
+        await deleteDoc(doc(db, 'artifacts', appId, 'public', 'data', 'pipeCatalog', key));
+      } catch (e) {
+        console.error("Error deleting pipe:", e);
+      }
+    }
+  };
+
+  // New well from a ComTrac project file (one run per scenario)
+  const handleImportProject = async (wellData) => {
+    if (!user) return;
+    try {
+      await setDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'wells', wellData.id), wellData);
+      navigateTo('viewWell', wellData);
+    } catch (e) {
+      console.error("Error importing project:", e);
+      alert("Kunne ikke importere prosjektet. Sjekk konsoll for feil.");
+    }
+  };
+
   const handleDeleteWell = async (id) => {
     if (!user) return;
     if (window.confirm('Er du sikker på at du vil slette denne brønnen? Dette kan ikke angres.')) {
@@ -1270,6 +3363,16 @@ export default function App() {
     }
   };
 
+  // Partial update of a well document (e.g. offset well links from WellView)
+  const handleUpdateWell = async (wellId, changes) => {
+    if (!user) return;
+    try {
+      await updateDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'wells', wellId), changes);
+    } catch (e) {
+      console.error("Error updating well:", e);
+    }
+  };
+
   const handleEditWell = (well) => {
     setEditingWell(well);
     setView('create');
@@ -1410,9 +3513,9 @@ export default function App() {
       </header>
 
       <main className="container mx-auto px-4 py-8 h-[calc(100vh-64px)]">
-        {view === 'dashboard' && <Dashboard onNewWell={() => { setEditingWell(null); navigateTo('create'); }} wells={wells} onViewWell={(w) => navigateTo('viewWell', w)} onDeleteWell={handleDeleteWell} onEditWell={handleEditWell} />}
-        {view === 'create' && <CreateWellWizard onCancel={cancelEdit} onSave={handleSaveWell} initialData={editingWell} />}
-        {view === 'viewWell' && <WellView well={activeWell} onBack={() => navigateTo('dashboard')} onNewRun={() => { setEditingRun(null); navigateTo('runWorkflow', activeWell); }} onEditRun={handleEditRun} onCopyRun={(r) => handleCopyRun(activeWell.id, r)} onDeleteRun={(id) => handleDeleteRun(activeWell.id, id)} onViewPortalDashboard={(r) => { setEditingRun(r); navigateTo('portal-dashboard', activeWell); }} onTogglePortal={(runId, enabled) => handleToggleFieldPortal(activeWell.id, runId, enabled)} />}
+        {view === 'dashboard' && <Dashboard onNewWell={() => { setEditingWell(null); navigateTo('create'); }} onImportProject={handleImportProject} wells={wells} onViewWell={(w) => navigateTo('viewWell', w)} onDeleteWell={handleDeleteWell} onEditWell={handleEditWell} />}
+        {view === 'create' && <CreateWellWizard onCancel={cancelEdit} onSave={handleSaveWell} initialData={editingWell} pipeCatalog={pipeCatalog} onSaveCatalogPipe={handleSaveCatalogPipe} onDeleteCatalogPipe={handleDeleteCatalogPipe} />}
+        {view === 'viewWell' && <WellView well={activeWell} wells={wells} onUpdateWell={(changes) => handleUpdateWell(activeWell.id, changes)} onBack={() => navigateTo('dashboard')} onNewRun={() => { setEditingRun(null); navigateTo('runWorkflow', activeWell); }} onEditRun={handleEditRun} onCopyRun={(r) => handleCopyRun(activeWell.id, r)} onDeleteRun={(id) => handleDeleteRun(activeWell.id, id)} onViewPortalDashboard={(r) => { setEditingRun(r); navigateTo('portal-dashboard', activeWell); }} onTogglePortal={(runId, enabled) => handleToggleFieldPortal(activeWell.id, runId, enabled)} />}
         {view === 'runWorkflow' && <RunWorkflow well={activeWell} onCancel={() => { setEditingRun(null); navigateTo('viewWell', activeWell); }} onSave={handleSaveRun} initialRun={editingRun} />}
         {view === 'field-portal' && <FieldPortal well={activeWell} run={editingRun} />}
         {view === 'portal-dashboard' && <FieldPortalDashboard well={activeWell} run={editingRun} onBack={() => navigateTo('viewWell', activeWell)} onTogglePortal={(runId, enabled) => handleToggleFieldPortal(activeWell.id, runId, enabled)} />}
@@ -1425,6 +3528,8 @@ export default function App() {
 function RunWorkflow({ well, onCancel, onSave, initialRun }) {
   const [activeTab, setActiveTab] = useState('config');
   const [runData, setRunData] = useState(initialRun || {
+    boreId: MAIN_BORE.id,
+    surveyId: getActiveSurvey(well).id,
     general: { goal: '', targetDepth: '' },
     pce: { type: '', force: 0, friction: 0 },
     fluids: {
@@ -1435,7 +3540,7 @@ function RunWorkflow({ well, onCancel, onSave, initialRun }) {
       ]
     },
     temps: [],
-    rod: { diameter: 1.2, weight: 0.225, youngs: 125.0, rihFric: 0.2, poohFric: 0.2, fluidFric: 0.04, units: {} },
+    rod: { diameter: 1.2, weight: 0.225, youngs: 125.0, rihFric: 0.2, poohFric: 0.2, fluidFric: 0.04 },
     bha: { name: '', tools: [] },
     simulations: { fileStandard: null, fileTractor: null, filePooh: null, tractorDepth: 0 }
   });
@@ -1455,6 +3560,15 @@ function RunWorkflow({ well, onCancel, onSave, initialRun }) {
     if (initialRun) onSave(well.id, newData, false);
   };
 
+  // Pickup weights are saved from the field portal straight to the well, so take them from there
+  const exportWorkbook = () => {
+    const saved = (well.jobs || []).find(j => j.id === runData.id);
+    exportJobWorkbook(well, { ...runData, pickupWeights: saved?.pickupWeights ?? runData.pickupWeights }).catch(e => {
+      console.error("Error exporting workbook:", e);
+      alert("Kunne ikke lage Excel-filen.");
+    });
+  };
+
   return (
     <div className="flex flex-col h-full space-y-4">
       <div className="flex items-center justify-between">
@@ -1464,8 +3578,9 @@ function RunWorkflow({ well, onCancel, onSave, initialRun }) {
           <button onClick={() => setActiveTab('sim')} className={`px-4 py-2 text-sm font-bold rounded flex items-center gap-2 ${activeTab === 'sim' ? 'bg-[#37424A] text-white' : 'text-gray-500 hover:bg-gray-50'}`}><Activity size={16} /> Simuleringsbygger</button>
           <button onClick={() => setActiveTab('portal')} className={`px-4 py-2 text-sm font-bold rounded flex items-center gap-2 ${activeTab === 'portal' ? 'bg-[#37424A] text-white' : 'text-gray-500 hover:bg-gray-50'}`}><Share2 size={16} /> Felt Portal</button>
         </div>
-        {/* Placeholder for symmetry */}
-        <div className="w-32"></div>
+        <div className="w-32 flex justify-end">
+          <button onClick={exportWorkbook} className="text-sm font-bold text-gray-500 hover:text-[#37424A] flex items-center gap-2" title="Survey, arkitektur, parametere, simulering og pickup-vekter i én Excel-fil"><FileSpreadsheet size={16} /> Excel</button>
+        </div>
       </div>
 
       <div className="flex-grow bg-white rounded-lg shadow border border-gray-200 overflow-hidden">
@@ -1553,6 +3668,7 @@ function SimulationBuilder({ runData, onUpdate, well }) {
   const [stopTractorDepth, setStopTractorDepth] = useState(runData?.simulations?.stopTractorDepth || 0);
   const [chartData, setChartData] = useState([]);
   const [isStitched, setIsStitched] = useState(false);
+  const clearance = architectureClearance(getBoreArchitecture(well, runData?.boreId), runData?.bha?.tools);
 
   // File Parsers logic
   const handleFileUpload = (key, file) => {
@@ -1775,14 +3891,15 @@ function SimulationBuilder({ runData, onUpdate, well }) {
           </div>
           <div className="bg-white p-2 rounded border border-gray-200">
             <div className="font-bold text-gray-500 mb-1">Rod</div>
-            <div>OD: {runData.rod?.diameter} {runData.rod?.units?.diameter || 'cm'}</div>
-            <div>Vekt: {runData.rod?.weight} {runData.rod?.units?.weight || 'kg/m'}</div>
+            <div>OD: {runData.rod?.diameter} cm</div>
+            <div>Vekt: {runData.rod?.weight} kg/m</div>
           </div>
           <div className="bg-white p-2 rounded border border-gray-200">
             <div className="font-bold text-gray-500 mb-1">BHA</div>
             <div>Navn: {runData.bha?.name}</div>
             <div>Verktøy: {runData.bha?.tools?.length || 0} stk</div>
             <div className="mt-1 text-gray-400">Total lengde: {runData.bha?.tools?.reduce((a, b) => a + (b.length || 0), 0).toFixed(2)} m</div>
+            {clearance && clearance.maxToolOD > 0 && <div className={`mt-1 ${clearance.clearance <= 0 ? 'text-red-600 font-bold' : 'text-gray-400'}`}>Klaring mot drift: {(clearance.clearance / 2.54).toFixed(3)}" ved {clearance.section.start?.toFixed(0)} m</div>}
           </div>
         </div>
       </div>
@@ -1937,10 +4054,163 @@ function SimulationBuilder({ runData, onUpdate, well }) {
   );
 }
 
+// --- COMPONENT: EXCEL SHEET & RANGE PICKER ---
+// Used by every table import that accepts Excel. The user picks a sheet and drags over the cells to import (or types
+// a range such as A5:D200); the selection is handed back as tab-separated text for the import's normal text parser.
+const EXCEL_PREVIEW_ROWS = 300;
+const EXCEL_PREVIEW_COLS = 30;
+const isExcelFile = (file) => /\.(xlsx|xls)$/i.test(file?.name || '');
+
+const excelCellText = (cell) => {
+  if (!cell) return '';
+  return String(cell.t === 'n' ? cell.v : (cell.w ?? cell.v ?? ''));
+};
+
+const ExcelRangePicker = ({ file, onConfirm, onCancel }) => {
+  const [book, setBook] = useState(null);
+  const [sheetName, setSheetName] = useState('');
+  const [range, setRange] = useState(null);
+  const [rangeText, setRangeText] = useState('');
+  const [anchor, setAnchor] = useState(null);
+  const [error, setError] = useState(null);
+
+  const selectRange = (next) => { setRange(next); setRangeText(next ? book.XLSX.utils.encode_range(next) : ''); };
+  const usedRange = (XLSX, sheet) => (sheet?.['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const XLSX = await import('xlsx');
+        const workbook = XLSX.read(new Uint8Array(await file.arrayBuffer()), { type: 'array' });
+        if (cancelled) return;
+        const first = workbook.SheetNames[0];
+        const used = usedRange(XLSX, workbook.Sheets[first]);
+        setBook({ XLSX, workbook });
+        setSheetName(first);
+        setRange(used);
+        setRangeText(used ? XLSX.utils.encode_range(used) : '');
+      } catch (err) {
+        if (!cancelled) setError(`Kunne ikke lese Excel-filen: ${err.message}`);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [file]);
+
+  const sheet = book?.workbook.Sheets[sheetName];
+  const grid = useMemo(() => {
+    if (!book || !sheet) return null;
+    const used = usedRange(book.XLSX, sheet);
+    if (!used) return { rows: [], cols: [] };
+    const rows = [];
+    for (let r = used.s.r; r <= Math.min(used.e.r, used.s.r + EXCEL_PREVIEW_ROWS - 1); r++) rows.push(r);
+    const cols = [];
+    for (let c = used.s.c; c <= Math.min(used.e.c, used.s.c + EXCEL_PREVIEW_COLS - 1); c++) cols.push(c);
+    return { rows, cols, truncated: used.e.r - used.s.r + 1 > rows.length || used.e.c - used.s.c + 1 > cols.length };
+  }, [book, sheet]);
+
+  const changeSheet = (name) => {
+    setSheetName(name);
+    selectRange(usedRange(book.XLSX, book.workbook.Sheets[name]));
+  };
+  const handleRangeText = (value) => {
+    setRangeText(value);
+    if (/^[A-Z]+\d+:[A-Z]+\d+$/i.test(value.trim())) setRange(book.XLSX.utils.decode_range(value.trim().toUpperCase()));
+  };
+  const startDrag = (r, c) => { setAnchor({ r, c }); selectRange({ s: { r, c }, e: { r, c } }); };
+  const extendDrag = (r, c) => {
+    if (!anchor) return;
+    selectRange({ s: { r: Math.min(anchor.r, r), c: Math.min(anchor.c, c) }, e: { r: Math.max(anchor.r, r), c: Math.max(anchor.c, c) } });
+  };
+  const inRange = (r, c) => range && r >= range.s.r && r <= range.e.r && c >= range.s.c && c <= range.e.c;
+
+  // Empty rows inside the selection are skipped so blank separator lines in the sheet don't reach the parser
+  const confirm = () => {
+    const lines = [];
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      const cells = [];
+      for (let c = range.s.c; c <= range.e.c; c++) cells.push(excelCellText(sheet[book.XLSX.utils.encode_cell({ r, c })]));
+      if (cells.some(cell => cell !== '')) lines.push(cells.join('\t'));
+    }
+    onConfirm(lines.join('\n'), { sheetName, range: rangeText });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center p-6 cursor-default" onClick={e => e.stopPropagation()} onMouseUp={() => setAnchor(null)}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-6xl max-h-full flex flex-col overflow-hidden">
+        <div className="bg-[#37424A] text-white p-4 flex justify-between items-center shrink-0">
+          <div><h3 className="font-bold flex items-center gap-2"><FileSpreadsheet size={18} /> Velg ark og område</h3><p className="text-xs text-gray-300">{file.name}</p></div>
+          <button onClick={onCancel} className="text-gray-300 hover:text-white"><X size={18} /></button>
+        </div>
+        {error ? (
+          <div className="p-6 text-sm text-red-600 flex items-center gap-2"><AlertTriangle size={16} /> {error}</div>
+        ) : !book ? (
+          <div className="p-6 text-sm text-gray-400">Leser arbeidsbok...</div>
+        ) : (
+          <>
+            <div className="p-3 border-b bg-gray-50 flex flex-wrap gap-2 items-center text-xs shrink-0">
+              <span className="font-bold text-gray-500 uppercase mr-1">Ark</span>
+              {book.workbook.SheetNames.map(name => (
+                <button key={name} onClick={() => changeSheet(name)} className={`px-3 py-1 rounded border font-bold ${name === sheetName ? 'bg-[#37424A] text-white border-[#37424A]' : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-100'}`}>{name}</button>
+              ))}
+              <label className="ml-auto flex items-center gap-2 font-bold text-gray-500 uppercase">Område
+                <input type="text" className="border rounded p-1 w-32 font-mono normal-case bg-white" value={rangeText} onChange={e => handleRangeText(e.target.value)} placeholder="A1:D100" />
+              </label>
+              <button onClick={() => selectRange(usedRange(book.XLSX, sheet))} className="px-2 py-1 rounded border bg-white text-gray-600 hover:bg-gray-100">Hele arket</button>
+            </div>
+            <div className="flex-grow overflow-auto select-none min-h-[300px]">
+              {grid.rows.length === 0 ? (
+                <div className="p-6 text-sm text-gray-400">Arket er tomt</div>
+              ) : (
+                <table className="text-[11px] font-mono border-collapse">
+                  <thead className="sticky top-0 bg-gray-100 text-gray-500">
+                    <tr><th className="p-1 border border-gray-200"></th>{grid.cols.map(c => <th key={c} className="p-1 border border-gray-200 min-w-[60px]">{book.XLSX.utils.encode_col(c)}</th>)}</tr>
+                  </thead>
+                  <tbody>
+                    {grid.rows.map(r => (
+                      <tr key={r}>
+                        <td className="p-1 border border-gray-200 bg-gray-100 text-gray-500 text-right">{r + 1}</td>
+                        {grid.cols.map(c => (
+                          <td key={c} onMouseDown={() => startDrag(r, c)} onMouseEnter={() => extendDrag(r, c)} className={`px-1 border border-gray-100 whitespace-nowrap max-w-[160px] overflow-hidden cursor-cell ${inRange(r, c) ? 'bg-teal-100 text-[#37424A]' : 'text-gray-600'}`}>{excelCellText(sheet[book.XLSX.utils.encode_cell({ r, c })])}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+            <div className="p-3 border-t flex justify-between items-center text-xs shrink-0">
+              <span className="text-gray-500">
+                {range ? `${rangeText}: ${range.e.r - range.s.r + 1} rader × ${range.e.c - range.s.c + 1} kolonner` : 'Ingen område valgt'}
+                {grid.truncated && ` — forhåndsvisningen viser de første ${EXCEL_PREVIEW_ROWS} radene og ${EXCEL_PREVIEW_COLS} kolonnene, skriv inn område for å velge utenfor`}
+              </span>
+              <div className="flex gap-2">
+                <button onClick={onCancel} className="px-4 py-2 text-gray-500 font-medium">Avbryt</button>
+                <button onClick={confirm} disabled={!range} className="bg-[#37424A] text-white px-4 py-2 rounded font-bold disabled:opacity-50">Importer område</button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
 // --- COMPONENT: FILE UPLOADER (SIMULATION) ---
 const FileUploader = ({ label, color, hasData, onUpload, subLabel }) => {
   const fileInputRef = useRef(null);
   const [isDragging, setIsDragging] = useState(false);
+  const [excelFile, setExcelFile] = useState(null);
+
+  // Excel goes through the range picker; the selection is passed on as a text file so onUpload handles one format
+  const acceptFile = (file) => {
+    if (isExcelFile(file)) setExcelFile(file);
+    else onUpload(file);
+  };
+  const handleExcelRange = (text) => {
+    onUpload(new File([text], excelFile.name.replace(/\.\w+$/, '.txt'), { type: 'text/plain' }));
+    setExcelFile(null);
+  };
 
   const handleClick = () => {
     fileInputRef.current.click();
@@ -1949,8 +4219,9 @@ const FileUploader = ({ label, color, hasData, onUpload, subLabel }) => {
   const handleFileChange = (e) => {
     const file = e.target.files[0];
     if (file) {
-      onUpload(file);
+      acceptFile(file);
     }
+    e.target.value = '';
   };
 
   const handleRemove = (e) => {
@@ -1976,8 +4247,8 @@ const FileUploader = ({ label, color, hasData, onUpload, subLabel }) => {
     e.stopPropagation();
     setIsDragging(false);
     const file = e.dataTransfer.files[0];
-    if (file && (file.name.endsWith('.csv') || file.name.endsWith('.txt'))) {
-      onUpload(file);
+    if (file && (file.name.endsWith('.csv') || file.name.endsWith('.txt') || isExcelFile(file))) {
+      acceptFile(file);
     }
   };
 
@@ -1997,8 +4268,9 @@ const FileUploader = ({ label, color, hasData, onUpload, subLabel }) => {
         ref={fileInputRef}
         onChange={handleFileChange}
         className="hidden"
-        accept=".csv,.txt"
+        accept=".csv,.txt,.xlsx,.xls"
       />
+      {excelFile && <ExcelRangePicker file={excelFile} onConfirm={handleExcelRange} onCancel={() => setExcelFile(null)} />}
 
       <div className="text-[10px] font-bold text-gray-500 uppercase tracking-wider mb-1 text-center">{label}</div>
 
@@ -2028,14 +4300,12 @@ function RunConfiguration({ well, onCancel, onSave, initialRun, embedded }) {
   // Sync internal state if initialRun changes (e.g. from parent tab switch)
   useEffect(() => { setRunData(initialRun); }, [initialRun]);
 
-  const maxDepth = useMemo(() => Math.max(...well.survey.map(p => p.md), 0), [well]);
-  const trajectory = useMemo(() => calculateTrajectory(well.survey), [well.survey]);
-  const surveyMD = useMemo(() => well.survey.map(p => p.md), [well]);
-  const surveyTVD = useMemo(() => trajectory.map(p => p.tvd), [trajectory]);
-  const maxTVD = Math.max(...surveyTVD);
+  const { trajectory, maxDepth, maxTVD } = useMemo(() => getRunTrajectory(well, runData.boreId, runData.surveyId), [well, runData.boreId, runData.surveyId]);
 
-  const getTVD = (md) => interpolate(md, surveyMD, surveyTVD);
-  const getMD = (tvd) => interpolate(tvd, surveyTVD, surveyMD);
+  const architecture = useMemo(() => getBoreArchitecture(well, runData.boreId), [well, runData.boreId]);
+  const getTVD = (md) => positionAtMD(trajectory, md)?.tvd ?? 0;
+  const getMDs = (tvd) => mdsAtTVD(trajectory, tvd);
+  const passability = bhaPassability(getBoreRestrictions(well, runData.boreId), runData.bha?.tools, parseFloat(runData.general?.targetDepth) || maxDepth);
 
   // Only check confirmed steps or saved completed flags
   const isComplete = {
@@ -2076,12 +4346,12 @@ function RunConfiguration({ well, onCancel, onSave, initialRun, embedded }) {
 
   const renderStep = () => {
     switch (activeStep) {
-      case 1: return <StepGeneral data={runData.general} setData={(d) => setRunData({ ...runData, general: d })} maxDepth={maxDepth} onComplete={(next) => handleStepComplete(1, next)} />;
+      case 1: return <StepGeneral data={runData.general} setData={(d) => setRunData({ ...runData, general: d })} bores={getWellBores(well)} boreId={runData.boreId || MAIN_BORE.id} onBoreChange={(boreId) => setRunData({ ...runData, boreId, surveyId: getBoreActiveSurvey(well, boreId)?.id || null })} surveys={getBoreSurveys(well, runData.boreId)} surveyId={runData.surveyId || getBoreActiveSurvey(well, runData.boreId)?.id || ''} onSurveyChange={(surveyId) => setRunData({ ...runData, surveyId })} maxDepth={maxDepth} onComplete={(next) => handleStepComplete(1, next)} />;
       case 2: return <StepPCE data={runData.pce} setData={(d) => setRunData({ ...runData, pce: d })} onComplete={(next) => handleStepComplete(2, next)} />;
-      case 3: return <StepFluids data={runData.fluids} setData={(d) => setRunData({ ...runData, fluids: d })} maxTVD={maxTVD} maxMD={maxDepth} getMD={getMD} getTVD={getTVD} onComplete={(next) => handleStepComplete(3, next)} />;
-      case 4: return <StepTemperature data={runData.temps} setData={(d) => setRunData({ ...runData, temps: d })} getMD={getMD} getTVD={getTVD} maxDepth={maxDepth} maxTVD={maxTVD} onComplete={(next) => handleStepComplete(4, next)} />;
+      case 3: return <StepFluids data={runData.fluids} setData={(d) => setRunData({ ...runData, fluids: d })} maxTVD={maxTVD} maxMD={maxDepth} trajectory={trajectory} architecture={architecture} onComplete={(next) => handleStepComplete(3, next)} />;
+      case 4: return <StepTemperature data={runData.temps} setData={(d) => setRunData({ ...runData, temps: d })} getMDs={getMDs} getTVD={getTVD} maxDepth={maxDepth} maxTVD={maxTVD} onComplete={(next) => handleStepComplete(4, next)} />;
       case 5: return <StepRod data={runData.rod} setData={(d) => setRunData({ ...runData, rod: d })} onComplete={(next) => handleStepComplete(5, next)} />;
-      case 6: return <StepBHA data={runData.bha} setData={(d) => setRunData({ ...runData, bha: d })} onComplete={(next) => handleStepComplete(6, next)} />;
+      case 6: return <StepBHA data={runData.bha} setData={(d) => setRunData({ ...runData, bha: d })} passability={passability} onComplete={(next) => handleStepComplete(6, next)} />;
       default: return null;
     }
   };
@@ -2095,6 +4365,7 @@ function RunConfiguration({ well, onCancel, onSave, initialRun, embedded }) {
             <div><h2 className="text-2xl font-bold text-[#37424A]">{initialRun ? 'Rediger Run' : 'Nytt Run Konfigurasjon'}</h2><p className="text-sm text-gray-500">Fyll ut alle stegene nedenfor for å klargjøre simuleringen.</p></div>
           </div>
         )}
+        {passability.blocking.length > 0 && <BhaPassabilityWarning passability={passability} />}
         <div className="grid grid-cols-1 gap-4 flex-grow pr-2">
           {steps.map(step => (
             <div key={step.id} onClick={() => setActiveStep(step.id)} className={`bg-white p-6 rounded-lg shadow-sm border flex items-center justify-between cursor-pointer transition-colors group ${isComplete[step.id] ? 'border-green-200 bg-green-50' : 'border-gray-200 hover:border-[#FFC82E]'}`}>
@@ -2122,13 +4393,28 @@ function RunConfiguration({ well, onCancel, onSave, initialRun, embedded }) {
   );
 }
 
-function StepGeneral({ data, setData, maxDepth, onComplete }) {
+function StepGeneral({ data, setData, bores, boreId, onBoreChange, surveys, surveyId, onSurveyChange, maxDepth, onComplete }) {
   const isDepthInvalid = parseFloat(data.targetDepth) > maxDepth;
   return (
     <div className="max-w-lg mx-auto space-y-6 pt-10 flex flex-col">
       <div className="flex-grow space-y-6">
         <div><label className="block text-xs font-bold text-gray-500 uppercase mb-1">Mål for operasjonen</label><input type="text" className="w-full border border-gray-300 p-3 rounded text-sm focus:border-[#FFC82E] outline-none" placeholder="Kort beskrivelse av målet..." value={data.goal} onChange={e => setData({ ...data, goal: e.target.value })} /></div>
         <div><label className="block text-xs font-bold text-gray-500 uppercase mb-1">Beskrivelse (Valgfritt)</label><textarea className="w-full border border-gray-300 p-3 rounded text-sm focus:border-[#FFC82E] outline-none" rows={5} placeholder="Mer detaljert beskrivelse..." value={data.description || ''} onChange={e => setData({ ...data, description: e.target.value })} /></div>
+        {bores.length > 1 && (
+          <div>
+            <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Boring</label>
+            <select className="w-full border border-gray-300 p-3 rounded text-sm focus:border-[#FFC82E] outline-none" value={boreId} onChange={e => onBoreChange(e.target.value)}>
+              {bores.map(b => <option key={b.id} value={b.id}>{b.name}{b.parentBoreId ? ` (KOP ${b.kickoffMD} m)` : ''}</option>)}
+            </select>
+          </div>
+        )}
+        <div>
+          <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Survey</label>
+          <select className="w-full border border-gray-300 p-3 rounded text-sm focus:border-[#FFC82E] outline-none" value={surveyId} onChange={e => onSurveyChange(e.target.value)}>
+            {surveys.map(s => <option key={s.id} value={s.id}>{s.name} ({SURVEY_TYPES[s.type] || s.type}{s.date ? `, ${s.date}` : ''})</option>)}
+          </select>
+          <p className="text-[10px] text-gray-400 mt-1">Surveyen runnet planlegges mot. Brukes for TVD, væskenivåer og eksport.</p>
+        </div>
         <div><label className="block text-xs font-bold text-gray-500 uppercase mb-1">Måldybde (MD)</label><div className="flex items-center gap-2"><input type="number" className={`w-full border p-3 rounded text-sm focus:border-[#FFC82E] outline-none ${isDepthInvalid ? 'border-red-500 bg-red-50' : 'border-gray-300'}`} value={data.targetDepth} onChange={e => setData({ ...data, targetDepth: e.target.value })} /><span className="text-sm text-gray-500">meter</span></div>{isDepthInvalid && <p className="text-xs text-red-500 mt-1 font-bold">Feil: Dybde overstiger brønnens totale dybde ({maxDepth.toFixed(0)} m).</p>}</div>
       </div>
       <div className="flex gap-4 mt-auto">
@@ -2156,34 +4442,22 @@ function StepPCE({ data, setData, onComplete }) {
   );
 }
 
-function StepFluids({ data, setData, maxTVD, maxMD, getTVD, onComplete }) {
+function StepFluids({ data, setData, maxTVD, maxMD, trajectory, architecture, onComplete }) {
   const [calcOpen, setCalcOpen] = useState(false);
   const [calcInputs, setCalcInputs] = useState({ dhgp: 0, gaugeDepth: 0, fluidTop: 'Gass', fluidBot: 'Olje' });
   const [calcResult, setCalcResult] = useState(null);
 
-  const pressureData = useMemo(() => {
-    const points = [];
-    const depthStep = maxMD / 50;
-    const whp = parseFloat(data.whp || 0);
-    let currentTVD = 0;
-    const fluidSections = data.list.map(f => {
-      const height = (parseFloat(f.percent || 0) / 100) * maxTVD;
-      const start = currentTVD;
-      const end = currentTVD + height;
-      currentTVD += height;
-      return { ...f, startTVD: start, endTVD: end };
-    });
-    for (let md = 0; md <= maxMD; md += depthStep) {
-      const tvd = getTVD(md);
-      let p = whp;
-      for (const f of fluidSections) {
-        if (tvd > f.endTVD) p += (f.endTVD - f.startTVD) * f.sg * 0.0981;
-        else if (tvd > f.startTVD) p += (tvd - f.startTVD) * f.sg * 0.0981;
-      }
-      points.push({ md: parseFloat(md.toFixed(0)), pressure: parseFloat(p.toFixed(1)) });
-    }
-    return points;
-  }, [data, maxMD, maxTVD, getTVD]);
+  const pressureData = useMemo(() => fluidPressureProfile(data, { trajectory, maxMD, maxTVD, architecture }), [data, trajectory, maxMD, maxTVD, architecture]);
+  const isFlowing = data.scenario === 'Flow' || data.scenario === 'Injection';
+  const gaugeMD = parseFloat(data.gauge?.md);
+  const gaugePressure = parseFloat(data.gauge?.pressure);
+  const hasGauge = gaugeMD > 0 && !isNaN(gaugePressure);
+  const gaugeCalculated = hasGauge ? profileValueAtMD(pressureData, gaugeMD, isFlowing ? 'flowing' : 'pressure') : null;
+  const updateRate = (key, val) => setData({ ...data, rates: { ...(data.rates || {}), [key]: val === '' ? '' : parseFloat(val) } });
+  const updateGauge = (key, val) => setData({ ...data, gauge: { ...(data.gauge || {}), [key]: val === '' ? '' : parseFloat(val) } });
+
+  const fluidColumns = useMemo(() => getFluidColumns(data.list, maxTVD, trajectory), [data.list, maxTVD, trajectory]);
+  const formatInterval = (iv) => `${iv.from.toFixed(0)}–${iv.to.toFixed(0)}`;
 
   const updatePercent = (idx, val) => { const newList = [...data.list]; newList[idx].percent = isNaN(parseFloat(val)) ? 0 : parseFloat(val); setData({ ...data, list: newList }); };
   const updateTVDInput = (idx, val) => { const tvdVal = parseFloat(val); if (isNaN(tvdVal)) return; const pct = (tvdVal / maxTVD) * 100; const newList = [...data.list]; newList[idx].percent = parseFloat(pct.toFixed(2)); setData({ ...data, list: newList }); };
@@ -2199,7 +4473,7 @@ function StepFluids({ data, setData, maxTVD, maxMD, getTVD, onComplete }) {
     const D_int = (P_g - P_whp - (rho2 * g_factor * D_g)) / (g_factor * (rho1 - rho2));
     if (D_int < 0 || D_int > D_g) { setCalcResult({ error: `Ulogisk dyp: ${D_int.toFixed(1)}m` }); }
     else {
-      setCalcResult({ depth: D_int.toFixed(1) });
+      setCalcResult({ depth: D_int.toFixed(1), mds: mdsAtTVD(trajectory, D_int) });
       const pctTop = (D_int / maxTVD) * 100;
       const idx1 = data.list.findIndex(f => f.type === calcInputs.fluidTop);
       const idx2 = data.list.findIndex(f => f.type === calcInputs.fluidBot);
@@ -2218,7 +4492,22 @@ function StepFluids({ data, setData, maxTVD, maxMD, getTVD, onComplete }) {
     <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
       <div className="flex flex-col pr-2">
         <h4 className="font-bold text-[#37424A] mb-4">Konfigurasjon</h4>
-        <div className="mb-6"><label className="block text-xs font-bold text-gray-500 uppercase mb-1">WHP (Brønnhodetrykk) [bar]</label><input type="number" className="w-full border p-2 rounded font-bold" value={data.whp} onChange={e => setData({ ...data, whp: e.target.value })} /></div>
+        <div className="mb-4"><label className="block text-xs font-bold text-gray-500 uppercase mb-2">Scenario</label><div className="flex gap-2">{Object.entries(FLUID_SCENARIOS).map(([key, label]) => (<button key={key} onClick={() => setData({ ...data, scenario: key })} className={`flex-1 py-2 rounded border font-bold text-sm transition-all ${(data.scenario || 'Shut-in') === key ? 'bg-[#37424A] text-white border-[#37424A]' : 'bg-white text-gray-600 border-gray-200'}`}>{label}</button>))}</div></div>
+        {isFlowing && (
+          <div className="mb-4 bg-gray-50 p-3 rounded border border-gray-200 space-y-3">
+            <div className="grid grid-cols-3 gap-3">
+              {FLUID_RATE_PHASES.map(phase => (
+                <div key={phase.key}><label className="text-[10px] text-gray-500 uppercase block">{phase.type}rate ({phase.unit})</label><input type="number" min="0" className="w-full border rounded p-1 text-sm" value={data.rates?.[phase.key] ?? ''} onChange={e => updateRate(phase.key, e.target.value)} placeholder="0" /></div>
+              ))}
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div><label className="text-[10px] text-gray-500 uppercase block">Gauge MD (m)</label><input type="number" className="w-full border rounded p-1 text-sm" value={data.gauge?.md ?? ''} onChange={e => updateGauge('md', e.target.value)} placeholder="Ingen gauge" /></div>
+              <div><label className="text-[10px] text-gray-500 uppercase block">Nedihullstrykk ved gauge (bar)</label><input type="number" className="w-full border rounded p-1 text-sm" value={data.gauge?.pressure ?? ''} onChange={e => updateGauge('pressure', e.target.value)} placeholder="-" /></div>
+            </div>
+            <label className="flex items-center gap-2 text-xs font-bold text-gray-600 cursor-pointer"><input type="checkbox" checked={!!data.pipeFriction} onChange={e => setData({ ...data, pipeFriction: e.target.checked })} /> Estimer rørfriksjon i ComTrac</label>
+          </div>
+        )}
+        <div className="mb-6"><label className="block text-xs font-bold text-gray-500 uppercase mb-1">WHP (Brønnhodetrykk) [bar]</label><input type="number" className="w-full border p-2 rounded font-bold" value={data.whp} onChange={e => setData({ ...data, whp: e.target.value === '' ? '' : parseFloat(e.target.value) })} /></div>
         <div className="space-y-4 mb-6">
           {data.list.map((f, i) => (
             <div key={i} className="bg-gray-50 p-3 rounded border border-gray-200">
@@ -2227,8 +4516,14 @@ function StepFluids({ data, setData, maxTVD, maxMD, getTVD, onComplete }) {
                 <div><label className="text-[10px] text-gray-500 uppercase block">Tetthet (SG)</label><input type="number" className="w-full border rounded p-1 text-sm" value={f.sg} onChange={e => { const l = [...data.list]; l[i].sg = parseFloat(e.target.value); setData({ ...data, list: l }); }} /></div>
                 <div><label className="text-[10px] text-gray-500 uppercase block">Vertikal Høyde (%)</label><input type="number" className="w-full border rounded p-1 text-sm" value={f.percent} onChange={e => updatePercent(i, e.target.value)} /></div>
                 <div><label className="text-[10px] text-gray-500 uppercase block">TVD-Dybde (M)</label><input type="number" className="w-full border rounded p-1 text-sm bg-blue-50" value={(((f.percent || 0) / 100) * maxTVD).toFixed(1)} onChange={e => updateTVDInput(i, e.target.value)} /></div>
-                <div><label className="text-[10px] text-gray-500 uppercase block">MD-Dybde (M)</label><input type="number" className="w-full border rounded p-1 text-sm bg-blue-50" value={(((f.percent || 0) / 100) * maxMD).toFixed(1)} readOnly /></div>
+                <div><label className="text-[10px] text-gray-500 uppercase block">MD Intervall (M)</label><input type="text" className="w-full border rounded p-1 text-sm bg-blue-50" value={fluidColumns[i].intervals.length > 0 ? formatInterval(fluidColumns[i].intervals[0]) + (fluidColumns[i].intervals.length > 1 ? ` (+${fluidColumns[i].intervals.length - 1})` : '') : '-'} title={fluidColumns[i].intervals.length > 0 ? fluidColumns[i].intervals.map(formatInterval).join(', ') + ' m MD' : 'Beregnet med minimum curvature fra TVD-intervallet'} readOnly /></div>
               </div>
+              {(fluidColumns[i].topMDs.length > 1 || fluidColumns[i].intervals.length > 1) && (
+                <div className="mt-2 text-[10px] text-amber-700 bg-amber-50 border border-amber-200 rounded p-2">
+                  {fluidColumns[i].topMDs.length > 1 && <div>Toppen ({fluidColumns[i].startTVD.toFixed(0)} m TVD) krysses {fluidColumns[i].topMDs.length} ganger: {fluidColumns[i].topMDs.map(md => md.toFixed(0)).join(', ')} m MD. Væskespeilet vises ved krysning 1 ({fluidColumns[i].topMDs[0].toFixed(0)} m MD).</div>}
+                  {fluidColumns[i].intervals.length > 1 && <div>Fyller {fluidColumns[i].intervals.length} intervaller: {fluidColumns[i].intervals.map(formatInterval).join(', ')} m MD</div>}
+                </div>
+              )}
             </div>
           ))}
           {isInvalid && (<div className="flex items-center gap-2 text-red-600 bg-red-50 p-3 rounded text-sm border border-red-200"><AlertTriangle size={16} /> Totalt høyde er {totalPercent.toFixed(1)}% (Mangler {(100 - totalPercent).toFixed(1)}%)</div>)}
@@ -2241,7 +4536,7 @@ function StepFluids({ data, setData, maxTVD, maxMD, getTVD, onComplete }) {
               <div className="grid grid-cols-2 gap-2"><div><label className="text-[10px] text-gray-500 block">Bunntrykk (DHGP) [bar]</label><input type="number" className="border w-full p-1 rounded" value={calcInputs.dhgp} onChange={e => setCalcInputs({ ...calcInputs, dhgp: e.target.value })} /></div><div><label className="text-[10px] text-gray-500 block">Gauge Dybde (TVD m)</label><input type="number" className="border w-full p-1 rounded" value={calcInputs.gaugeDepth} onChange={e => setCalcInputs({ ...calcInputs, gaugeDepth: e.target.value })} /></div></div>
               <div className="flex gap-2 text-xs items-center"><select className="border p-1 rounded" value={calcInputs.fluidTop} onChange={e => setCalcInputs({ ...calcInputs, fluidTop: e.target.value })}>{data.list.map(f => <option key={f.type} value={f.type}>{f.type}</option>)}</select><span>over</span><select className="border p-1 rounded" value={calcInputs.fluidBot} onChange={e => setCalcInputs({ ...calcInputs, fluidBot: e.target.value })}>{data.list.map(f => <option key={f.type} value={f.type}>{f.type}</option>)}</select></div>
               <button onClick={calculateInterface} className="w-full bg-[#00A99D] text-white text-xs font-bold py-2 rounded mt-2 hover:bg-teal-600">Beregn & Oppdater</button>
-              {calcResult && <div className={`mt-2 text-center text-xs font-bold ${calcResult.error ? 'text-red-500' : 'text-green-600'}`}>{calcResult.error || `Grensesnitt funnet på ${calcResult.depth} m TVD`}</div>}
+              {calcResult && <div className={`mt-2 text-center text-xs font-bold ${calcResult.error ? 'text-red-500' : 'text-green-600'}`}>{calcResult.error || `Grensesnitt funnet på ${calcResult.depth} m TVD${calcResult.mds?.length ? ` (${calcResult.mds.map(md => md.toFixed(0)).join(', ')} m MD)` : ''}`}</div>}
             </div>
           )}
         </div>
@@ -2251,15 +4546,16 @@ function StepFluids({ data, setData, maxTVD, maxMD, getTVD, onComplete }) {
         </div>
       </div>
       <div className="bg-white border rounded-lg p-4 flex flex-col h-[500px]">
-        <h4 className="font-bold text-[#37424A] text-xs mb-2">Hydrostatisk Trykkprofil</h4>
-        <div className="flex-grow"><ResponsiveContainer width="100%" height="100%"><LineChart data={pressureData} margin={{ top: 10, right: 10, bottom: 20, left: 10 }}><CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" /><XAxis type="number" dataKey="md" label={{ value: 'MD (m)', position: 'insideBottom', offset: -5 }} style={{ fontSize: '10px' }} /><YAxis type="number" dataKey="pressure" label={{ value: 'Trykk (bar)', angle: -90, position: 'insideLeft' }} style={{ fontSize: '10px' }} /><Tooltip contentStyle={{ fontSize: '12px' }} labelFormatter={(label) => `MD: ${label} m`} /><Line dataKey="pressure" stroke="#00A99D" strokeWidth={2} dot={false} /></LineChart></ResponsiveContainer></div>
+        <h4 className="font-bold text-[#37424A] text-xs mb-2">{isFlowing ? `Trykkprofil – ${FLUID_SCENARIOS[data.scenario].toLowerCase()}` : 'Hydrostatisk Trykkprofil'}</h4>
+        <div className="flex-grow"><ResponsiveContainer width="100%" height="100%"><LineChart data={pressureData} margin={{ top: 10, right: 10, bottom: 20, left: 10 }}><CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" /><XAxis type="number" dataKey="md" label={{ value: 'MD (m)', position: 'insideBottom', offset: -5 }} style={{ fontSize: '10px' }} /><YAxis type="number" label={{ value: 'Trykk (bar)', angle: -90, position: 'insideLeft' }} style={{ fontSize: '10px' }} /><Tooltip contentStyle={{ fontSize: '12px' }} labelFormatter={(label) => `MD: ${label} m`} /><Legend wrapperStyle={{ fontSize: '10px' }} /><Line dataKey="pressure" name="Hydrostatisk" stroke="#00A99D" strokeWidth={2} dot={false} />{isFlowing && <Line dataKey="flowing" name={data.scenario === 'Flow' ? 'Strømmende' : 'Injeksjon'} stroke="#FFC82E" strokeWidth={2} dot={false} />}{hasGauge && <ReferenceDot x={gaugeMD} y={gaugePressure} r={5} fill="#37424A" stroke="white" label={{ value: 'Gauge', position: 'top', fontSize: 10 }} />}</LineChart></ResponsiveContainer></div>
+        {hasGauge && gaugeCalculated !== null && <div className="text-xs text-gray-500 mt-2">Gauge {gaugePressure.toFixed(1)} bar ved {gaugeMD.toFixed(0)} m MD – beregnet {gaugeCalculated.toFixed(1)} bar (avvik {(gaugePressure - gaugeCalculated).toFixed(1)} bar)</div>}
       </div>
     </div>
   );
 }
 
 // --- STEP 4: TEMPERATURE (UPDATED WITH PLOT) ---
-function StepTemperature({ data, setData, getTVD, getMD, maxDepth, maxTVD, onComplete }) {
+function StepTemperature({ data, setData, getTVD, getMDs, maxDepth, maxTVD, onComplete }) {
   const [units, setUnits] = useState({ depth: 'm', temp: 'C' });
 
   // Ensure data is an array
@@ -2277,22 +4573,46 @@ function StepTemperature({ data, setData, getTVD, getMD, maxDepth, maxTVD, onCom
     const normalizedVal = val.replace(',', '.');
     const numVal = parseFloat(normalizedVal);
 
-    // Auto-calculate TVD when MD changes (only if valid number)
+    // Set again below when a typed TVD is not reached by the trajectory
+    if (field === 'md' || field === 'tvd') delete newData[i].tvdUnreached;
+
+    // Auto-calculate TVD when MD changes (only if valid number), and remember which pass of that TVD it is
     if (field === 'md' && !isNaN(numVal)) {
-      newData[i].tvd = parseFloat(getTVD(numVal).toFixed(1));
+      const tvd = parseFloat(getTVD(numVal).toFixed(1));
+      const mds = getMDs(tvd);
+      newData[i].tvd = tvd;
+      newData[i].crossing = mds.length > 1 ? mds.reduce((best, md, k) => (Math.abs(md - numVal) < Math.abs(mds[best] - numVal) ? k : best), 0) : 0;
     }
-    // Auto-calculate MD when TVD changes (if needed)
+    // Auto-calculate MD when TVD changes, using the selected crossing if the TVD is reached more than once
     else if (field === 'tvd' && !isNaN(numVal)) {
-      newData[i].md = parseFloat(getMD(numVal).toFixed(1));
+      const mds = getMDs(numVal);
+      if (mds.length > 0) {
+        const crossing = Math.min(newData[i].crossing || 0, mds.length - 1);
+        newData[i].crossing = crossing;
+        newData[i].md = parseFloat(mds[crossing].toFixed(1));
+      } else {
+        // The MD is left as it was, so the row is flagged until the TVD or MD is corrected
+        newData[i].tvdUnreached = true;
+      }
     }
 
     // Don't sort here! It messes up focus while typing.
     setData(newData);
   };
 
+  const selectCrossing = (i, crossing) => {
+    const mds = getMDs(parseFloat(String(tempData[i].tvd).replace(',', '.')));
+    if (!mds[crossing]) return;
+    const newData = [...tempData];
+    newData[i] = { ...newData[i], crossing, md: parseFloat(mds[crossing].toFixed(1)) };
+    setData(newData);
+  };
+
   const addRow = () => setData([...tempData, { md: '', tvd: 0, temp: '' }]);
   const removeRow = (i) => setData(tempData.filter((_, idx) => idx !== i));
-  const hasErrors = tempData.some(row => (parseFloat(String(row.md).replace(',', '.')) || 0) > maxDepth);
+  const hasDepthErrors = tempData.some(row => (parseFloat(String(row.md).replace(',', '.')) || 0) > maxDepth);
+  const hasTVDErrors = tempData.some(row => row.tvdUnreached);
+  const hasErrors = hasDepthErrors || hasTVDErrors;
 
   return (
     <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
@@ -2305,7 +4625,9 @@ function StepTemperature({ data, setData, getTVD, getMD, maxDepth, maxTVD, onCom
         </div>
         <div className="bg-white border rounded-lg overflow-hidden mb-4">
           <div className="flex bg-gray-50 text-xs font-bold text-gray-500 border-b p-3"><div className="flex-1">MD ({units.depth})</div><div className="flex-1">TVD ({units.depth})</div><div className="flex-1">Temp ({units.temp})</div><div className="w-8"></div></div>
-          {tempData.map((row, i) => (
+          {tempData.map((row, i) => {
+            const crossings = getMDs(parseFloat(String(row.tvd).replace(',', '.')));
+            return (
             <div key={i} className="flex border-b last:border-0 p-2 items-center gap-2">
               <input
                 type="text"
@@ -2315,13 +4637,26 @@ function StepTemperature({ data, setData, getTVD, getMD, maxDepth, maxTVD, onCom
                 onChange={e => updateRow(i, 'md', e.target.value)}
                 placeholder="0"
               />
-              <input
-                type="number"
-                className="flex-1 border rounded px-2 py-1 text-sm bg-gray-50"
-                value={row.tvd}
-                readOnly
-                title="TVD beregnes automatisk fra MD"
-              />
+              <div className="flex-1 flex flex-col gap-1">
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  className={`w-full border rounded px-2 py-1 text-sm ${row.tvdUnreached ? 'border-red-500 bg-red-50' : 'bg-gray-50'}`}
+                  value={row.tvd}
+                  onChange={e => updateRow(i, 'tvd', e.target.value)}
+                  title="TVD beregnes fra MD, eller skriv inn TVD for å finne MD"
+                />
+                {crossings.length > 1 && (
+                  <select
+                    className="w-full border rounded px-1 py-0.5 text-[10px] text-amber-700 bg-amber-50 border-amber-200"
+                    value={Math.min(row.crossing || 0, crossings.length - 1)}
+                    onChange={e => selectCrossing(i, parseInt(e.target.value))}
+                    title="Denne TVD-en nås flere ganger langs brønnen"
+                  >
+                    {crossings.map((md, k) => <option key={k} value={k}>Krysning {k + 1} av {crossings.length} ({md.toFixed(0)} m MD)</option>)}
+                  </select>
+                )}
+              </div>
               <input
                 type="text"
                 inputMode="decimal"
@@ -2332,9 +4667,11 @@ function StepTemperature({ data, setData, getTVD, getMD, maxDepth, maxTVD, onCom
               />
               <button onClick={() => removeRow(i)} className="text-gray-400 hover:text-red-500"><Trash2 size={14} /></button>
             </div>
-          ))}
+            );
+          })}
         </div>
-        {hasErrors && <div className="text-xs text-red-500 font-bold mb-2 flex items-center gap-2"><AlertTriangle size={14} /> Dybde kan ikke være større enn brønnens maks dybde ({maxDepth.toFixed(0)}m).</div>}
+        {hasDepthErrors && <div className="text-xs text-red-500 font-bold mb-2 flex items-center gap-2"><AlertTriangle size={14} /> Dybde kan ikke være større enn brønnens maks dybde ({maxDepth.toFixed(0)}m).</div>}
+        {hasTVDErrors && <div className="text-xs text-red-500 font-bold mb-2 flex items-center gap-2"><AlertTriangle size={14} /> TVD nås ikke av brønnbanen (maks {maxTVD.toFixed(1)} m). MD er ikke oppdatert.</div>}
         <div className="flex gap-2 mt-2 mb-4">
           <button onClick={addRow} className="text-[#00A99D] font-bold text-sm flex items-center gap-1 hover:underline"><Plus size={16} /> Legg til punkt</button>
           {tempData.length > 0 && (
@@ -2378,10 +4715,12 @@ function StepTemperature({ data, setData, getTVD, getMD, maxDepth, maxTVD, onCom
 
 // --- STEP 5: ROD (UPDATED WITH INDIVIDUAL TOGGLES) ---
 function StepRod({ data, setData, onComplete }) {
+  // Values are stored in the base units; the unit toggles only change input and display
+  const [units, setUnits] = useState({});
   const UnitInput = ({ label, field, val, unitStateKey, baseUnit, altUnit, conversion }) => {
-    const currentUnit = data.units?.[field] || baseUnit;
+    const currentUnit = units[field] || baseUnit;
     const displayVal = currentUnit === baseUnit ? val : (val * conversion).toFixed(3);
-    const toggle = () => { const newUnits = { ...(data.units || {}), [field]: currentUnit === baseUnit ? altUnit : baseUnit }; setData({ ...data, units: newUnits }); };
+    const toggle = () => setUnits({ ...units, [field]: currentUnit === baseUnit ? altUnit : baseUnit });
     const handleChange = (e) => { let newVal = parseFloat(e.target.value); if (currentUnit === altUnit) newVal = newVal / conversion; setData({ ...data, [field]: newVal }); };
     return (
       <div>
@@ -2417,7 +4756,22 @@ function StepRod({ data, setData, onComplete }) {
 }
 
 // --- STEP 6: BHA CONFIGURATION ---
-function StepBHA({ data, setData, onComplete }) {
+// Restrictions above the target depth the tool string cannot pass (largest tool or centralizer OD >= minimum ID)
+function BhaPassabilityWarning({ passability }) {
+  return (
+    <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4 mb-4 text-sm">
+      <div className="font-bold flex items-center gap-2 mb-1"><AlertTriangle size={16} /> BHA-en passerer ikke alle restriksjoner over måldybden</div>
+      <div className="text-xs mb-1">Største OD i verktøystrengen: {(passability.maxOD / 2.54).toFixed(3)}" ({passability.maxOD.toFixed(2)} cm)</div>
+      <ul className="text-xs list-disc pl-5">
+        {passability.blocking.map((c, i) => (
+          <li key={i}>{RESTRICTION_TYPES[c.restriction.type] || c.restriction.type}{c.restriction.name ? ` (${c.restriction.name})` : ''} ved {c.depth.toFixed(0)} m: min. ID {(c.minId / 2.54).toFixed(3)}", klaring {(c.clearance / 2.54).toFixed(3)}"</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function StepBHA({ data, setData, passability, onComplete }) {
   const [units, setUnits] = useState({ od: 'cm', length: 'm', weight: 'kg' });
   const toggleUnit = (key) => { let newUnit = ''; if (key === 'od') newUnit = units.od === 'cm' ? 'in' : 'cm'; if (key === 'length') newUnit = units.length === 'm' ? 'ft' : 'm'; if (key === 'weight') newUnit = units.weight === 'kg' ? 'lbs' : 'kg'; setUnits({ ...units, [key]: newUnit }); };
   const addTool = () => { const newTool = { id: Math.random().toString(), name: '', od: 0, length: 0, weight: 0, expanded: false, youngs: 2000000, fricRIH: 1.0, fricPOOH: 1.0, fricFluid: 0.4, isKnuckle: false, isTractor: false, tractorForce: 0, isCentralizer: false, centForce: 0, centMaxOD: 0 }; setData({ ...data, tools: [...(data.tools || []), newTool] }); };
@@ -2438,6 +4792,7 @@ function StepBHA({ data, setData, onComplete }) {
         <div><h3 className="font-bold text-[#37424A] text-xl">BHA Konfigurasjon</h3><p className="text-xs text-gray-500">Bygg verktøystrengen komponent for komponent.</p></div>
         <div className="flex gap-2"><input className="border p-2 rounded text-sm w-64" placeholder="Navn på BHA" value={data.name || ''} onChange={e => setData({ ...data, name: e.target.value })} /></div>
       </div>
+      {passability?.blocking.length > 0 && <BhaPassabilityWarning passability={passability} />}
       <div className="flex-grow border rounded-lg flex flex-col">
         <div className="flex bg-gray-100 text-xs font-bold text-gray-600 border-b p-3">
           <div className="flex-[2]">Verktøy Navn</div><div className="flex-1 cursor-pointer hover:text-[#00A99D]" onClick={() => toggleUnit('od')}>OD ({units.od})</div><div className="flex-1 cursor-pointer hover:text-[#00A99D]" onClick={() => toggleUnit('length')}>Lengde ({units.length})</div><div className="flex-1 cursor-pointer hover:text-[#00A99D]" onClick={() => toggleUnit('weight')}>Vekt ({units.weight})</div><div className="w-40 text-center">Handlinger</div>
@@ -2497,15 +4852,136 @@ function StepBHA({ data, setData, onComplete }) {
 }
 
 // --- COMPONENT: DASHBOARD ---
-function Dashboard({ onNewWell, wells, onViewWell, onDeleteWell, onEditWell }) {
+// --- COMPONENT: CTSPROJ IMPORT REVIEW ---
+// Summary of a parsed ComTrac project before the well is created, with everything that could not be mapped
+function ComtracImportReview({ result, fileName, onCancel, onConfirm }) {
+  const [name, setName] = useState(result.well.name);
+  const maxDepth = Math.max(0, ...result.well.survey.map(p => p.md));
+  return (
+    <div className="fixed inset-0 bg-black/40 z-50 flex items-center justify-center p-4" onClick={onCancel}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+        <div className="bg-[#37424A] text-white p-4 rounded-t-lg flex justify-between items-center">
+          <div><h3 className="font-bold flex items-center gap-2"><Upload size={18} /> Importer ComTrac-prosjekt</h3><p className="text-xs text-gray-300">{fileName}</p></div>
+          <button onClick={onCancel} className="text-gray-300 hover:text-white"><X size={18} /></button>
+        </div>
+        <div className="p-4 overflow-y-auto space-y-4 text-sm">
+          <div><label className="text-[10px] uppercase font-bold text-gray-500">Brønnavn</label><input className="w-full p-2 border rounded" value={name} onChange={e => setName(e.target.value)} /></div>
+          <div className="grid grid-cols-3 gap-3 text-xs">
+            <div className="bg-gray-50 border rounded p-2"><div className="font-bold text-gray-500">Survey</div>{result.well.survey.length} stasjoner, TD {maxDepth.toFixed(0)} m</div>
+            <div className="bg-gray-50 border rounded p-2"><div className="font-bold text-gray-500">Arkitektur</div>{result.well.architecture.length} seksjoner</div>
+            <div className="bg-gray-50 border rounded p-2"><div className="font-bold text-gray-500">Runs</div>{result.scenarios.length} scenarier</div>
+          </div>
+          {result.scenarios.length > 0 && (
+            <table className="w-full text-xs border rounded">
+              <thead className="bg-gray-50 text-gray-500"><tr><th className="p-1 text-left">Scenario</th><th className="p-1 text-right">Måldybde</th><th className="p-1 text-left">Væske</th><th className="p-1 text-right">Temp.punkter</th><th className="p-1 text-right">Verktøy</th></tr></thead>
+              <tbody>
+                {result.scenarios.map((sc, i) => (
+                  <tr key={i} className="border-t border-gray-100"><td className="p-1 font-bold">{sc.name}</td><td className="p-1 text-right font-mono">{sc.run.general.targetDepth} m</td><td className="p-1">{sc.run.fluids.scenario}, WHP {sc.run.fluids.whp} bar</td><td className="p-1 text-right font-mono">{sc.run.temps.length}</td><td className="p-1 text-right font-mono">{sc.run.bha.tools.length}</td></tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {result.warnings.length > 0 && (
+            <div className="bg-amber-50 border border-amber-200 rounded p-2 text-xs text-amber-800 space-y-0.5">
+              {result.warnings.map((w, i) => <div key={i} className="flex items-start gap-1"><AlertTriangle size={12} className="mt-0.5 shrink-0" /> {w}</div>)}
+            </div>
+          )}
+          <div>
+            <div className="text-[10px] uppercase font-bold text-gray-500 mb-1">Ikke importert ({result.unmapped.length})</div>
+            {result.unmapped.length === 0 ? <div className="text-xs text-green-600 flex items-center gap-1"><Check size={12} /> Alle elementer i filen ble importert.</div> : (
+              <table className="w-full text-xs border rounded">
+                <thead className="bg-gray-50 text-gray-500"><tr><th className="p-1 text-left">Scenario</th><th className="p-1 text-left">Element</th><th className="p-1 text-left">Verdi</th></tr></thead>
+                <tbody className="font-mono">
+                  {result.unmapped.map((u, i) => <tr key={i} className="border-t border-gray-100"><td className="p-1 font-sans">{u.scenario || '-'}</td><td className="p-1">{u.path}</td><td className="p-1 break-all">{u.value}</td></tr>)}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+        <div className="p-4 border-t flex justify-end gap-2">
+          <button onClick={onCancel} className="px-4 py-2 rounded font-bold text-gray-500 hover:bg-gray-100">Avbryt</button>
+          <button onClick={() => onConfirm({ ...result.well, name: name.trim() || result.well.name })} className="px-6 py-2 rounded font-bold bg-[#37424A] text-white hover:bg-slate-700 flex items-center gap-2"><Save size={16} /> Opprett brønn</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- COMPONENT: CTSPROJ EXPORT PREFLIGHT ---
+// Everything the export would default, skip or reject, per scenario and section. Errors block the download.
+function ComtracExportPreflight({ well, runs, onCancel, onExport }) {
+  const { errors, warnings } = useMemo(() => preflightComtracExport(well, runs), [well, runs]);
+  const groups = [];
+  [...errors, ...warnings].forEach(issue => {
+    const title = issue.scenario ? `${issue.scenario} – ${issue.section}` : `Prosjekt – ${issue.section}`;
+    let group = groups.find(g => g.title === title);
+    if (!group) groups.push(group = { title, issues: [] });
+    group.issues.push(issue);
+  });
+  return (
+    <div className="fixed inset-0 bg-black/40 z-50 flex items-center justify-center p-4" onClick={onCancel}>
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+        <div className="bg-[#37424A] text-white p-4 rounded-t-lg flex justify-between items-center">
+          <div><h3 className="font-bold flex items-center gap-2"><Download size={18} /> Kontroll før eksport</h3><p className="text-xs text-gray-300">{runs.length === 1 ? (runs[0].bha?.name || 'New Run') : `${runs.length} scenarier`}</p></div>
+          <button onClick={onCancel} className="text-gray-300 hover:text-white"><X size={18} /></button>
+        </div>
+        <div className="p-4 overflow-y-auto space-y-3 text-sm">
+          <div className="grid grid-cols-2 gap-3 text-xs">
+            <div className={`border rounded p-2 ${errors.length > 0 ? 'bg-red-50 border-red-200 text-red-700' : 'bg-gray-50'}`}><div className="font-bold">Feil</div>{errors.length} – stopper eksporten</div>
+            <div className={`border rounded p-2 ${warnings.length > 0 ? 'bg-amber-50 border-amber-200 text-amber-800' : 'bg-gray-50'}`}><div className="font-bold">Advarsler</div>{warnings.length} – standardverdier og escaping</div>
+          </div>
+          {groups.length === 0 && <div className="text-xs text-green-600 flex items-center gap-1"><Check size={12} /> Alle verdier eksporteres slik de er lagt inn.</div>}
+          {groups.map(group => (
+            <div key={group.title}>
+              <div className="text-[10px] uppercase font-bold text-gray-500 mb-1">{group.title}</div>
+              <div className="border rounded divide-y divide-gray-100 text-xs">
+                {group.issues.map((issue, i) => (
+                  <div key={i} className={`p-1.5 flex items-start gap-1 ${issue.severity === 'error' ? 'text-red-700' : 'text-amber-800'}`}>
+                    {issue.severity === 'error' ? <AlertCircle size={12} className="mt-0.5 shrink-0" /> : <AlertTriangle size={12} className="mt-0.5 shrink-0" />} {issue.message}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+        <div className="p-4 border-t flex justify-end gap-2">
+          <button onClick={onCancel} className="px-4 py-2 rounded font-bold text-gray-500 hover:bg-gray-100">Avbryt</button>
+          <button onClick={onExport} disabled={errors.length > 0} className={`px-6 py-2 rounded font-bold flex items-center gap-2 ${errors.length > 0 ? 'bg-gray-200 text-gray-400 cursor-not-allowed' : 'bg-[#37424A] text-white hover:bg-slate-700'}`} title={errors.length > 0 ? 'Rett feilene før eksport' : undefined}><Download size={16} /> {warnings.length > 0 ? 'Last ned likevel' : 'Last ned'}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Dashboard({ onNewWell, onImportProject, wells, onViewWell, onDeleteWell, onEditWell }) {
   const [searchTerm, setSearchTerm] = useState('');
+  const [projectImport, setProjectImport] = useState(null);
+  const projectInputRef = useRef(null);
   const filteredWells = wells.filter(w => w.name.toLowerCase().includes(searchTerm.toLowerCase()) || (w.rig || w.field || '').toLowerCase().includes(searchTerm.toLowerCase()));
 
+  const readProject = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        setProjectImport({ fileName: file.name, result: parseComtracProject(e.target.result, file.name) });
+      } catch (err) {
+        alert(`Kunne ikke lese ${file.name}: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+  };
+
   return (
     <div className="space-y-6">
+      {projectImport && <ComtracImportReview result={projectImport.result} fileName={projectImport.fileName} onCancel={() => setProjectImport(null)} onConfirm={(well) => { setProjectImport(null); onImportProject(well); }} />}
       <div className="flex justify-between items-center">
         <div><h2 className="text-2xl font-bold text-[#37424A]">Dine Brønner</h2><p className="text-gray-500">Oversikt over alle aktive og planlagte brønner.</p></div>
-        <button onClick={onNewWell} className="bg-[#FFC82E] text-[#37424A] px-6 py-3 rounded font-bold shadow-sm hover:bg-[#E5B020] transition-colors flex items-center gap-2"><Plus size={20} /> Ny Brønn</button>
+        <div className="flex gap-2">
+          {onImportProject && <button onClick={() => projectInputRef.current?.click()} className="bg-white border border-gray-300 text-[#37424A] px-4 py-3 rounded font-bold shadow-sm hover:bg-gray-50 transition-colors flex items-center gap-2"><Upload size={20} /> Importer .ctsproj</button>}
+          <input type="file" ref={projectInputRef} className="hidden" accept=".ctsproj,.xml" onChange={(e) => { readProject(e.target.files[0]); e.target.value = ''; }} />
+          <button onClick={onNewWell} className="bg-[#FFC82E] text-[#37424A] px-6 py-3 rounded font-bold shadow-sm hover:bg-[#E5B020] transition-colors flex items-center gap-2"><Plus size={20} /> Ny Brønn</button>
+        </div>
       </div>
 
       <div className="bg-white p-4 rounded-lg shadow-sm border border-gray-200 flex items-center gap-4">
@@ -2513,60 +4989,279 @@ function Dashboard({ onNewWell, wells, onViewWell, onDeleteWell, onEditWell }) {
         <input type="text" placeholder="Søk etter brønn eller felt..." className="flex-grow outline-none text-gray-600" value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} />
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-        {filteredWells.map(well => (
-          <div key={well.id} className="bg-white rounded-lg shadow-sm border border-gray-200 hover:shadow-md transition-shadow group relative overflow-hidden">
-            <div className="absolute top-0 left-0 w-1 h-full bg-[#37424A] group-hover:bg-[#FFC82E] transition-colors"></div>
-            <div className="p-6 cursor-pointer" onClick={() => onViewWell(well)}>
-              <div className="flex justify-between items-start mb-4">
-                <div><h3 className="font-bold text-lg text-[#37424A]">{well.name}</h3><p className="text-sm text-gray-500">{well.rig || well.field}</p></div>
-                <div className="bg-gray-100 p-2 rounded-full"><Activity size={20} className="text-[#00A99D]" /></div>
-              </div>
-              <div className="space-y-2 text-sm text-gray-600 mb-4">
-                <div className="flex items-center gap-2"><Briefcase size={16} className="text-gray-400" /> <span>{well.operator || 'Ukjent operatør'}</span></div>
-                <div className="flex items-center gap-2">
-                  <ArrowRight size={16} className="text-gray-400" />
-                  <span>Lengde: {well.survey?.length > 0 ? Math.max(...well.survey.map(p => p.md)).toFixed(0) : 0} m</span>
-                </div>
-                <div className="flex items-center gap-2">
-                  <ArrowDown size={16} className="text-gray-400" />
-                  <span>TVD: {well.survey?.length > 0 ? calculateTrajectory(well.survey).pop()?.tvd.toFixed(0) : 0} m</span>
-                </div>
-              </div>
-              <div className="flex items-center justify-between text-xs text-gray-400 pt-4 border-t border-gray-100">
-                <span>Sist endret: {new Date().toLocaleDateString()}</span>
-                <span className="font-bold text-[#37424A] group-hover:text-[#FFC82E] transition-colors flex items-center gap-1">Åpne <ArrowRight size={12} /></span>
-              </div>
-            </div>
-            <div className="absolute top-2 right-2 opacity-0 group-hover:opacity-100 transition-opacity flex gap-1">
-              <button onClick={(e) => { e.stopPropagation(); onEditWell(well); }} className="p-1.5 bg-gray-100 hover:bg-white rounded text-gray-500 hover:text-[#37424A] shadow-sm"><Edit2 size={14} /></button>
-              <button onClick={(e) => { e.stopPropagation(); onDeleteWell(well.id); }} className="p-1.5 bg-red-50 hover:bg-red-100 rounded text-red-400 hover:text-red-600 shadow-sm"><Trash2 size={14} /></button>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+        {filteredWells.map(well => (
+          <div key={well.id} className="bg-white rounded-lg shadow-sm border border-gray-200 hover:shadow-md transition-shadow group relative overflow-hidden">
+            <div className="absolute top-0 left-0 w-1 h-full bg-[#37424A] group-hover:bg-[#FFC82E] transition-colors"></div>
+            <div className="p-6 cursor-pointer" onClick={() => onViewWell(well)}>
+              <div className="flex justify-between items-start mb-4">
+                <div><h3 className="font-bold text-lg text-[#37424A]">{well.name}</h3><p className="text-sm text-gray-500">{well.rig || well.field}</p></div>
+                <div className="bg-gray-100 p-2 rounded-full"><Activity size={20} className="text-[#00A99D]" /></div>
+              </div>
+              <div className="space-y-2 text-sm text-gray-600 mb-4">
+                <div className="flex items-center gap-2"><Briefcase size={16} className="text-gray-400" /> <span>{well.operator || 'Ukjent operatør'}</span></div>
+                <div className="flex items-center gap-2">
+                  <ArrowRight size={16} className="text-gray-400" />
+                  <span>Lengde: {well.survey?.length > 0 ? Math.max(...well.survey.map(p => p.md)).toFixed(0) : 0} m</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <ArrowDown size={16} className="text-gray-400" />
+                  <span>TVD: {well.survey?.length > 0 ? calculateTrajectory(well.survey, getTrajectoryOptions(well)).pop()?.tvd.toFixed(0) : 0} m</span>
+                </div>
+              </div>
+              <div className="flex items-center justify-between text-xs text-gray-400 pt-4 border-t border-gray-100">
+                <span>Sist endret: {new Date().toLocaleDateString()}</span>
+                <span className="font-bold text-[#37424A] group-hover:text-[#FFC82E] transition-colors flex items-center gap-1">Åpne <ArrowRight size={12} /></span>
+              </div>
+            </div>
+            <div className="absolute top-2 right-2 opacity-0 group-hover:opacity-100 transition-opacity flex gap-1">
+              <button onClick={(e) => { e.stopPropagation(); onEditWell(well); }} className="p-1.5 bg-gray-100 hover:bg-white rounded text-gray-500 hover:text-[#37424A] shadow-sm"><Edit2 size={14} /></button>
+              <button onClick={(e) => { e.stopPropagation(); onDeleteWell(well.id); }} className="p-1.5 bg-red-50 hover:bg-red-100 rounded text-red-400 hover:text-red-600 shadow-sm"><Trash2 size={14} /></button>
+            </div>
+          </div>
+        ))}
+        {filteredWells.length === 0 && (
+          <div className="col-span-full py-12 text-center text-gray-400 bg-gray-50 rounded-lg border border-dashed border-gray-300">
+            <Search size={48} className="mx-auto mb-4 opacity-20" />
+            <p>Ingen brønner funnet.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// --- COMPONENT: BORE LIST (WIZARD STEP 2) ---
+// Main bore and sidetracks. New sidetracks branch off the selected bore.
+function BoreList({ bores, selectedId, onSelect, onAdd, onUpdate, onDelete }) {
+  const selected = bores.find(b => b.id === selectedId);
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 mb-2 shrink-0 space-y-3">
+      <div className="flex flex-wrap gap-2 items-center">
+        <span className="text-[10px] uppercase font-bold text-gray-500 mr-2">Boringer</span>
+        {bores.map(b => (
+          <button key={b.id} onClick={() => onSelect(b.id)} className={`px-3 py-1.5 rounded border text-xs font-bold ${b.id === selectedId ? 'bg-[#00A99D] text-white border-[#00A99D]' : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-100'}`}>
+            {b.name}{b.parentBoreId && <span className="font-normal opacity-75"> • KOP {b.kickoffMD} m</span>}
+          </button>
+        ))}
+        <button onClick={onAdd} className="text-[#00A99D] font-bold text-xs flex items-center gap-1 hover:underline ml-2"><Plus size={14} /> Nytt sidespor fra {selected?.name}</button>
+      </div>
+      {selected && selected.id !== MAIN_BORE.id && (
+        <div className="grid grid-cols-4 gap-2 items-end">
+          <div><label className="text-[10px] uppercase font-bold text-gray-500">Navn</label><input type="text" className="w-full p-1.5 border rounded text-xs bg-white" value={selected.name} onChange={e => onUpdate(selected.id, { name: e.target.value })} /></div>
+          <div><label className="text-[10px] uppercase font-bold text-gray-500">Parent</label><select className="w-full p-1.5 border rounded text-xs bg-white" value={selected.parentBoreId} onChange={e => onUpdate(selected.id, { parentBoreId: e.target.value })}>{bores.filter(b => b.id !== selected.id && b.parentBoreId !== selected.id).map(b => <option key={b.id} value={b.id}>{b.name}</option>)}</select></div>
+          <div><label className="text-[10px] uppercase font-bold text-gray-500">Kick-off MD (m)</label><input type="number" className="w-full p-1.5 border rounded text-xs bg-white" value={selected.kickoffMD} onChange={e => onUpdate(selected.id, { kickoffMD: e.target.value === '' ? '' : parseFloat(e.target.value) })} /></div>
+          <div className="flex justify-end"><button onClick={() => onDelete(selected.id)} className="p-1.5 rounded border bg-white text-gray-400 hover:text-red-500" title="Slett sidespor"><Trash2 size={14} /></button></div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- COMPONENT: SURVEY LIST (WIZARD STEP 2) ---
+// Named surveys on the well. The selected survey is the one being imported/edited below the list.
+function SurveyList({ surveys, activeSurveyId, selectedId, onSelect, onAdd, onUpdate, onSetActive, onDelete }) {
+  const selected = surveys.find(s => s.id === selectedId);
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 mb-4 shrink-0 space-y-3">
+      <div className="flex flex-wrap gap-2 items-center">
+        {surveys.map(s => (
+          <button key={s.id} onClick={() => onSelect(s.id)} className={`px-3 py-1.5 rounded border text-xs text-left ${s.id === selectedId ? 'bg-[#37424A] text-white border-[#37424A]' : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-100'}`}>
+            <div className="font-bold flex items-center gap-1">{s.name}{s.id === activeSurveyId && <span className="text-[9px] bg-[#00A99D] text-white px-1 rounded">AKTIV</span>}</div>
+            <div className="text-[10px] opacity-75">{SURVEY_TYPES[s.type] || s.type} • {s.stations.length} stasjoner</div>
+          </button>
+        ))}
+        <button onClick={onAdd} className="text-[#00A99D] font-bold text-xs flex items-center gap-1 hover:underline ml-2"><Plus size={14} /> Ny survey</button>
+      </div>
+      {selected && (
+        <div className="grid grid-cols-5 gap-2 items-end">
+          <div><label className="text-[10px] uppercase font-bold text-gray-500">Navn</label><input type="text" className="w-full p-1.5 border rounded text-xs bg-white" value={selected.name} onChange={e => onUpdate(selected.id, { name: e.target.value })} /></div>
+          <div><label className="text-[10px] uppercase font-bold text-gray-500">Type</label><select className="w-full p-1.5 border rounded text-xs bg-white" value={selected.type} onChange={e => onUpdate(selected.id, { type: e.target.value })}>{Object.entries(SURVEY_TYPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}</select></div>
+          <div><label className="text-[10px] uppercase font-bold text-gray-500">Kilde</label><input type="text" className="w-full p-1.5 border rounded text-xs bg-white" value={selected.source || ''} onChange={e => onUpdate(selected.id, { source: e.target.value })} placeholder="E.g. Leverandør / fil" /></div>
+          <div><label className="text-[10px] uppercase font-bold text-gray-500">Dato</label><input type="date" className="w-full p-1.5 border rounded text-xs bg-white" value={selected.date || ''} onChange={e => onUpdate(selected.id, { date: e.target.value })} /></div>
+          <div className="flex gap-1">
+            <button onClick={() => onSetActive(selected.id)} disabled={selected.id === activeSurveyId} className={`flex-1 px-2 py-1.5 rounded text-xs font-bold ${selected.id === activeSurveyId ? 'bg-gray-200 text-gray-400' : 'bg-[#00A99D] text-white hover:bg-teal-600'}`}>Sett aktiv</button>
+            <button onClick={() => onDelete(selected.id)} disabled={surveys.length < 2} className="p-1.5 rounded border bg-white text-gray-400 hover:text-red-500 disabled:opacity-40" title="Slett survey"><Trash2 size={14} /></button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Shown before a survey with stations is replaced: how the well path moves, and which runs hold values from the old path
+function SurveyImpactReview({ oldWell, newWell, survey, onCancel, onApply }) {
+  const boreId = survey.boreId || MAIN_BORE.id;
+  const diff = useMemo(() => compareTrajectories(
+    getRunTrajectory(oldWell, boreId, survey.id).trajectory,
+    getRunTrajectory(newWell, boreId, survey.id).trajectory
+  ), [oldWell, newWell, boreId, survey.id]);
+  const runCount = oldWell.jobs?.length || 0;
+  const impacts = useMemo(() => (oldWell.jobs || []).map(run => ({ run, ...runSurveyImpact(oldWell, newWell, run) })).filter(i => i.affected), [oldWell, newWell]);
+  const oldTD = Math.max(...survey.stations.map(p => p.md), 0);
+  const newTD = Math.max(...getWellSurveys(newWell).find(s => s.id === survey.id).stations.map(p => p.md), 0);
+  const fmt = (v) => v.toFixed(1);
+
+  return (
+    <div className="h-full flex flex-col gap-4">
+      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-800 flex items-start gap-2 shrink-0">
+        <AlertTriangle size={18} className="shrink-0 mt-0.5" />
+        <div>
+          <div className="font-bold">Du erstatter surveyen «{survey.name}» ({survey.stations.length} stasjoner, TD {fmt(oldTD)} m → {fmt(newTD)} m)</div>
+          <div className="text-xs">{impacts.length > 0 ? `${impacts.length} av ${runCount} runs har TVD-verdier fra den gamle brønnbanen.` : runCount > 0 ? 'Ingen runs påvirkes av endringen.' : 'Brønnen har ingen runs.'}</div>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 flex-grow min-h-0">
+        <div className="bg-white border rounded-lg p-3 flex flex-col min-h-[300px]">
+          <h4 className="font-bold text-[#37424A] text-sm mb-1">Endring i brønnbane (ny − gammel)</h4>
+          {diff.length > 0 && <div className="text-[10px] text-gray-400 mb-1">Maks |ΔTVD| {Math.max(...diff.map(d => Math.abs(d.dTVD))).toFixed(2)} m • Maks lateralt avvik {Math.max(...diff.map(d => d.lateral)).toFixed(2)} m</div>}
+          <div className="flex-grow">
+            {diff.length === 0 ? (
+              <div className="h-full flex items-center justify-center text-gray-400 text-xs italic">Ingen overlappende MD mellom gammel og ny survey</div>
+            ) : (
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={diff} margin={{ top: 5, right: 10, bottom: 15, left: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="md" type="number" domain={['dataMin', 'dataMax']} style={{ fontSize: '10px' }} label={{ value: 'MD (m)', position: 'insideBottom', offset: -5, fontSize: 10 }} />
+                  <YAxis yAxisId="tvd" style={{ fontSize: '10px' }} />
+                  <YAxis yAxisId="lateral" orientation="right" style={{ fontSize: '10px' }} />
+                  <Tooltip formatter={(value) => `${value.toFixed(2)} m`} labelFormatter={(md) => `MD: ${md.toFixed(0)} m`} />
+                  <Legend verticalAlign="top" height={20} wrapperStyle={{ fontSize: '10px' }} />
+                  <ReferenceLine yAxisId="tvd" y={0} stroke="#9CA3AF" />
+                  <Line yAxisId="tvd" type="monotone" dataKey="dTVD" name="ΔTVD (m)" stroke="#37424A" dot={false} strokeWidth={2} />
+                  <Line yAxisId="lateral" type="monotone" dataKey="lateral" name="Posisjonsendring lateralt (m)" stroke="#00A99D" dot={false} strokeWidth={2} />
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+        </div>
+        <div className="bg-white border rounded-lg flex flex-col min-h-[300px] overflow-hidden">
+          <div className="bg-gray-100 p-2 text-xs font-bold text-gray-600 border-b shrink-0">Berørte runs</div>
+          <div className="flex-grow overflow-auto divide-y divide-gray-100">
+            {impacts.length === 0 && <div className="p-4 text-xs text-gray-400 italic">Ingen lagrede verdier må regnes om.</div>}
+            {impacts.map(({ run, temps, fluids, target }) => (
+              <div key={run.id} className="p-3 text-xs">
+                <div className="font-bold text-[#37424A] mb-1">{run.general?.goal || 'Run uten navn'} <span className="font-normal text-gray-400">• {run.date ? new Date(run.date).toLocaleDateString() : ''}</span></div>
+                <table className="w-full text-right">
+                  <thead className="text-[10px] uppercase text-gray-400"><tr><th className="p-1 text-left">Verdi</th><th className="p-1">MD (m)</th><th className="p-1">Lagret TVD (m)</th><th className="p-1">Ny TVD (m)</th><th className="p-1">Δ (m)</th></tr></thead>
+                  <tbody className="font-mono">
+                    {temps.map(row => <tr key={`t${row.md}`}><td className="p-1 text-left font-sans">Temperaturpunkt</td><td className="p-1">{fmt(row.md)}</td><td className="p-1">{fmt(row.storedTVD)}</td><td className="p-1">{fmt(row.newTVD)}</td><td className="p-1 font-bold">{(row.newTVD - row.storedTVD).toFixed(2)}</td></tr>)}
+                    {fluids.map(row => <tr key={`f${row.type}`}><td className="p-1 text-left font-sans">Bunn {row.type} (væskegrense)</td><td className="p-1">-</td><td className="p-1">{fmt(row.storedTVD)}</td><td className="p-1">{fmt(row.newTVD)}</td><td className="p-1 font-bold">{(row.newTVD - row.storedTVD).toFixed(2)}</td></tr>)}
+                    {target && <tr className={target.beyondTD ? 'text-red-600' : ''}><td className="p-1 text-left font-sans">Måldybde{target.beyondTD ? ' (dypere enn ny TD!)' : ''}</td><td className="p-1">{fmt(target.md)}</td><td className="p-1">{fmt(target.oldTVD)}</td><td className="p-1">{fmt(target.newTVD)}</td><td className="p-1 font-bold">{(target.newTVD - target.oldTVD).toFixed(2)}</td></tr>}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </div>
+          {impacts.length > 0 && <div className="border-t p-2 text-[10px] text-gray-500 shrink-0">Omregning: temperaturpunkter beholder MD og får ny TVD. Væskegrenser beholder TVD og får nye prosentandeler. Måldybde (MD) endres ikke.</div>}
+        </div>
+      </div>
+      <div className="flex justify-between items-center pt-4 border-t shrink-0">
+        <button onClick={onCancel} className="text-gray-500 font-medium">Avbryt</button>
+        <div className="flex gap-3">
+          <button onClick={() => onApply(false)} className="px-4 py-2 rounded font-bold border border-[#37424A] text-[#37424A] hover:bg-gray-50">{impacts.length > 0 ? 'Erstatt uten å oppdatere runs' : 'Erstatt survey'}</button>
+          {impacts.length > 0 && <button onClick={() => onApply(true)} className="px-6 py-2 rounded font-bold bg-[#37424A] text-white hover:bg-slate-700">Erstatt og regn om {impacts.length} runs</button>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- COMPONENT: SURVEY QA PANEL ---
+// Issues from validateSurvey with a resolution picker per issue. lineLabel names what issue.line counts (text lines or merged stations).
+function SurveyQaPanel({ issues, resolutions, onChange, lineLabel = 'Linje', className = 'bg-white border border-gray-200 rounded-lg shrink-0 flex flex-col max-h-64 overflow-hidden' }) {
+  const applyRecommended = () => onChange(issues.reduce((acc, issue) => ({ ...acc, [issue.key]: resolutions[issue.key] || issue.actions[0] }), {}));
+  return (
+    <div className={className}>
+      <div className="bg-gray-100 p-2 text-xs font-bold text-gray-600 border-b flex justify-between items-center shrink-0">
+        <span className="flex items-center gap-1"><AlertTriangle size={12} className="text-yellow-600" /> Kvalitetskontroll: {issues.filter(i => i.severity === 'error').length} feil, {issues.filter(i => i.severity === 'warning').length} advarsler</span>
+        <button onClick={applyRecommended} className="text-[10px] text-[#00A99D] hover:underline">Bruk anbefalt for alle</button>
+      </div>
+      <div className="overflow-auto divide-y divide-gray-100">
+        {issues.map(issue => (
+          <div key={issue.key} className="flex items-center gap-2 p-2 text-xs">
+            <span className={`w-2 h-2 rounded-full shrink-0 ${issue.severity === 'error' ? 'bg-red-500' : 'bg-yellow-400'}`}></span>
+            <div className="flex-grow min-w-0"><div className="font-bold text-[#37424A]">{lineLabel} {issue.line}: {issue.label}</div><div className="text-gray-500 truncate" title={issue.message}>{issue.message}</div></div>
+            <div className="flex gap-1 shrink-0">
+              {issue.actions.map(action => (
+                <button key={action} onClick={() => onChange({ ...resolutions, [issue.key]: action })} className={`px-2 py-0.5 rounded border text-[10px] font-bold ${resolutions[issue.key] === action ? 'bg-[#37424A] text-white border-[#37424A]' : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'}`}>{SURVEY_QA_ACTION_LABELS[action]}</button>
+              ))}
             </div>
           </div>
         ))}
-        {filteredWells.length === 0 && (
-          <div className="col-span-full py-12 text-center text-gray-400 bg-gray-50 rounded-lg border border-dashed border-gray-300">
-            <Search size={48} className="mx-auto mb-4 opacity-20" />
-            <p>Ingen brønner funnet.</p>
-          </div>
-        )}
       </div>
     </div>
   );
 }
 
 // --- COMPONENT: STEP SURVEY IMPORT (WITH DRAG-DROP & EXCEL) ---
-function StepSurveyImport({ onBack, onNext, existingData }) {
+function StepSurveyImport({ onBack, onNext, onSave, existingData, trajectoryOptions, onMethodChange, onImportMetadata }) {
   const [rawText, setRawText] = useState('');
   const [isDragging, setIsDragging] = useState(false);
-  const [config, setConfig] = useState({ startLine: 2, delimiter: 'auto', colMD: 1, colInc: 2, colAzi: 3, unitMultiplier: 1, thousandSep: 'none' });
-  const parsedData = useMemo(() => parseSurveyData(rawText, config), [rawText, config]);
-  const trajectory3D = useMemo(() => calculateTrajectory(parsedData), [parsedData]);
+  const [config, setConfig] = useState({ mode: 'angles', startLine: 2, delimiter: 'auto', colMD: 1, colInc: 2, colAzi: 3, colTVD: 0, colNorth: 3, colEast: 4, positionRef: 'local', positionMethod: 'arc', unitMultiplier: 1, angleUnit: 'deg', thousandSep: 'none' });
+  const [detection, setDetection] = useState(null);
+  const [fileImport, setFileImport] = useState(null);
+  const [excelFile, setExcelFile] = useState(null);
+  const configError = surveyConfigError(config);
+  const surveyRows = useMemo(() => {
+    const rows = inspectSurveyText(rawText, config);
+    return config.mode === 'positions' ? applyPositionalSurvey(rows, trajectoryOptions, config) : rows;
+  }, [rawText, config, trajectoryOptions]);
+  const residualSummary = useMemo(() => {
+    const rows = surveyRows.filter(r => r.point && r.residual !== undefined && r.residual !== null);
+    if (config.mode !== 'positions' || rows.length === 0) return null;
+    const worst = rows.reduce((a, b) => (b.residual > a.residual ? b : a));
+    return { max: worst.residual, maxMD: worst.point.md, mean: rows.reduce((sum, r) => sum + r.residual, 0) / rows.length };
+  }, [surveyRows, config.mode]);
+  const parsedData = useMemo(() => surveyRows.filter(r => r.point).map(r => r.point), [surveyRows]);
+  const fileTVDs = useMemo(() => surveyRows.filter(r => r.point).map(r => r.fileTVD), [surveyRows]);
+  const residuals = useMemo(() => surveyRows.filter(r => r.point).map(r => r.residual), [surveyRows]);
+  const qaIssues = useMemo(() => validateSurvey(surveyRows, { tieInMD: trajectoryOptions?.tieIn.md }), [surveyRows, trajectoryOptions]);
+  const [qaResolutions, setQaResolutions] = useState({});
+  const resolvedData = useMemo(() => applySurveyResolutions(parsedData, qaIssues, qaResolutions), [parsedData, qaIssues, qaResolutions]);
+  const unresolvedCount = qaIssues.filter(issue => !qaResolutions[issue.key]).length;
+  // Merge mode: once sources are added, the survey is the merge of the sources instead of the text
+  const [sources, setSourceList] = useState([]);
+  const merged = useMemo(() => (sources.length > 0 ? mergeSurveySources(sources) : null), [sources]);
+  // The merged stations get the same QA as a text import (joins between sources can add doglegs or duplicates,
+  // and sources split from a saved survey were never checked). issue.line is the merged station number.
+  const mergedQaIssues = useMemo(() => (merged ? validateSurvey(merged.stations.map((point, i) => ({ line: i + 1, text: '', point })), { tieInMD: trajectoryOptions?.tieIn.md }) : []), [merged, trajectoryOptions]);
+  const [mergedResolutions, setMergedResolutions] = useState({});
+  const mergedData = useMemo(() => (merged ? applySurveyResolutions(merged.stations, mergedQaIssues, mergedResolutions) : []), [merged, mergedQaIssues, mergedResolutions]);
+  const unresolvedMergedCount = mergedQaIssues.filter(issue => !mergedResolutions[issue.key]).length;
+  const setSources = (next) => { setSourceList(next); setMergedResolutions({}); };
+  const surveyData = merged ? mergedData : resolvedData;
+  // Set to null by the detection when the angles could be either degrees or radians
+  const angleUnitUnset = !merged && config.mode === 'angles' && !config.angleUnit;
+  const canSave = merged ? surveyData.length > 0 && unresolvedMergedCount === 0 : resolvedData.length > 0 && unresolvedCount === 0 && !angleUnitUnset;
+  const issuesByIndex = useMemo(() => {
+    const map = new Map();
+    qaIssues.forEach(issue => { if (issue.index !== null) map.set(issue.index, [...(map.get(issue.index) || []), issue]); });
+    return map;
+  }, [qaIssues]);
+  const trajectory3D = useMemo(() => calculateTrajectory(surveyData, trajectoryOptions), [surveyData, trajectoryOptions]);
+  const trajectoryByMD = useMemo(() => new Map(trajectory3D.map(t => [t.md, t])), [trajectory3D]);
+  // TD position with every calculation method, relative to minimum curvature
+  const methodComparison = useMemo(() => {
+    if (surveyData.length === 0) return [];
+    const tdFor = (method) => { const t = calculateTrajectory(surveyData, { ...trajectoryOptions, method }); return t[t.length - 1]; };
+    const reference = tdFor(DEFAULT_SURVEY_METHOD);
+    return Object.entries(SURVEY_METHODS).map(([key, method]) => {
+      const td = tdFor(key);
+      return {
+        key, label: method.label, tvd: td.tvd,
+        dTVD: td.tvd - reference.tvd,
+        dPos: Math.sqrt((td.north - reference.north) ** 2 + (td.east - reference.east) ** 2 + (td.tvd - reference.tvd) ** 2)
+      };
+    });
+  }, [surveyData, trajectoryOptions]);
   const fileInputRef = useRef(null);
 
   // Pre-fill text area if existing data is present
   useEffect(() => {
-    if (existingData && existingData.length > 0 && !rawText) {
+    if (existingData && existingData.some(p => p.source)) {
+      setSources(splitSurveySources(existingData));
+    } else if (existingData && existingData.length > 0 && !rawText) {
       const header = "MD\tInc\tAzi\n";
       const rows = existingData.map(p => `${p.md}\t${p.inc}\t${p.azi}`).join('\n');
       setRawText(header + rows);
@@ -2574,39 +5269,48 @@ function StepSurveyImport({ onBack, onNext, existingData }) {
     }
   }, [existingData]);
 
-  // Auto-detect startLine
-  useEffect(() => {
-    if (rawText && config.startLine === 2) {
-      const lines = rawText.split('\n');
-      for (let i = 0; i < Math.min(lines.length, 20); i++) {
-        if (/^\s*[\d.,]+\s/.test(lines[i])) {
-          setConfig(prev => ({ ...prev, startLine: i + 1 }));
-          if (lines[i].includes(',') && !lines[i].includes('\t')) {
-            setConfig(prev => ({ ...prev, delimiter: ',' }));
-          }
-          break;
-        }
-      }
+  // Map columns and units from the header row whenever new text is loaded
+  const applyDetection = (text) => {
+    const detected = detectSurveyColumns(text);
+    setDetection(detected);
+    if (!detected) return;
+    const { mode, startLine, delimiter, colMD, colInc, colAzi, colTVD, colNorth, colEast, unitMultiplier, angleUnit } = detected;
+    setConfig(prev => ({ ...prev, mode, startLine, delimiter, colMD, colInc, colAzi, colTVD, colNorth, colEast, unitMultiplier, angleUnit }));
+  };
+  // LAS and WITSML files are converted to MD/Inc/Azi(/TVD) text in meters and degrees; anything else goes through detection
+  const loadText = (text, fileName = '') => {
+    let result = null;
+    try {
+      result = parseSurveyFile(fileName, text);
+      if (result && result.stations.length === 0) throw new Error('Filen inneholder ingen gyldige stasjoner.');
+    } catch (err) {
+      setFileImport({ fileName, error: err.message });
+      setRawText(text);
+      setDetection(null);
+      return;
     }
-  }, [rawText]);
+    if (!result) {
+      setFileImport(null);
+      setRawText(text);
+      applyDetection(text);
+      return;
+    }
+    const hasTVD = result.stations.some(st => st.tvd !== null);
+    const rows = result.stations.map(st => [st.md.toFixed(2), st.inc.toFixed(4), st.azi.toFixed(4), ...(hasTVD ? [st.tvd === null ? '' : st.tvd.toFixed(2)] : [])].join('\t'));
+    setRawText(`MD\tInc\tAzi${hasTVD ? '\tTVD' : ''}\n${rows.join('\n')}`);
+    setConfig(prev => ({ ...prev, mode: 'angles', startLine: 2, delimiter: 'tab', colMD: 1, colInc: 2, colAzi: 3, colTVD: hasTVD ? 4 : 0, unitMultiplier: 1, angleUnit: 'deg', thousandSep: 'none' }));
+    setDetection(null);
+    setFileImport({ fileName, ...result });
+    if (onImportMetadata) onImportMetadata(result);
+  };
 
-  const processFile = async (file) => {
+  const processFile = (file) => {
     if (!file) return;
-    const isExcel = file.name.endsWith('.xlsx') || file.name.endsWith('.xls');
-    if (isExcel) {
-      const XLSX = await import('xlsx');
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: 'array' });
-        const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-        const text = XLSX.utils.sheet_to_csv(firstSheet, { FS: '\t' });
-        setRawText(text);
-      };
-      reader.readAsArrayBuffer(file);
+    if (isExcelFile(file)) {
+      setExcelFile(file);
     } else {
       const reader = new FileReader();
-      reader.onload = (e) => setRawText(e.target.result);
+      reader.onload = (e) => loadText(e.target.result, file.name);
       reader.readAsText(file);
     }
   };
@@ -2615,80 +5319,387 @@ function StepSurveyImport({ onBack, onNext, existingData }) {
   const handleDragLeave = (e) => { e.preventDefault(); e.stopPropagation(); if (e.currentTarget.contains(e.relatedTarget)) return; setIsDragging(false); };
   const handleDragOver = (e) => { e.preventDefault(); e.stopPropagation(); if (!isDragging) setIsDragging(true); };
   const handleDrop = (e) => { e.preventDefault(); e.stopPropagation(); setIsDragging(false); processFile(e.dataTransfer.files[0]); };
-  const clearData = () => { setRawText(''); };
+  const clearData = () => { setRawText(''); setDetection(null); setFileImport(null); setQaResolutions({}); };
+  const addSource = () => {
+    const name = fileImport?.survey?.name || fileImport?.fileName || `Kilde ${sources.length + 1}`;
+    setSources([...sources, { id: `src-${Date.now().toString(36)}`, name, stations: resolvedData, from: '', to: '', priority: sources.length + 1 }]);
+    clearData();
+  };
+  const updateSource = (id, changes) => setSources(sources.map(src => (src.id === id ? { ...src, ...changes } : src)));
+  const rowClass = (index) => {
+    const issues = issuesByIndex.get(index);
+    if (!issues) return 'hover:bg-yellow-50';
+    if (issues.some(issue => qaResolutions[issue.key] === 'drop')) return 'bg-gray-100 text-gray-400 line-through';
+    if (issues.every(issue => qaResolutions[issue.key])) return 'bg-green-50';
+    return issues.some(issue => issue.severity === 'error') ? 'bg-red-50' : 'bg-yellow-50';
+  };
 
   return (
     <div className="h-full flex flex-col">
+      {excelFile && <ExcelRangePicker file={excelFile} onConfirm={(text) => { setExcelFile(null); loadText(text); }} onCancel={() => setExcelFile(null)} />}
       <div className="flex justify-between items-center mb-4 shrink-0">
         <h3 className="font-bold text-[#37424A] flex items-center gap-2"><MapPin className="text-[#00A99D]" /> Importér Brønnbane (Survey)</h3>
         <div className="flex gap-2 text-xs">
+          <button className="px-3 py-1 rounded border bg-white text-[#00A99D] font-bold disabled:opacity-50" disabled={!rawText} onClick={() => applyDetection(rawText)}>Autodetekter</button>
           <button className={`px-3 py-1 rounded border ${config.unitMultiplier === 1 ? 'bg-[#37424A] text-white' : 'bg-white'}`} onClick={() => setConfig({ ...config, unitMultiplier: 1 })}>Meter</button>
           <button className={`px-3 py-1 rounded border ${config.unitMultiplier !== 1 ? 'bg-[#37424A] text-white' : 'bg-white'}`} onClick={() => setConfig({ ...config, unitMultiplier: 0.3048 })}>Fot (ft)</button>
+          <button className={`px-3 py-1 rounded border ${config.angleUnit === 'deg' ? 'bg-[#37424A] text-white' : angleUnitUnset ? 'bg-amber-50 border-amber-300' : 'bg-white'}`} onClick={() => setConfig({ ...config, angleUnit: 'deg' })}>Grader</button>
+          <button className={`px-3 py-1 rounded border ${config.angleUnit === 'rad' ? 'bg-[#37424A] text-white' : angleUnitUnset ? 'bg-amber-50 border-amber-300' : 'bg-white'}`} onClick={() => setConfig({ ...config, angleUnit: 'rad' })}>Radianer</button>
         </div>
       </div>
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 flex-grow min-h-0">
         <div className="flex flex-col gap-4 h-full">
           <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-4 shrink-0">
+            {detection && (
+              <div className={`rounded border p-2 text-xs ${detection.level === 'high' ? 'bg-green-50 border-green-200 text-green-700' : detection.level === 'medium' ? 'bg-yellow-50 border-yellow-200 text-yellow-700' : 'bg-red-50 border-red-200 text-red-700'}`}>
+                <div className="font-bold flex items-center gap-1">
+                  {detection.level === 'high' ? <Check size={12} /> : <AlertTriangle size={12} />}
+                  Autodeteksjon: {detection.level === 'high' ? 'Høy' : detection.level === 'medium' ? 'Middels' : 'Lav'} sikkerhet ({Math.round(detection.confidence * 100)}%)
+                  <span className="font-normal">— MD kol {detection.colMD}, Inc kol {detection.colInc}, Azi kol {detection.colAzi}{detection.colTVD > 0 ? `, TVD kol ${detection.colTVD}` : ''}, {detection.unitMultiplier === 1 ? 'meter' : 'fot'}, {detection.angleUnit === 'rad' ? 'radianer' : detection.angleUnit === 'deg' ? 'grader' : 'ukjent vinkelenhet'}</span>
+                </div>
+                {detection.notes.length > 0 && <ul className="list-disc list-inside mt-1">{detection.notes.map(note => <li key={note}>{note}</li>)}</ul>}
+                {detection.level !== 'high' && <div className="mt-1">Kontroller kolonnevalg og enheter før du fortsetter.</div>}
+              </div>
+            )}
+            {fileImport?.error && (
+              <div className="rounded border p-2 text-xs bg-red-50 border-red-200 text-red-700 font-bold flex items-center gap-1"><AlertTriangle size={12} /> {fileImport.fileName || 'Filen'}: {fileImport.error}</div>
+            )}
+            {fileImport && !fileImport.error && (
+              <div className="rounded border p-2 text-xs bg-white border-gray-200 text-gray-600 space-y-1">
+                <div className="font-bold text-[#37424A] flex items-center gap-1"><FileSpreadsheet size={12} /> {fileImport.format}{fileImport.fileName ? ` — ${fileImport.fileName}` : ''}: {fileImport.stations.length} stasjoner ({fileImport.units.depth === 'ft' ? 'fot' : 'meter'}, {fileImport.units.angle === 'rad' ? 'radianer' : 'grader'} → meter, grader)</div>
+                <div>
+                  {[['Brønn', fileImport.well.name], ['Operatør', fileImport.well.operator], ['Survey', fileImport.survey.name], ['Leverandør', fileImport.survey.source], ['Dato', fileImport.survey.date], ['RKB', fileImport.well.rkb !== null ? `${fileImport.well.rkb.toFixed(2)} m` : ''], ['VS-azimut', fileImport.well.vsAzimuth !== null ? `${fileImport.well.vsAzimuth.toFixed(2)}°` : '']]
+                    .filter(([, value]) => value).map(([label, value]) => <span key={label} className="mr-3"><span className="text-gray-400">{label}:</span> {value}</span>)}
+                </div>
+                {onImportMetadata && <div className="text-gray-400">Brønn- og surveyfelt du ikke har fylt ut selv er hentet fra filen.</div>}
+                {fileImport.warnings.map(warning => <div key={warning} className="text-yellow-700 flex items-center gap-1"><AlertTriangle size={12} /> {warning}</div>)}
+                {fileImport.ignored.length > 0 && (
+                  <details>
+                    <summary className="cursor-pointer text-gray-500">Ignorert headerinformasjon ({fileImport.ignored.length})</summary>
+                    <table className="w-full mt-1 text-[10px]"><tbody>{fileImport.ignored.map((entry, i) => <tr key={i} className="border-b border-gray-100"><td className="p-1 font-mono font-bold align-top">{entry.key}</td><td className="p-1 break-all">{entry.value}</td></tr>)}</tbody></table>
+                  </details>
+                )}
+              </div>
+            )}
             <div className="grid grid-cols-2 gap-4">
               <div><label className="text-[10px] uppercase font-bold text-gray-500">Start på linje</label><input type="number" className="w-full p-2 border rounded text-sm bg-white" value={config.startLine} onChange={e => setConfig({ ...config, startLine: isNaN(parseInt(e.target.value)) ? 1 : parseInt(e.target.value) })} /></div>
               <div><label className="text-[10px] uppercase font-bold text-gray-500">Skilletegn</label><select className="w-full p-2 border rounded text-sm bg-white" value={config.delimiter} onChange={e => setConfig({ ...config, delimiter: e.target.value })}><option value="auto">Auto (Space/Tab)</option><option value="tab">Tabulator</option><option value=",">Komma (,)</option><option value=";">Semikolon (;)</option></select></div>
             </div>
             <div className="grid grid-cols-2 gap-4">
               <div><label className="text-[10px] uppercase font-bold text-gray-500">Tusenskilletegn</label><select className="w-full p-2 border rounded text-sm bg-white" value={config.thousandSep} onChange={e => setConfig({ ...config, thousandSep: e.target.value })}><option value="none">Ingen</option><option value="space">Mellomrom (1 000)</option><option value=".">Punktum (1.000)</option><option value=",">Komma (1,000)</option></select></div>
+              <div><label className="text-[10px] uppercase font-bold text-gray-500">Dataformat</label><select className="w-full p-2 border rounded text-sm bg-white" value={config.mode} onChange={e => setConfig({ ...config, mode: e.target.value, colTVD: e.target.value === 'positions' && !config.colTVD ? 2 : config.colTVD })}><option value="angles">Vinkler (MD/Inc/Azi)</option><option value="positions">Posisjoner (MD/TVD/N/E)</option></select></div>
             </div>
-            <div className="grid grid-cols-3 gap-2">
-              <div><label className="text-[10px] uppercase font-bold text-gray-500">MD Kol</label><input type="number" className="w-full p-2 border rounded text-sm bg-white" value={config.colMD} onChange={e => setConfig({ ...config, colMD: parseInt(e.target.value) })} /></div>
-              <div><label className="text-[10px] uppercase font-bold text-gray-500">Inc Kol</label><input type="number" className="w-full p-2 border rounded text-sm bg-white" value={config.colInc} onChange={e => setConfig({ ...config, colInc: parseInt(e.target.value) })} /></div>
-              <div><label className="text-[10px] uppercase font-bold text-gray-500">Azi Kol</label><input type="number" className="w-full p-2 border rounded text-sm bg-white" value={config.colAzi} onChange={e => setConfig({ ...config, colAzi: parseInt(e.target.value) })} /></div>
-            </div>
+            {config.mode === 'positions' ? (
+              <>
+                <div className="grid grid-cols-4 gap-2">
+                  <div><label className="text-[10px] uppercase font-bold text-gray-500">MD Kol</label><input type="number" className="w-full p-2 border rounded text-sm bg-white" value={config.colMD} onChange={e => setConfig({ ...config, colMD: parseInt(e.target.value) })} /></div>
+                  <div><label className="text-[10px] uppercase font-bold text-gray-500">TVD Kol</label><input type="number" min="1" className="w-full p-2 border rounded text-sm bg-white" value={config.colTVD} onChange={e => setConfig({ ...config, colTVD: parseInt(e.target.value) || 0 })} /></div>
+                  <div><label className="text-[10px] uppercase font-bold text-gray-500">North Kol</label><input type="number" className="w-full p-2 border rounded text-sm bg-white" value={config.colNorth} onChange={e => setConfig({ ...config, colNorth: parseInt(e.target.value) })} /></div>
+                  <div><label className="text-[10px] uppercase font-bold text-gray-500">East Kol</label><input type="number" className="w-full p-2 border rounded text-sm bg-white" value={config.colEast} onChange={e => setConfig({ ...config, colEast: parseInt(e.target.value) })} /></div>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div><label className="text-[10px] uppercase font-bold text-gray-500">N/E Referanse</label><select className="w-full p-2 border rounded text-sm bg-white" value={config.positionRef} onChange={e => setConfig({ ...config, positionRef: e.target.value })}><option value="local">Lokal (fra brønnhode)</option><option value="grid">Grid (trekk fra overflatelokasjon)</option></select></div>
+                  <div><label className="text-[10px] uppercase font-bold text-gray-500">Tilbakeregning</label><select className="w-full p-2 border rounded text-sm bg-white" value={config.positionMethod} onChange={e => setConfig({ ...config, positionMethod: e.target.value })}>{Object.entries(POSITIONAL_METHODS).map(([key, method]) => <option key={key} value={key}>{method.label}</option>)}</select></div>
+                </div>
+                {residualSummary && (
+                  <div className={`rounded border p-2 text-xs ${residualSummary.max > 2 ? 'bg-red-50 border-red-200 text-red-700' : residualSummary.max > 0.5 ? 'bg-yellow-50 border-yellow-200 text-yellow-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+                    <span className="font-bold">Inc/Azi tilbakeregnet (minimum curvature).</span> Avvik mellom beregnet og importert posisjon: maks {residualSummary.max.toFixed(2)} m (MD {residualSummary.maxMD} m), snitt {residualSummary.mean.toFixed(3)} m.
+                  </div>
+                )}
+              </>
+            ) : (
+              <div className="grid grid-cols-4 gap-2">
+                <div><label className="text-[10px] uppercase font-bold text-gray-500">MD Kol</label><input type="number" className="w-full p-2 border rounded text-sm bg-white" value={config.colMD} onChange={e => setConfig({ ...config, colMD: parseInt(e.target.value) })} /></div>
+                <div><label className="text-[10px] uppercase font-bold text-gray-500">Inc Kol</label><input type="number" className="w-full p-2 border rounded text-sm bg-white" value={config.colInc} onChange={e => setConfig({ ...config, colInc: parseInt(e.target.value) })} /></div>
+                <div><label className="text-[10px] uppercase font-bold text-gray-500">Azi Kol</label><input type="number" className="w-full p-2 border rounded text-sm bg-white" value={config.colAzi} onChange={e => setConfig({ ...config, colAzi: parseInt(e.target.value) })} /></div>
+                <div><label className="text-[10px] uppercase font-bold text-gray-500">TVD Kol (valgfri)</label><input type="number" min="0" className="w-full p-2 border rounded text-sm bg-white" value={config.colTVD} onChange={e => setConfig({ ...config, colTVD: parseInt(e.target.value) || 0 })} /></div>
+              </div>
+            )}
+            {rawText && configError && <div className="rounded border p-2 text-xs bg-red-50 border-red-200 text-red-700 font-bold flex items-center gap-1"><AlertTriangle size={12} /> {configError}</div>}
           </div>
+          {qaIssues.length > 0 ? (
+            <SurveyQaPanel issues={qaIssues} resolutions={qaResolutions} onChange={setQaResolutions} />
+          ) : parsedData.length > 0 && (
+            <div className="bg-green-50 border border-green-200 text-green-700 rounded-lg p-2 text-xs font-bold flex items-center gap-2 shrink-0"><Check size={14} /> Kvalitetskontroll: ingen avvik funnet</div>
+          )}
+          {sources.length > 0 && (
+            <div className="bg-white border border-gray-200 rounded-lg shrink-0 overflow-hidden">
+              <div className="bg-gray-100 p-2 text-xs font-bold text-gray-600 border-b flex justify-between items-center">
+                <span>Kilder ({sources.length}) — sammenslått survey: {surveyData.length} stasjoner</span>
+                <button onClick={() => setSources([])} className="text-[10px] text-red-500 hover:underline">Fjern alle</button>
+              </div>
+              <table className="w-full text-xs">
+                <thead className="text-[10px] uppercase text-gray-500 bg-gray-50"><tr><th className="p-1 text-left">Kilde</th><th className="p-1">Stasjoner</th><th className="p-1">Fra MD (m)</th><th className="p-1">Til MD (m)</th><th className="p-1" title="1 = høyest prioritet ved overlapp">Prioritet</th><th></th></tr></thead>
+                <tbody>
+                  {sources.map(src => (
+                    <tr key={src.id} className="border-t border-gray-100">
+                      <td className="p-1"><input className="w-full border rounded p-1" value={src.name} onChange={e => updateSource(src.id, { name: e.target.value })} /></td>
+                      <td className="p-1 text-center text-gray-500">{src.stations.length} ({src.stations[0]?.md}–{src.stations[src.stations.length - 1]?.md})</td>
+                      <td className="p-1"><input type="number" className="w-20 border rounded p-1" value={src.from} placeholder={src.stations[0]?.md} onChange={e => updateSource(src.id, { from: e.target.value })} /></td>
+                      <td className="p-1"><input type="number" className="w-20 border rounded p-1" value={src.to} placeholder={src.stations[src.stations.length - 1]?.md} onChange={e => updateSource(src.id, { to: e.target.value })} /></td>
+                      <td className="p-1"><input type="number" min="1" className="w-14 border rounded p-1" value={src.priority} onChange={e => updateSource(src.id, { priority: e.target.value })} /></td>
+                      <td className="p-1 text-right"><button onClick={() => setSources(sources.filter(s => s.id !== src.id))} className="text-gray-400 hover:text-red-500"><Trash2 size={12} /></button></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {(merged.overlaps.length > 0 || merged.gaps.length > 0 || rawText) && (
+                <div className="border-t p-2 text-[10px] space-y-0.5">
+                  {merged.overlaps.map(o => <div key={`o${o.from}`} className="text-gray-600">Overlapp MD {o.from}–{o.to} m: <span className="font-bold">{o.winner}</span> brukes, {o.overridden.join(', ')} overstyres</div>)}
+                  {merged.gaps.map(g => <div key={`g${g.from}`} className="text-yellow-700 flex items-center gap-1"><AlertTriangle size={10} /> Ingen kilde dekker MD {g.from}–{g.to} m: interpoleres mellom nærmeste stasjoner</div>)}
+                  {rawText && <div className="text-[#00A99D] font-bold">Teksten under er ikke lagt til som kilde ennå.</div>}
+                </div>
+              )}
+              {mergedQaIssues.length > 0 && <SurveyQaPanel issues={mergedQaIssues} resolutions={mergedResolutions} onChange={setMergedResolutions} lineLabel="Stasjon" className="border-t flex flex-col max-h-48 overflow-hidden" />}
+            </div>
+          )}
           <div className={`flex-grow relative border-2 border-dashed rounded-lg transition-colors min-h-[200px] group ${isDragging ? 'border-[#00A99D] bg-teal-50' : 'border-gray-300 bg-gray-50 hover:bg-white'}`} onDrop={handleDrop} onDragOver={handleDragOver} onDragEnter={handleDragEnter} onDragLeave={handleDragLeave}>
             {isDragging && (<div className="absolute inset-0 flex items-center justify-center bg-white/90 z-50 pointer-events-none rounded-lg"><p className="text-[#00A99D] font-bold text-lg">Slipp filen for å erstatte nåværende data</p></div>)}
-            <textarea className="absolute inset-0 w-full h-full p-4 bg-transparent resize-none font-mono text-xs outline-none z-10" value={rawText} onChange={e => setRawText(e.target.value)} placeholder=" " />
-            {!rawText && (<div className="absolute inset-0 flex items-center justify-center z-20 pointer-events-none"><div className="text-center pointer-events-auto"><FileSpreadsheet size={32} className="mx-auto mb-2 group-hover:text-[#37424A] transition-colors text-gray-400" /><p className="mb-2 text-gray-400">Dra og slipp tekst/excel fil her</p><button onClick={() => fileInputRef.current?.click()} className="bg-white border border-gray-300 px-3 py-1 rounded text-xs font-bold hover:bg-gray-50 shadow-sm cursor-pointer pointer-events-auto relative z-30">Eller velg fil</button><input type="file" ref={fileInputRef} className="hidden" accept=".txt,.csv,.xlsx,.xls" onChange={(e) => processFile(e.target.files[0])} /></div></div>)}
+            <textarea className="absolute inset-0 w-full h-full p-4 bg-transparent resize-none font-mono text-xs outline-none z-10" value={rawText} onChange={e => (rawText ? setRawText(e.target.value) : loadText(e.target.value))} placeholder=" " />
+            {!rawText && (<div className="absolute inset-0 flex items-center justify-center z-20 pointer-events-none"><div className="text-center pointer-events-auto"><FileSpreadsheet size={32} className="mx-auto mb-2 group-hover:text-[#37424A] transition-colors text-gray-400" /><p className="mb-2 text-gray-400">Dra og slipp tekst/excel/LAS/WITSML fil her</p><button onClick={() => fileInputRef.current?.click()} className="bg-white border border-gray-300 px-3 py-1 rounded text-xs font-bold hover:bg-gray-50 shadow-sm cursor-pointer pointer-events-auto relative z-30">Eller velg fil</button><input type="file" ref={fileInputRef} className="hidden" accept=".txt,.csv,.xlsx,.xls,.las,.xml" onChange={(e) => processFile(e.target.files[0])} /></div></div>)}
             {rawText && (<button onClick={clearData} className="absolute top-2 right-2 z-40 p-1 bg-white rounded-full shadow border border-gray-200 text-gray-400 hover:text-red-500" title="Tøm innhold"><X size={14} /></button>)}
           </div>
         </div>
         <div className="flex flex-col gap-4 h-full min-h-0">
           <div className="bg-white border rounded-lg h-[400px] overflow-hidden flex flex-col">
-            <div className="bg-gray-100 p-2 text-xs font-bold text-gray-600 border-b flex justify-between shrink-0"><span>Datapunkter</span>{parsedData.length > 0 && <span className="text-[#00A99D] flex items-center gap-1"><Check size={12} /> {parsedData.length} rader</span>}</div>
-            <div className="flex-grow overflow-auto"><table className="w-full text-xs text-right"><thead className="bg-gray-50 sticky top-0"><tr><th className="p-2 text-gray-500">#</th><th className="p-2 text-[#37424A]">MD (m)</th><th className="p-2 text-[#37424A]">Inc (deg)</th><th className="p-2 text-[#37424A]">Azi (deg)</th></tr></thead><tbody className="font-mono">{parsedData.map((row, i) => (<tr key={i} className="border-b border-gray-100 hover:bg-yellow-50"><td className="p-2 text-gray-400">{i + 1}</td><td className="p-2">{row.md}</td><td className="p-2">{row.inc}</td><td className="p-2">{row.azi}</td></tr>))}</tbody></table></div>
+            <div className="bg-gray-100 p-2 text-xs font-bold text-gray-600 border-b flex justify-between items-center shrink-0">
+              <span>{merged ? 'Sammenslått Survey' : 'Datapunkter'}</span>
+              <div className="flex items-center gap-3">
+                {parsedData.length > 0 && <span className="text-[#00A99D] flex items-center gap-1"><Check size={12} /> {resolvedData.length} av {parsedData.length} rader</span>}
+                <button onClick={addSource} disabled={resolvedData.length === 0 || unresolvedCount > 0} className="px-2 py-0.5 rounded border bg-white text-[#37424A] hover:bg-gray-50 disabled:opacity-50" title="Legg teksten til som kilde og last inn neste fil (f.eks. gyro + MWD)">+ Legg til som kilde</button>
+              </div>
+            </div>
+            {merged ? (
+              <div className="flex-grow overflow-auto"><table className="w-full text-xs text-right"><thead className="bg-gray-50 sticky top-0"><tr><th className="p-2 text-gray-500">#</th><th className="p-2 text-left text-[#37424A]">Kilde</th><th className="p-2 text-[#37424A]">MD (m)</th><th className="p-2 text-[#37424A]">Inc (deg)</th><th className="p-2 text-[#37424A]">Azi (deg)</th><th className="p-2 text-gray-500">TVD (m)</th><th className="p-2 text-gray-500">VS (m)</th><th className="p-2 text-gray-500">DLS (°/30m)</th></tr></thead><tbody className="font-mono">{surveyData.map((row, i) => { const calc = trajectoryByMD.get(row.md); return (<tr key={i} className={`border-b border-gray-100 hover:bg-yellow-50 ${i > 0 && surveyData[i - 1].source !== row.source ? 'border-t-2 border-t-[#00A99D]' : ''}`}><td className="p-2 text-gray-400">{i + 1}</td><td className="p-2 text-left font-sans">{row.source}</td><td className="p-2">{row.md}</td><td className="p-2">{row.inc}</td><td className="p-2">{row.azi}</td><td className="p-2 text-gray-500">{calc ? calc.tvd.toFixed(2) : '-'}</td><td className="p-2 text-gray-500">{calc ? calc.vs.toFixed(2) : '-'}</td><td className="p-2 text-gray-500">{calc ? calc.dls.toFixed(2) : '-'}</td></tr>); })}</tbody></table></div>
+            ) : (
+            <div className="flex-grow overflow-auto"><table className="w-full text-xs text-right"><thead className="bg-gray-50 sticky top-0"><tr><th className="p-2 text-gray-500">#</th><th className="p-2 text-[#37424A]">MD (m)</th><th className="p-2 text-[#37424A]">Inc (deg)</th><th className="p-2 text-[#37424A]">Azi (deg)</th><th className="p-2 text-gray-500">TVD (m)</th>{config.mode === 'positions' ? <th className="p-2 text-gray-500" title="Avstand mellom importert og beregnet posisjon">Avvik pos. (m)</th> : config.colTVD > 0 && <th className="p-2 text-gray-500" title="TVD fra fil minus beregnet TVD">ΔTVD fil (m)</th>}<th className="p-2 text-gray-500">VS (m)</th><th className="p-2 text-gray-500">DLS (°/30m)</th><th className="p-2 text-gray-500">Build / Turn</th></tr></thead><tbody className="font-mono">{parsedData.map((row, i) => { const calc = trajectoryByMD.get(row.md); return (<tr key={i} className={`border-b border-gray-100 ${rowClass(i)}`} title={issuesByIndex.get(i)?.map(issue => issue.label).join(', ')}><td className="p-2 text-gray-400">{i + 1}</td><td className="p-2">{row.md}</td><td className="p-2">{row.inc}</td><td className="p-2">{row.azi}</td><td className="p-2 text-gray-500">{calc ? calc.tvd.toFixed(2) : '-'}</td>{config.mode === 'positions' ? <td className={`p-2 ${residuals[i] > 0.5 ? 'text-red-600 font-bold' : 'text-gray-500'}`}>{residuals[i] !== undefined && residuals[i] !== null ? residuals[i].toFixed(3) : '-'}</td> : config.colTVD > 0 && <td className={`p-2 ${calc && fileTVDs[i] !== null && Math.abs(fileTVDs[i] - calc.tvd) > 1 ? 'text-red-600 font-bold' : 'text-gray-500'}`}>{calc && fileTVDs[i] !== null ? (fileTVDs[i] - calc.tvd).toFixed(2) : '-'}</td>}<td className="p-2 text-gray-500">{calc ? calc.vs.toFixed(2) : '-'}</td><td className="p-2 text-gray-500">{calc ? calc.dls.toFixed(2) : '-'}</td><td className="p-2 text-gray-500">{calc ? `${calc.build.toFixed(2)} / ${calc.turn.toFixed(2)}` : '-'}</td></tr>); })}</tbody></table></div>
+            )}
           </div>
           <div className="bg-white border rounded-lg h-[400px] flex flex-col overflow-hidden">
-            <div className="bg-gray-100 p-2 text-xs font-bold text-gray-600 border-b flex justify-between items-center shrink-0"><span>Banevisualisering (3D)</span></div>
-            <div className="flex-grow relative border border-gray-200 h-[400px]">{parsedData.length === 0 ? (<div className="absolute inset-0 flex items-center justify-center text-gray-300 text-xs">Ingen data å vise</div>) : (<div className="absolute inset-0 bg-white"><WellBore3D points={trajectory3D} /></div>)}</div>
+            <div className="bg-gray-100 p-2 text-xs font-bold text-gray-600 border-b flex justify-between items-center shrink-0">
+              <span>Banevisualisering (3D)</span>
+              <label className="flex items-center gap-2 font-normal">Beregningsmetode
+                <select className="border rounded p-1 text-xs bg-white" value={trajectoryOptions.method} onChange={e => onMethodChange(e.target.value)}>
+                  {Object.entries(SURVEY_METHODS).map(([key, method]) => <option key={key} value={key}>{method.label}</option>)}
+                </select>
+              </label>
+            </div>
+            {methodComparison.length > 0 && (
+              <table className="w-full text-[10px] text-right border-b shrink-0">
+                <thead className="bg-gray-50 text-gray-500"><tr><th className="p-1 text-left">Metode</th><th className="p-1">TVD ved TD (m)</th><th className="p-1">ΔTVD vs MinCurv (m)</th><th className="p-1">ΔPosisjon vs MinCurv (m)</th></tr></thead>
+                <tbody>
+                  {methodComparison.map(row => (
+                    <tr key={row.key} className={row.key === trajectoryOptions.method ? 'bg-yellow-50 font-bold text-[#37424A]' : 'text-gray-600'}>
+                      <td className="p-1 text-left">{row.label}{row.key === trajectoryOptions.method ? ' (valgt)' : ''}</td>
+                      <td className="p-1">{row.tvd.toFixed(2)}</td>
+                      <td className="p-1">{row.key === DEFAULT_SURVEY_METHOD ? '-' : `${row.dTVD >= 0 ? '+' : ''}${row.dTVD.toFixed(2)}`}</td>
+                      <td className="p-1">{row.key === DEFAULT_SURVEY_METHOD ? '-' : row.dPos.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <div className="flex-grow relative border border-gray-200 h-[400px]">{surveyData.length === 0 ? (<div className="absolute inset-0 flex items-center justify-center text-gray-300 text-xs">Ingen data å vise</div>) : (<div className="absolute inset-0 bg-white"><WellBore3D points={trajectory3D} datum={trajectoryOptions} /></div>)}</div>
           </div>
         </div>
       </div>
       <div className="flex justify-between pt-6 mt-2 border-t shrink-0">
         <button onClick={onBack} className="text-gray-500 font-medium">Tilbake</button>
-        <button onClick={() => onNext(parsedData)} disabled={parsedData.length === 0} className={`px-6 py-2 rounded font-bold transition-colors ${parsedData.length > 0 ? 'bg-[#37424A] text-white hover:bg-slate-700' : 'bg-gray-200 text-gray-400'}`}>Bekreft Survey & Gå Videre</button>
+        <div className="flex items-center gap-4">
+          {(merged ? unresolvedMergedCount : unresolvedCount) > 0 && <span className="text-xs text-red-500 font-bold flex items-center gap-1"><AlertTriangle size={14} /> {merged ? unresolvedMergedCount : unresolvedCount} avvik må løses før du kan gå videre</span>}
+          {angleUnitUnset && <span className="text-xs text-red-500 font-bold flex items-center gap-1"><AlertTriangle size={14} /> Velg grader eller radianer</span>}
+          {onSave && <button onClick={() => onSave(surveyData)} disabled={!canSave} className={`px-4 py-2 rounded font-bold border transition-colors ${canSave ? 'border-[#37424A] text-[#37424A] hover:bg-gray-50' : 'border-gray-200 text-gray-400'}`}>Lagre Survey</button>}
+          <button onClick={() => onNext(surveyData)} disabled={!canSave} className={`px-6 py-2 rounded font-bold transition-colors ${canSave ? 'bg-[#37424A] text-white hover:bg-slate-700' : 'bg-gray-200 text-gray-400'}`}>Bekreft Survey & Gå Videre</button>
+        </div>
       </div>
     </div>
   );
 }
 
 // --- COMPONENT: STEP ARCHITECTURE IMPORT (WITH UNIT TOGGLING & ID CALC) ---
-function StepArchitectureImport({ onBack, onFinish, surveyData, initialData, maxDepth }) {
-  const [sections, setSections] = useState([]);
+// Paste or file import of architecture sections. Values are converted from the file's units to the step's current units.
+function ArchitectureTableImport({ units, catalog, onImport, onCancel }) {
+  const [text, setText] = useState('');
+  const [excelFile, setExcelFile] = useState(null);
+  const [headerRow, setHeaderRow] = useState(-1);
+  const [mapping, setMapping] = useState(() => Object.fromEntries(Object.keys(ARCHITECTURE_FIELDS).map(key => [key, -1])));
+  const [fromUnits, setFromUnits] = useState(units);
+  const [thousandSepChoice, setThousandSepChoice] = useState('auto');
+  const fileInputRef = useRef(null);
+  const rows = useMemo(() => splitTableText(text), [text]);
+  const columnCount = Math.max(0, ...rows.map(cells => cells.length));
+  const detectedSep = useMemo(() => detectTableThousandSep(rows.slice(headerRow + 1)), [rows, headerRow]);
+  const thousandSep = thousandSepChoice === 'auto' ? detectedSep.thousandSep : thousandSepChoice;
+  const sections = useMemo(() => parseArchitectureRows(rows, { headerRow, mapping, fromUnits, thousandSep }, units, catalog), [rows, headerRow, mapping, fromUnits, thousandSep, units, catalog]);
+
+  const loadText = (next) => {
+    setText(next);
+    const detected = detectArchitectureColumns(splitTableText(next));
+    setHeaderRow(detected.headerRow);
+    if (detected.headerRow >= 0) setMapping(detected.mapping);
+    setFromUnits({ ...units, ...detected.units });
+  };
+  const processFile = (file) => {
+    if (!file) return;
+    if (isExcelFile(file)) { setExcelFile(file); return; }
+    const reader = new FileReader();
+    reader.onload = (e) => loadText(e.target.result);
+    reader.readAsText(file);
+  };
+  const columnLabel = (i) => {
+    const header = headerRow >= 0 ? rows[headerRow]?.[i] : '';
+    return `Kol ${i + 1}${header ? `: ${header}` : ''}`;
+  };
+  const canImport = sections.length > 0 && (mapping.end >= 0 || mapping.length >= 0);
 
-  // Initialize units from saved data or use defaults
-  const [units, setUnits] = useState(() => {
-    if (initialData && initialData.length > 0 && initialData[0].units) {
-      return initialData[0].units;
-    }
-    return { depth: 'm', id: 'cm', od: 'cm', weight: 'kg/m' };
-  });
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-4 space-y-3 text-xs">
+      {excelFile && <ExcelRangePicker file={excelFile} onConfirm={(range) => { setExcelFile(null); loadText(range); }} onCancel={() => setExcelFile(null)} />}
+      <div className="flex justify-between items-center">
+        <h4 className="font-bold text-[#37424A] text-sm flex items-center gap-2"><FileSpreadsheet size={16} /> Importer seksjoner fra tabell</h4>
+        <div className="flex gap-2">
+          <button onClick={() => fileInputRef.current?.click()} className="bg-white border border-gray-300 px-3 py-1 rounded font-bold hover:bg-gray-100">Velg fil (CSV/Excel)</button>
+          <input type="file" ref={fileInputRef} className="hidden" accept=".txt,.csv,.xlsx,.xls" onChange={(e) => { processFile(e.target.files[0]); e.target.value = ''; }} />
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600"><X size={16} /></button>
+        </div>
+      </div>
+      <textarea className="w-full h-28 p-2 border rounded font-mono bg-white" value={text} onChange={e => (text ? setText(e.target.value) : loadText(e.target.value))} placeholder="Lim inn fra Excel (casing schematic eller tally: fra/til eller lengde, OD, vekt, ID, grade, beskrivelse)" />
+      {rows.length > 0 && (
+        <>
+          <div className="grid grid-cols-5 lg:grid-cols-10 gap-2">
+            <div><label className="text-[10px] uppercase font-bold text-gray-500">Header-rad</label><input type="number" min="0" className="w-full p-1.5 border rounded bg-white" value={headerRow + 1} onChange={e => setHeaderRow((parseInt(e.target.value) || 0) - 1)} title="0 = ingen header" /></div>
+            {Object.entries(ARCHITECTURE_FIELDS).map(([key, label]) => (
+              <div key={key}><label className="text-[10px] uppercase font-bold text-gray-500">{label}</label>
+                <select className="w-full p-1.5 border rounded bg-white" value={mapping[key]} onChange={e => setMapping({ ...mapping, [key]: parseInt(e.target.value) })}>
+                  <option value={-1}>—</option>
+                  {Array.from({ length: columnCount }, (_, i) => <option key={i} value={i}>{columnLabel(i)}</option>)}
+                </select>
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-4 items-center">
+            <span className="font-bold text-gray-500 uppercase text-[10px]">Enheter i filen</span>
+            {Object.entries(ARCHITECTURE_UNIT_OPTIONS).map(([group, options]) => (
+              <label key={group} className="flex items-center gap-1 text-gray-600">{group === 'depth' ? 'Dybde' : group === 'weight' ? 'Vekt' : group.toUpperCase()}
+                <select className="p-1 border rounded bg-white" value={fromUnits[group]} onChange={e => setFromUnits({ ...fromUnits, [group]: e.target.value })}>{options.map(unit => <option key={unit} value={unit}>{unit}</option>)}</select>
+              </label>
+            ))}
+            <span className="text-gray-400">→ konverteres til {units.depth}, {units.od}, {units.id}, {units.weight}</span>
+            <label className="flex items-center gap-1 text-gray-600">Tusenskilletegn
+              <select className="p-1 border rounded bg-white" value={thousandSepChoice} onChange={e => setThousandSepChoice(e.target.value)}>
+                <option value="auto">Auto ({{ none: 'ingen', ',': 'komma', '.': 'punktum' }[detectedSep.thousandSep]})</option><option value="none">Ingen</option><option value="space">Mellomrom (1 000)</option><option value=".">Punktum (1.000)</option><option value=",">Komma (1,000)</option>
+              </select>
+            </label>
+          </div>
+          {thousandSepChoice === 'auto' && detectedSep.ambiguous && <div className="text-yellow-700 flex items-center gap-1"><AlertTriangle size={12} /> Tall som «2,500» er lest med desimalkomma (2,5). Velg komma som tusenskilletegn hvis tabellen bruker det.</div>}
+          <div className="bg-white border rounded max-h-48 overflow-auto">
+            <table className="w-full text-right">
+              <thead className="bg-gray-50 sticky top-0 text-gray-500"><tr><th className="p-1">Fra ({units.depth})</th><th className="p-1">Til ({units.depth})</th><th className="p-1">OD ({units.od})</th><th className="p-1">Vekt ({units.weight})</th><th className="p-1">ID ({units.id})</th><th className="p-1">Drift ({units.id})</th><th className="p-1 text-left">Grade</th><th className="p-1 text-left">Beskrivelse</th></tr></thead>
+              <tbody className="font-mono">
+                {sections.map((sec, i) => <tr key={i} className="border-t border-gray-100"><td className="p-1">{sec.start}</td><td className="p-1">{sec.end}</td><td className="p-1">{sec.od}</td><td className="p-1">{sec.weight}</td><td className="p-1">{sec.id}</td><td className="p-1">{sec.drift}</td><td className="p-1 text-left font-sans">{sec.grade}</td><td className="p-1 text-left font-sans">{sec.description}</td></tr>)}
+                {sections.length === 0 && <tr><td colSpan={8} className="p-3 text-center text-gray-400 font-sans">Ingen seksjoner funnet. Kontroller kolonnevalg og header-rad.</td></tr>}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex justify-end gap-2">
+            <button onClick={() => onImport(sections, false)} disabled={!canImport} className="px-3 py-1.5 rounded font-bold border border-[#37424A] text-[#37424A] hover:bg-white disabled:opacity-40">Legg til {sections.length} seksjoner</button>
+            <button onClick={() => onImport(sections, true)} disabled={!canImport} className="px-3 py-1.5 rounded font-bold bg-[#37424A] text-white hover:bg-slate-700 disabled:opacity-40">Erstatt eksisterende</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Company pipe catalog: custom entries are shared through Firestore; sizes are entered in inches and lb/ft like the API tables.
+function PipeCatalogEditor({ catalog, onSave, onDelete, onClose }) {
+  const [draft, setDraft] = useState({ type: 'tubing', od: '', weight: '', grade: '', nominalId: '', drift: '' });
+  const custom = catalog.filter(p => p.custom);
+  const num = (key) => parseTableNumber(draft[key]);
+  const od = num('od');
+  const nominalId = num('nominalId');
+  const estimatedDrift = nominalId > 0 ? parseFloat((nominalId - pipeDriftAllowance(od || nominalId)).toFixed(3)) : '';
+  const drift = draft.drift === '' ? estimatedDrift : num('drift');
+  const valid = od > 0 && num('weight') > 0 && nominalId > 0 && nominalId < od && drift > 0 && drift <= nominalId && draft.grade.trim() !== '';
+  const duplicate = catalog.some(p => Math.abs(p.od - od) < 0.01 && Math.abs(p.weight - num('weight')) < 0.05 && p.grade === draft.grade.trim());
+
+  const save = () => {
+    onSave({ type: draft.type, od, weight: num('weight'), grade: draft.grade.trim(), nominalId, drift });
+    setDraft({ ...draft, weight: '', grade: '', nominalId: '', drift: '' });
+  };
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-4 space-y-3 text-xs">
+      <div className="flex justify-between items-center">
+        <h4 className="font-bold text-[#37424A] text-sm flex items-center gap-2"><Database size={16} /> Rørkatalog — firmaets egne oppføringer</h4>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={16} /></button>
+      </div>
+      <p className="text-gray-500">Standard API-størrelser ({catalog.length - custom.length} oppføringer) er innebygd. Egne oppføringer lagres for alle brukere og vises i katalogvalget for hver seksjon.</p>
+      <div className="grid grid-cols-7 gap-2 items-end">
+        <div><label className="text-[10px] uppercase font-bold text-gray-500">Type</label><select className="w-full p-1.5 border rounded bg-white" value={draft.type} onChange={e => setDraft({ ...draft, type: e.target.value })}><option value="tubing">Tubing</option><option value="casing">Casing</option></select></div>
+        <div><label className="text-[10px] uppercase font-bold text-gray-500">OD (in)</label><input className="w-full p-1.5 border rounded bg-white" placeholder='5 1/2' value={draft.od} onChange={e => setDraft({ ...draft, od: e.target.value })} /></div>
+        <div><label className="text-[10px] uppercase font-bold text-gray-500">Vekt (lb/ft)</label><input className="w-full p-1.5 border rounded bg-white" value={draft.weight} onChange={e => setDraft({ ...draft, weight: e.target.value })} /></div>
+        <div><label className="text-[10px] uppercase font-bold text-gray-500">Grade</label><input className="w-full p-1.5 border rounded bg-white" value={draft.grade} onChange={e => setDraft({ ...draft, grade: e.target.value })} /></div>
+        <div><label className="text-[10px] uppercase font-bold text-gray-500">Nominell ID (in)</label><input className="w-full p-1.5 border rounded bg-white" value={draft.nominalId} onChange={e => setDraft({ ...draft, nominalId: e.target.value })} /></div>
+        <div><label className="text-[10px] uppercase font-bold text-gray-500">Drift (in)</label><input className="w-full p-1.5 border rounded bg-white" placeholder={estimatedDrift ? `${estimatedDrift} (API)` : ''} value={draft.drift} onChange={e => setDraft({ ...draft, drift: e.target.value })} /></div>
+        <button onClick={save} disabled={!valid || duplicate} className="px-3 py-1.5 rounded font-bold bg-[#37424A] text-white hover:bg-slate-700 disabled:opacity-40 flex items-center justify-center gap-1"><Plus size={14} /> Legg til</button>
+      </div>
+      {duplicate && <div className="text-amber-600 flex items-center gap-1"><AlertTriangle size={12} /> Størrelsen finnes allerede i katalogen.</div>}
+      {custom.length > 0 && (
+        <table className="w-full bg-white border rounded">
+          <thead className="bg-gray-50 text-gray-500"><tr><th className="p-1 text-left">Rør</th><th className="p-1 text-left">Type</th><th className="p-1 text-right">Nominell ID</th><th className="p-1 text-right">Drift</th><th className="p-1"></th></tr></thead>
+          <tbody>
+            {custom.map(p => (
+              <tr key={p.key} className="border-t border-gray-100"><td className="p-1">{pipeLabel(p)}</td><td className="p-1 capitalize">{p.type}</td><td className="p-1 text-right font-mono">{p.nominalId}"</td><td className="p-1 text-right font-mono">{p.drift}"</td><td className="p-1 text-center"><button onClick={() => onDelete(p.key, pipeLabel(p))} className="text-gray-400 hover:text-red-500"><Trash2 size={14} /></button></td></tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Validation result for an architecture: status line, issues with their fixes and a button applying all of them
+function ArchitectureValidationPanel({ issues, onFix, onFixAll }) {
+  const status = architectureStatus(issues);
+  if (status.level === 'ok') return <div className="mt-2 text-green-600 text-sm font-bold flex items-center gap-2"><Check size={16} /> Arkitekturen er sammenhengende og konsistent.</div>;
+  return (
+    <div className={`mt-2 border rounded-lg p-3 text-sm ${status.errors > 0 ? 'border-red-200 bg-red-50' : 'border-amber-200 bg-amber-50'}`}>
+      <div className="flex justify-between items-center mb-2">
+        <div className={`font-bold flex items-center gap-2 ${status.errors > 0 ? 'text-red-700' : 'text-amber-700'}`}><AlertTriangle size={16} /> {status.errors > 0 ? `${status.errors} feil må rettes før brønnen kan lagres og eksporteres` : 'Arkitekturen kan lagres'}{status.warnings > 0 ? ` • ${status.warnings} advarsler` : ''}</div>
+        {onFixAll && issues.some(x => x.fix) && <button onClick={onFixAll} className="bg-white border border-gray-300 text-[#37424A] px-3 py-1 rounded font-bold text-xs hover:bg-gray-50 flex items-center gap-1"><RefreshCw size={12} /> Fiks alle</button>}
+      </div>
+      <ul className="space-y-1 max-h-32 overflow-y-auto text-xs">
+        {issues.map((issue, i) => (
+          <li key={i} className="flex items-center justify-between gap-2">
+            <span className={issue.severity === 'error' ? 'text-red-700' : 'text-amber-700'}>{issue.severity === 'error' ? 'Feil' : 'Advarsel'}: {issue.message}</span>
+            {onFix && issue.fix && <button onClick={() => onFix(issue)} className="shrink-0 text-[#37424A] underline hover:text-[#00A99D]">{issue.fix.label}</button>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Sections and restrictions come in and go out in stored units (m, cm, kg/m); while edited they are held in the
+// display units picked with the column toggles (`initialUnits`, the well's last choice), which onSave/onFinish return.
+function StepArchitectureImport({ onBack, onFinish, onSave, surveyData, initialData, initialRestrictions, initialUnits, maxDepth, minDepth = 0, inheritedSectionCount = 0, catalog = PIPE_CATALOG, onSaveCatalogPipe, onDeleteCatalogPipe }) {
+  const [units, setUnits] = useState(initialUnits || DEFAULT_ARCHITECTURE_UNITS);
+  const [sections, setSections] = useState([]);
+  const [restrictions, setRestrictions] = useState(() => (initialRestrictions || []).map(r => architectureToDisplay(r, RESTRICTION_UNIT_FIELDS, initialUnits || DEFAULT_ARCHITECTURE_UNITS)));
+  const [importOpen, setImportOpen] = useState(false);
+  const [catalogOpen, setCatalogOpen] = useState(false);
 
   useEffect(() => {
     if (initialData && initialData.length > 0) {
-      setSections(initialData);
-      // Restore units if they exist
-      if (initialData[0].units) {
-        setUnits(initialData[0].units);
-      }
+      const displayUnits = initialUnits || DEFAULT_ARCHITECTURE_UNITS;
+      setSections(initialData.map(sec => architectureToDisplay(sec, SECTION_UNIT_FIELDS, displayUnits)));
+      setUnits(displayUnits);
     }
-  }, [initialData]);
+  }, [initialData, initialUnits]);
+
+  const storedSections = () => sections.map(sec => architectureToStored(sec, SECTION_UNIT_FIELDS));
+  const storedRestrictions = () => restrictions.map(r => architectureToStored(r, RESTRICTION_UNIT_FIELDS));
 
   const toggleUnit = (key) => {
     let nextUnits = { ...units };
@@ -2702,13 +5713,21 @@ function StepArchitectureImport({ onBack, onFinish, surveyData, initialData, max
     setUnits(nextUnits);
     const updatedSections = sections.map(sec => {
       let newSec = { ...sec, units: nextUnits }; // Save units with each section
+      const pipe = sec.pipeKey ? catalog.find(p => p.key === sec.pipeKey) : null;
       if (key === 'depth') { newSec.start = parseFloat((sec.start * conversionFactor).toFixed(2)); newSec.end = parseFloat((sec.end * conversionFactor).toFixed(2)); }
+      else if (pipe) { Object.assign(newSec, sectionFromCatalog(pipe, nextUnits)); } // Catalog sizes convert exactly
       else if (key === 'od') { newSec.od = parseFloat((sec.od * conversionFactor).toFixed(3)); newSec.id = calculateIDFromODWeight(newSec.od, newSec.weight, newUnit, units.weight, units.id) || newSec.id; }
-      else if (key === 'id') { newSec.id = parseFloat((sec.id * conversionFactor).toFixed(3)); }
+      else if (key === 'id') { newSec.id = parseFloat((sec.id * conversionFactor).toFixed(3)); newSec.drift = parseFloat(((sec.drift || 0) * conversionFactor).toFixed(3)); }
       else if (key === 'weight') { newSec.weight = parseFloat((sec.weight * conversionFactor).toFixed(2)); newSec.id = calculateIDFromODWeight(newSec.od, newSec.weight, units.od, newUnit, units.id) || newSec.id; }
+      if (!pipe && newSec.id !== sec.id && key !== 'id') newSec.drift = estimateDrift(newSec.id, newSec.od, nextUnits);
       return newSec;
     });
     setSections(updatedSections);
+    setRestrictions(restrictions.map(r => ({
+      ...r, units: nextUnits,
+      ...(key === 'depth' ? { depth: parseFloat((r.depth * conversionFactor).toFixed(2)) } : {}),
+      ...(key === 'id' ? { minId: parseFloat((r.minId * conversionFactor).toFixed(3)) } : {})
+    })));
   };
 
   const addSection = () => {
@@ -2718,6 +5737,9 @@ function StepArchitectureImport({ onBack, onFinish, surveyData, initialData, max
       id: 0,
       od: 0,
       weight: 0,
+      drift: 0,
+      grade: '',
+      description: '',
       fricRodRIH: 1.0,
       fricRodPOOH: 1.0,
       fricToolRIH: 0.3,
@@ -2725,31 +5747,75 @@ function StepArchitectureImport({ onBack, onFinish, surveyData, initialData, max
       units: units // Save current units with the section
     }]);
   };
+  const importSections = (imported, replace) => {
+    const withDefaults = imported.map(sec => ({ ...sec, fricRodRIH: 1.0, fricRodPOOH: 1.0, fricToolRIH: 0.3, fricToolPOOH: 0.3, units }));
+    setSections(replace ? withDefaults : [...sections, ...withDefaults]);
+    setImportOpen(false);
+  };
   const removeSection = (idx) => { const newSec = [...sections]; newSec.splice(idx, 1); setSections(newSec); };
   const updateSection = (idx, field, value) => {
     const newSec = [...sections];
-    newSec[idx][field] = parseFloat(value) || 0;
+    newSec[idx][field] = field === 'grade' || field === 'description' ? value : parseFloat(value) || 0;
     newSec[idx].units = units; // Update units metadata
     if ((field === 'weight' || field === 'od')) {
-      let newID = calculateIDFromODWeight(newSec[idx].od, newSec[idx].weight, units.od, units.weight, units.id);
-      if (newID !== null) newSec[idx].id = newID;
+      // Catalog sizes give nominal ID and drift; anything else is estimated
+      const pipe = findCatalogPipe(catalog, newSec[idx].od, newSec[idx].weight, units, newSec[idx].grade);
+      if (pipe) { Object.assign(newSec[idx], sectionFromCatalog(pipe, units)); }
+      else {
+        delete newSec[idx].pipeKey;
+        let newID = calculateIDFromODWeight(newSec[idx].od, newSec[idx].weight, units.od, units.weight, units.id);
+        if (newID !== null) newSec[idx].id = newID;
+        newSec[idx].drift = estimateDrift(newSec[idx].id, newSec[idx].od, units);
+      }
+    }
+    if (field === 'id' || field === 'drift') delete newSec[idx].pipeKey; // Overridden nominal values
+    if (field === 'id') newSec[idx].drift = estimateDrift(newSec[idx].id, newSec[idx].od, units);
+    setSections(newSec);
+  };
+  const addRestriction = () => setRestrictions([...restrictions, { type: 'nipple', depth: 0, minId: 0, name: '', units }]);
+  const updateRestriction = (idx, field, value) => setRestrictions(restrictions.map((r, i) => (i === idx ? { ...r, [field]: field === 'type' || field === 'name' ? value : parseFloat(value) || 0, units } : r)));
+  const removeRestriction = (idx) => setRestrictions(restrictions.filter((_, i) => i !== idx));
+  const selectCatalogPipe = (idx, key) => {
+    const pipe = catalog.find(p => p.key === key);
+    const newSec = [...sections];
+    if (pipe) newSec[idx] = { ...newSec[idx], ...sectionFromCatalog(pipe, units), units };
+    else {
+      // "Egendefinert": keep the sizes as they are, but drop the link to the catalog pipe
+      newSec[idx] = { ...newSec[idx] };
+      delete newSec[idx].pipeKey;
     }
     setSections(newSec);
   };
 
-  const exceedsMaxDepth = sections.some(s => s.end > maxDepth || s.start > maxDepth);
+  const issues = useMemo(() => validateArchitecture(sections, { maxDepth: surveyData?.length > 0 ? maxDepth : 0, minDepth, restrictions, catalog }), [sections, surveyData, maxDepth, minDepth, restrictions, catalog]);
+  const status = architectureStatus(issues);
+  const blocked = status.errors > 0;
+  // A sidetrack can inherit all of its sections from the parent bore above the kick-off point
+  const hasSections = sections.length + inheritedSectionCount > 0;
+  const sectionHasError = (idx) => issues.some(x => x.index === idx && x.severity === 'error');
+  // Inline depth highlight in metres with the same limit and tolerance as validateArchitecture
+  const depthLimit = surveyData?.length > 0 ? maxDepth : 0;
+  const beyondSurvey = (meters) => depthLimit > 0 && meters > depthLimit + ARCHITECTURE_TOLERANCE;
+  const applyFix = (issue) => setSections(issue.fix.apply(sections));
+  const fixAll = () => setSections(fixArchitecture(sections, { maxDepth: surveyData?.length > 0 ? maxDepth : 0, minDepth, restrictions, catalog }));
 
   return (
     <div className="h-full flex flex-col">
       <div className="flex justify-between items-center mb-4 shrink-0"><h3 className="font-bold text-[#37424A] text-xl flex items-center gap-2">Brønnarkitektur Seksjoner</h3></div>
-      <div className="flex gap-4 mb-4"><button onClick={addSection} className="bg-[#FFC82E] text-[#37424A] px-4 py-2 rounded font-bold text-xs hover:bg-[#E5B020] transition-colors flex items-center gap-2"><Plus size={16} /> LEGG TIL SEKSJON MANUELT</button></div>
+      <div className="flex gap-4 mb-4"><button onClick={addSection} className="bg-[#FFC82E] text-[#37424A] px-4 py-2 rounded font-bold text-xs hover:bg-[#E5B020] transition-colors flex items-center gap-2"><Plus size={16} /> LEGG TIL SEKSJON MANUELT</button><button onClick={() => setImportOpen(!importOpen)} className="bg-white border border-gray-300 text-[#37424A] px-4 py-2 rounded font-bold text-xs hover:bg-gray-50 transition-colors flex items-center gap-2"><FileSpreadsheet size={16} /> IMPORTER FRA TABELL / EXCEL</button>{onSaveCatalogPipe && <button onClick={() => setCatalogOpen(!catalogOpen)} className="bg-white border border-gray-300 text-[#37424A] px-4 py-2 rounded font-bold text-xs hover:bg-gray-50 transition-colors flex items-center gap-2"><Database size={16} /> RØRKATALOG</button>}</div>
+      {importOpen && <ArchitectureTableImport units={units} catalog={catalog} onImport={importSections} onCancel={() => setImportOpen(false)} />}
+      {catalogOpen && onSaveCatalogPipe && <PipeCatalogEditor catalog={catalog} onSave={onSaveCatalogPipe} onDelete={onDeleteCatalogPipe} onClose={() => setCatalogOpen(false)} />}
       <div className="bg-white rounded-lg border border-gray-200 flex flex-col overflow-hidden flex-grow">
         <div className="flex bg-gray-50 text-gray-500 text-xs font-bold border-b border-gray-200">
+          <div className="p-3 flex-[2] border-r border-gray-100">Katalog</div>
           <div className="p-3 flex-1 border-r border-gray-100 cursor-pointer hover:text-[#37424A]" onClick={() => toggleUnit('depth')}>Fra ({units.depth})</div>
           <div className="p-3 flex-1 border-r border-gray-100 cursor-pointer hover:text-[#37424A]" onClick={() => toggleUnit('depth')}>Til ({units.depth})</div>
           <div className="p-3 flex-1 border-r border-gray-100 cursor-pointer hover:text-[#37424A]" onClick={() => toggleUnit('od')}>OD ({units.od})</div>
           <div className="p-3 flex-1 border-r border-gray-100 cursor-pointer hover:text-[#37424A]" onClick={() => toggleUnit('weight')}>Vekt ({units.weight})</div>
           <div className="p-3 flex-1 border-r border-gray-100 cursor-pointer hover:text-[#37424A]" onClick={() => toggleUnit('id')}>ID ({units.id})</div>
+          <div className="p-3 flex-1 border-r border-gray-100 cursor-pointer hover:text-[#37424A]" onClick={() => toggleUnit('id')} title="Drift-ID brukes for klaring mot verktøystrengen">Drift ({units.id})</div>
+          <div className="p-3 flex-1 border-r border-gray-100">Grade</div>
+          <div className="p-3 flex-[2] border-r border-gray-100">Beskrivelse</div>
           <div className="p-3 flex-1 border-r border-gray-100">Rod RIH µ</div>
           <div className="p-3 flex-1 border-r border-gray-100">Rod POH µ</div>
           <div className="p-3 flex-1 border-r border-gray-100">Tool RIH µ</div>
@@ -2758,12 +5824,23 @@ function StepArchitectureImport({ onBack, onFinish, surveyData, initialData, max
         </div>
         <div className="overflow-y-auto flex-grow">
           {sections.map((sec, i) => (
-            <div key={i} className="flex border-b border-gray-100 hover:bg-gray-50 transition-colors items-center">
-              <div className="p-2 flex-1"><input type="number" className={`w-full border rounded px-2 py-1 text-sm ${sec.start > maxDepth ? 'border-red-500 bg-red-50' : 'border-gray-300'}`} value={sec.start} onChange={e => updateSection(i, 'start', e.target.value)} /></div>
-              <div className="p-2 flex-1"><input type="number" className={`w-full border rounded px-2 py-1 text-sm ${sec.end > maxDepth ? 'border-red-500 bg-red-50' : 'border-gray-300'}`} value={sec.end} onChange={e => updateSection(i, 'end', e.target.value)} /></div>
+            <div key={i} className={`flex border-b border-gray-100 transition-colors items-center ${sectionHasError(i) ? 'bg-red-50' : 'hover:bg-gray-50'}`}>
+              <div className="p-2 flex-[2]">
+                <select className="w-full border border-gray-300 rounded px-1 py-1 text-xs bg-white" value={catalog.some(p => p.key === sec.pipeKey) ? sec.pipeKey : ''} onChange={e => selectCatalogPipe(i, e.target.value)}>
+                  <option value="">Egendefinert</option>
+                  <optgroup label="Tubing">{catalog.filter(p => !p.custom && p.type === 'tubing').map(p => <option key={p.key} value={p.key}>{pipeLabel(p)}</option>)}</optgroup>
+                  <optgroup label="Casing">{catalog.filter(p => !p.custom && p.type === 'casing').map(p => <option key={p.key} value={p.key}>{pipeLabel(p)}</option>)}</optgroup>
+                  {catalog.some(p => p.custom) && <optgroup label="Firmaets katalog">{catalog.filter(p => p.custom).map(p => <option key={p.key} value={p.key}>{pipeLabel(p)}</option>)}</optgroup>}
+                </select>
+              </div>
+              <div className="p-2 flex-1"><input type="number" className={`w-full border rounded px-2 py-1 text-sm ${beyondSurvey(sectionMetric(sec).start) ? 'border-red-500 bg-red-50' : 'border-gray-300'}`} value={sec.start} onChange={e => updateSection(i, 'start', e.target.value)} /></div>
+              <div className="p-2 flex-1"><input type="number" className={`w-full border rounded px-2 py-1 text-sm ${beyondSurvey(sectionMetric(sec).end) ? 'border-red-500 bg-red-50' : 'border-gray-300'}`} value={sec.end} onChange={e => updateSection(i, 'end', e.target.value)} /></div>
               <div className="p-2 flex-1"><input type="number" className="w-full border border-gray-300 rounded px-2 py-1 text-sm" value={sec.od} onChange={e => updateSection(i, 'od', e.target.value)} /></div>
               <div className="p-2 flex-1"><input type="number" className="w-full border border-gray-300 rounded px-2 py-1 text-sm" value={sec.weight} onChange={e => updateSection(i, 'weight', e.target.value)} /></div>
               <div className="p-2 flex-1"><input type="number" className="w-full border border-gray-300 rounded px-2 py-1 text-sm font-bold text-[#37424A]" value={sec.id} onChange={e => updateSection(i, 'id', e.target.value)} /></div>
+              <div className="p-2 flex-1"><input type="number" className={`w-full border rounded px-2 py-1 text-sm ${sec.drift > sec.id ? 'border-red-500 bg-red-50' : 'border-gray-300'}`} value={sec.drift ?? ''} onChange={e => updateSection(i, 'drift', e.target.value)} /></div>
+              <div className="p-2 flex-1"><input type="text" className="w-full border border-gray-300 rounded px-2 py-1 text-sm" value={sec.grade || ''} onChange={e => updateSection(i, 'grade', e.target.value)} /></div>
+              <div className="p-2 flex-[2]"><input type="text" className="w-full border border-gray-300 rounded px-2 py-1 text-sm" value={sec.description || ''} onChange={e => updateSection(i, 'description', e.target.value)} /></div>
               <div className="p-2 flex-1"><input type="number" step="0.1" className="w-full border border-gray-300 rounded px-2 py-1 text-sm text-center" value={sec.fricRodRIH} onChange={e => updateSection(i, 'fricRodRIH', e.target.value)} /></div>
               <div className="p-2 flex-1"><input type="number" step="0.1" className="w-full border border-gray-300 rounded px-2 py-1 text-sm text-center" value={sec.fricRodPOOH} onChange={e => updateSection(i, 'fricRodPOOH', e.target.value)} /></div>
               <div className="p-2 flex-1"><input type="number" step="0.1" className="w-full border border-gray-300 rounded px-2 py-1 text-sm text-center" value={sec.fricToolRIH} onChange={e => updateSection(i, 'fricToolRIH', e.target.value)} /></div>
@@ -2771,17 +5848,43 @@ function StepArchitectureImport({ onBack, onFinish, surveyData, initialData, max
               <div className="p-2 w-24 flex justify-center"><button onClick={() => removeSection(i)} className="text-gray-400 hover:text-red-500 transition-colors"><Trash2 size={16} /></button></div>
             </div>
           ))}
-          {sections.length === 0 && (<div className="p-8 text-center text-gray-400 text-sm flex flex-col items-center justify-center h-full"><Layers size={32} className="mb-2 opacity-20" />Ingen seksjoner lagt til. Trykk "Legg til seksjon manuelt" for å starte.</div>)}
+          {sections.length === 0 && (<div className="p-8 text-center text-gray-400 text-sm flex flex-col items-center justify-center h-full"><Layers size={32} className="mb-2 opacity-20" />Ingen seksjoner lagt til. Trykk "Legg til seksjon manuelt" eller importer fra tabell for å starte.</div>)}
+        </div>
+      </div>
+      <div className="bg-white rounded-lg border border-gray-200 mt-4 shrink-0">
+        <div className="flex justify-between items-center p-3 border-b border-gray-100">
+          <div><h4 className="font-bold text-[#37424A] text-sm">Restriksjoner</h4><p className="text-xs text-gray-400">Nipler, SSSV og mandreller med minste ID. Kontrolleres mot BHA-en i hvert run.</p></div>
+          <button onClick={addRestriction} className="bg-white border border-gray-300 text-[#37424A] px-3 py-1.5 rounded font-bold text-xs hover:bg-gray-50 flex items-center gap-1"><Plus size={14} /> LEGG TIL RESTRIKSJON</button>
         </div>
+        {restrictions.length > 0 && (
+          <div className="max-h-48 overflow-y-auto">
+            <div className="flex bg-gray-50 text-gray-500 text-xs font-bold border-b border-gray-200">
+              <div className="p-2 flex-1">Type</div>
+              <div className="p-2 flex-1 cursor-pointer hover:text-[#37424A]" onClick={() => toggleUnit('depth')}>MD ({units.depth})</div>
+              <div className="p-2 flex-1 cursor-pointer hover:text-[#37424A]" onClick={() => toggleUnit('id')}>Min. ID ({units.id})</div>
+              <div className="p-2 flex-[2]">Beskrivelse</div>
+              <div className="p-2 w-24 text-center">Handling</div>
+            </div>
+            {restrictions.map((r, i) => (
+              <div key={i} className="flex border-b border-gray-100 items-center">
+                <div className="p-2 flex-1"><select className="w-full border border-gray-300 rounded px-2 py-1 text-sm bg-white" value={r.type} onChange={e => updateRestriction(i, 'type', e.target.value)}>{Object.entries(RESTRICTION_TYPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}</select></div>
+                <div className="p-2 flex-1"><input type="number" className={`w-full border rounded px-2 py-1 text-sm ${beyondSurvey(restrictionMetric(r).depth) ? 'border-red-500 bg-red-50' : 'border-gray-300'}`} value={r.depth} onChange={e => updateRestriction(i, 'depth', e.target.value)} /></div>
+                <div className="p-2 flex-1"><input type="number" className="w-full border border-gray-300 rounded px-2 py-1 text-sm font-bold text-[#37424A]" value={r.minId} onChange={e => updateRestriction(i, 'minId', e.target.value)} /></div>
+                <div className="p-2 flex-[2]"><input type="text" className="w-full border border-gray-300 rounded px-2 py-1 text-sm" placeholder="f.eks. X-nippel 3.813" value={r.name || ''} onChange={e => updateRestriction(i, 'name', e.target.value)} /></div>
+                <div className="p-2 w-24 flex justify-center"><button onClick={() => removeRestriction(i)} className="text-gray-400 hover:text-red-500 transition-colors"><Trash2 size={16} /></button></div>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
-      {exceedsMaxDepth && <div className="mt-2 text-red-500 font-bold text-sm flex items-center gap-2"><AlertTriangle size={16} /> Lengden på brønnarkitekturen kan ikke være lengre enn brønnen som er {maxDepth.toFixed(0)}m.</div>}
-      <div className="flex justify-between pt-6 mt-2 border-t shrink-0"><button onClick={onBack} className="text-gray-500 font-medium">Tilbake</button><button onClick={() => onFinish(sections)} disabled={sections.length === 0 || exceedsMaxDepth} className={`px-6 py-2 rounded font-bold flex items-center gap-2 transition-colors ${sections.length > 0 && !exceedsMaxDepth ? 'bg-[#37424A] text-white hover:bg-slate-700' : 'bg-gray-200 text-gray-400 cursor-not-allowed'}`}><Save size={18} /> Lagre Brønn</button></div>
+      {sections.length > 0 && <ArchitectureValidationPanel issues={issues} onFix={applyFix} onFixAll={fixAll} />}
+      <div className="flex justify-between pt-6 mt-2 border-t shrink-0"><button onClick={onBack} className="text-gray-500 font-medium">Tilbake</button><div className="flex gap-4">{onSave && <button onClick={() => onSave(storedSections(), storedRestrictions(), units)} disabled={blocked} className={`px-4 py-2 rounded font-bold border transition-colors ${!blocked ? 'border-[#37424A] text-[#37424A] hover:bg-gray-50' : 'border-gray-200 text-gray-400'}`}>Lagre Arkitektur</button>}<button onClick={() => onFinish(storedSections(), storedRestrictions(), units)} disabled={!hasSections || blocked} className={`px-6 py-2 rounded font-bold flex items-center gap-2 transition-colors ${hasSections && !blocked ? 'bg-[#37424A] text-white hover:bg-slate-700' : 'bg-gray-200 text-gray-400 cursor-not-allowed'}`}><Save size={18} /> Lagre Brønn</button></div></div>
     </div>
   );
 }
 
 // --- COMPONENT: CREATE WELL WIZARD ---
-function CreateWellWizard({ onCancel, onSave, initialData }) {
+function CreateWellWizard({ onCancel, onSave, initialData, pipeCatalog, onSaveCatalogPipe, onDeleteCatalogPipe }) {
   const [step, setStep] = useState(1);
   const [data, setData] = useState(initialData || {
     id: Math.random().toString(36).substr(2, 9),
@@ -2796,6 +5899,122 @@ function CreateWellWizard({ onCancel, onSave, initialData }) {
   // Architecture State
   const [archSections, setArchSections] = useState(initialData?.architecture || []);
 
+  const trajectoryOptions = useMemo(() => getTrajectoryOptions(data), [data]);
+
+  // Bores and surveys: `survey` mirrors the main bore's active survey so the rest of the app can keep reading it
+  const withActiveSurvey = (next) => {
+    const active = getActiveSurvey(next);
+    return { ...next, activeSurveyId: active.id, survey: active.stations };
+  };
+  const saveWell = (next) => setData(withActiveSurvey(next));
+  const bores = getWellBores(data);
+  const [editingBoreId, setEditingBoreId] = useState(MAIN_BORE.id);
+  const editingBore = bores.find(b => b.id === editingBoreId) || MAIN_BORE;
+  const surveys = getWellSurveys(data);
+  const boreSurveys = getBoreSurveys(data, editingBore.id);
+  const boreActiveSurvey = getBoreActiveSurvey(data, editingBore.id);
+  const [editingSurveyId, setEditingSurveyId] = useState(null);
+  const editingSurvey = boreSurveys.find(s => s.id === editingSurveyId) || boreActiveSurvey;
+  const today = () => new Date().toISOString().slice(0, 10);
+
+  // Fields edited here are recorded in `touched`, so file metadata never overwrites what the user entered
+  const updateSurvey = (id, changes) => saveWell({ ...data, surveys: surveys.map(s => (s.id === id ? { ...s, ...changes, touched: [...new Set([...(s.touched || []), ...Object.keys(changes)])] } : s)) });
+
+  // Replacing stations that runs may have been planned on goes through SurveyImpactReview first
+  const [pendingSurvey, setPendingSurvey] = useState(null);
+  const commitSurveyStations = (id, stations, next) => {
+    const survey = surveys.find(s => s.id === id);
+    const candidate = withActiveSurvey({ ...data, surveys: surveys.map(s => (s.id === id ? { ...s, stations } : s)) });
+    if (survey.stations.length > 0 && JSON.stringify(survey.stations) !== JSON.stringify(stations)) {
+      setPendingSurvey({ survey, candidate, next });
+      return;
+    }
+    setData(candidate);
+    if (next) setStep(3);
+  };
+  const applyPendingSurvey = (recompute) => {
+    const { candidate, next } = pendingSurvey;
+    const jobs = recompute
+      ? (data.jobs || []).map(run => (runSurveyImpact(data, candidate, run).affected ? recomputeRunForSurvey(data, candidate, run) : run))
+      : data.jobs;
+    setData(jobs ? { ...candidate, jobs } : candidate);
+    setPendingSurvey(null);
+    if (next) setStep(3);
+  };
+  const addSurvey = () => {
+    const id = `survey-${Date.now().toString(36)}`;
+    saveWell({ ...data, surveys: [...surveys, { id, name: `Survey ${boreSurveys.length + 1}`, type: 'mwd', source: '', date: today(), stations: [], boreId: editingBore.id, touched: [] }] });
+    setEditingSurveyId(id);
+  };
+  const deleteSurvey = (id) => {
+    if (!window.confirm('Slette denne surveyen? Runs som bruker den går over til aktiv survey.')) return;
+    saveWell({ ...data, surveys: surveys.filter(s => s.id !== id) });
+    setEditingSurveyId(null);
+  };
+  const setActiveSurvey = (id) => {
+    if (editingBore.id === MAIN_BORE.id) saveWell({ ...data, surveys, activeSurveyId: id });
+    else updateBore(editingBore.id, { activeSurveyId: id });
+  };
+
+  const updateBore = (id, changes) => saveWell({ ...data, bores: (data.bores || []).map(b => (b.id === id ? { ...b, ...changes } : b)) });
+  const addBore = () => {
+    const id = `bore-${Date.now().toString(36)}`;
+    const surveyId = `survey-${Date.now().toString(36)}`;
+    saveWell({
+      ...data,
+      bores: [...(data.bores || []), { id, name: `Sidespor ${bores.length}`, parentBoreId: editingBore.id, kickoffMD: 0, activeSurveyId: surveyId, architecture: [] }],
+      surveys: [...surveys, { id: surveyId, name: 'Survey 1', type: 'mwd', source: '', date: today(), stations: [], boreId: id, touched: [] }]
+    });
+    setEditingBoreId(id);
+    setEditingSurveyId(null);
+  };
+  const deleteBore = (id) => {
+    if (!window.confirm('Slette dette sidesporet med surveys og arkitektur? Sidespor fra denne boringen flyttes til dens parent.')) return;
+    const bore = bores.find(b => b.id === id);
+    saveWell({
+      ...data,
+      bores: (data.bores || []).filter(b => b.id !== id).map(b => (b.parentBoreId === id ? { ...b, parentBoreId: bore.parentBoreId } : b)),
+      surveys: surveys.filter(s => s.boreId !== id)
+    });
+    setEditingBoreId(MAIN_BORE.id);
+    setEditingSurveyId(null);
+  };
+
+  // A sidetrack's survey preview starts from the parent trajectory at the kick-off point
+  const boreTrajectoryOptions = useMemo(() => {
+    if (editingBore.id === MAIN_BORE.id) return trajectoryOptions;
+    const parent = calculateTrajectory(getBoreStations(data, editingBore.parentBoreId), trajectoryOptions);
+    const kop = positionAtMD(parent, parseFloat(editingBore.kickoffMD) || 0);
+    if (!kop) return trajectoryOptions;
+    return { ...trajectoryOptions, tieIn: { md: kop.md, tvd: kop.tvd, north: kop.north, east: kop.east, inc: kop.inc, azi: kop.azi } };
+  }, [data, editingBore, trajectoryOptions]);
+  const boreStations = getBoreStations(data, editingBore.id);
+
+  // Well metadata from an imported LAS/WITSML file only fills fields that are still empty.
+  // Survey fields replace the generated defaults (name, type 'mwd', creation date) unless the user edited them. Surveys
+  // saved before `touched` was recorded only count a blank value or a generated "Survey"/"Survey N" name as default.
+  const applySurveyFileMetadata = ({ well, survey }) => {
+    const blank = (value) => value === undefined || value === null || value === '';
+    const keepSurveyField = (s, key) => {
+      if (blank(s[key])) return false;
+      if (s.touched) return s.touched.includes(key);
+      return key !== 'name' || !/^Survey( \d+)?$/.test(s.name);
+    };
+    saveWell({
+      ...data,
+      name: blank(data.name) ? well.name : data.name,
+      operator: blank(data.operator) ? well.operator : data.operator,
+      ...(blank(data.vsAzimuth) && well.vsAzimuth !== null ? { vsAzimuth: parseFloat(well.vsAzimuth.toFixed(2)) } : {}),
+      ...(blank(data.datum?.rkb) && well.rkb !== null ? { datum: { ...(data.datum || {}), rkb: parseFloat(well.rkb.toFixed(2)) } } : {}),
+      surveys: surveys.map(s => (s.id === editingSurvey.id ? {
+        ...s,
+        ...Object.fromEntries(['name', 'source', 'date', 'type'].map(key => [key, keepSurveyField(s, key) || blank(survey[key]) ? s[key] : survey[key]]))
+      } : s))
+    });
+  };
+
+  const updateNested = (group, field, value) => setData({ ...data, [group]: { ...(data[group] || {}), [field]: value === '' ? '' : parseFloat(value) } });
+
   useEffect(() => {
     if (initialData) {
       setData(initialData);
@@ -2838,28 +6057,101 @@ function CreateWellWizard({ onCancel, onSave, initialData }) {
             <div><label className="block text-xs font-bold text-gray-500 uppercase mb-1">Brønn Navn</label><input type="text" className="w-full border p-3 rounded focus:border-[#FFC82E] outline-none" value={data.name} onChange={e => setData({ ...data, name: e.target.value })} placeholder="E.g. 34/10-A-12" /></div>
             <div><label className="block text-xs font-bold text-gray-500 uppercase mb-1">RIG</label><input type="text" className="w-full border p-3 rounded focus:border-[#FFC82E] outline-none" value={data.rig || ''} onChange={e => setData({ ...data, rig: e.target.value })} placeholder="E.g. Gullfaks" /></div>
             <div><label className="block text-xs font-bold text-gray-500 uppercase mb-1">Operatør</label><input type="text" className="w-full border p-3 rounded focus:border-[#FFC82E] outline-none" value={data.operator} onChange={e => setData({ ...data, operator: e.target.value })} placeholder="Skriv inn operatør" /></div>
+            <div><label className="block text-xs font-bold text-gray-500 uppercase mb-1">Vertikalseksjon Azimut (°)</label><input type="number" step="0.1" className="w-full border p-3 rounded focus:border-[#FFC82E] outline-none" value={data.vsAzimuth ?? ''} onChange={e => setData({ ...data, vsAzimuth: e.target.value === '' ? null : parseFloat(e.target.value) })} placeholder="Auto (closure-retning ved TD)" /></div>
+            <div className="border-t pt-4">
+              <h4 className="text-sm font-bold text-[#37424A] mb-3">Referanse & Lokasjon</h4>
+              <div className="grid grid-cols-2 gap-4">
+                <div><label className="block text-xs font-bold text-gray-500 uppercase mb-1">RKB Elevasjon (m over MSL)</label><input type="number" className="w-full border p-2 rounded text-sm" value={data.datum?.rkb ?? ''} onChange={e => updateNested('datum', 'rkb', e.target.value)} placeholder="0" /></div>
+                <div><label className="block text-xs font-bold text-gray-500 uppercase mb-1">Vanndyp (m)</label><input type="number" className="w-full border p-2 rounded text-sm" value={data.datum?.waterDepth ?? ''} onChange={e => updateNested('datum', 'waterDepth', e.target.value)} placeholder="0" /></div>
+                <div><label className="block text-xs font-bold text-gray-500 uppercase mb-1">Overflate Northing (m)</label><input type="number" className="w-full border p-2 rounded text-sm" value={data.surface?.northing ?? ''} onChange={e => updateNested('surface', 'northing', e.target.value)} placeholder="0" /></div>
+                <div><label className="block text-xs font-bold text-gray-500 uppercase mb-1">Overflate Easting (m)</label><input type="number" className="w-full border p-2 rounded text-sm" value={data.surface?.easting ?? ''} onChange={e => updateNested('surface', 'easting', e.target.value)} placeholder="0" /></div>
+              </div>
+            </div>
+            <div className="border-t pt-4">
+              <h4 className="text-sm font-bold text-[#37424A] mb-1">Tie-in Punkt</h4>
+              <p className="text-xs text-gray-400 mb-3">Startpunktet for baneberegningen. La stå tomt for vertikal start fra overflaten. Brukes for avviksbrønner og sidesteg.</p>
+              <div className="grid grid-cols-3 gap-4">
+                {[['md', 'MD (m)'], ['tvd', 'TVD (m)'], ['inc', 'Inc (°)'], ['north', 'North (m)'], ['east', 'East (m)'], ['azi', 'Azi (°)']].map(([field, label]) => (
+                  <div key={field}><label className="block text-xs font-bold text-gray-500 uppercase mb-1">{label}</label><input type="number" className="w-full border p-2 rounded text-sm" value={data.tieIn?.[field] ?? ''} onChange={e => updateNested('tieIn', field, e.target.value)} placeholder="0" /></div>
+                ))}
+              </div>
+            </div>
           </div>
         )}
 
+        {step === 2 && pendingSurvey && (
+          <SurveyImpactReview oldWell={data} newWell={pendingSurvey.candidate} survey={pendingSurvey.survey} onCancel={() => setPendingSurvey(null)} onApply={applyPendingSurvey} />
+        )}
+
+        {/* Kept mounted while the impact review is open so the imported text survives "Avbryt" */}
         {step === 2 && (
-          <StepSurveyImport
-            onBack={() => setStep(1)}
-            onNext={(surveyData) => { setData({ ...data, survey: surveyData }); setStep(3); }}
-            existingData={data.survey}
-          />
+          <div className={`h-full flex flex-col ${pendingSurvey ? 'hidden' : ''}`}>
+            <BoreList bores={bores} selectedId={editingBore.id} onSelect={(id) => { setEditingBoreId(id); setEditingSurveyId(null); }} onAdd={addBore} onUpdate={updateBore} onDelete={deleteBore} />
+            <SurveyList
+              surveys={boreSurveys}
+              activeSurveyId={boreActiveSurvey?.id}
+              selectedId={editingSurvey?.id}
+              onSelect={setEditingSurveyId}
+              onAdd={addSurvey}
+              onUpdate={updateSurvey}
+              onSetActive={setActiveSurvey}
+              onDelete={deleteSurvey}
+            />
+            {editingSurvey && (
+              <div className="flex-grow min-h-0">
+                <StepSurveyImport
+                  key={editingSurvey.id}
+                  onBack={() => setStep(1)}
+                  onSave={(surveyData) => commitSurveyStations(editingSurvey.id, surveyData, false)}
+                  onNext={(surveyData) => commitSurveyStations(editingSurvey.id, surveyData, true)}
+                  existingData={editingSurvey.stations}
+                  trajectoryOptions={boreTrajectoryOptions}
+                  onMethodChange={(method) => setData({ ...data, surveyMethod: method })}
+                  onImportMetadata={applySurveyFileMetadata}
+                />
+              </div>
+            )}
+          </div>
         )}
 
         {step === 3 && (
-          <StepArchitectureImport
-            onBack={() => setStep(2)}
-            onFinish={(archData) => {
-              const finalData = { ...data, architecture: archData };
-              onSave(finalData);
-            }}
-            surveyData={data.survey}
-            initialData={archSections}
-            maxDepth={data.survey.length > 0 ? Math.max(...data.survey.map(p => p.md)) : 10000}
-          />
+          <div className="h-full flex flex-col">
+            {bores.length > 1 && (
+              <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 mb-4 shrink-0 flex flex-wrap gap-2 items-center text-xs">
+                <span className="font-bold text-gray-500 uppercase mr-2">Arkitektur for</span>
+                {bores.map(b => (
+                  <button key={b.id} onClick={() => setEditingBoreId(b.id)} className={`px-3 py-1.5 rounded border font-bold ${b.id === editingBore.id ? 'bg-[#37424A] text-white border-[#37424A]' : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-100'}`}>{b.name}</button>
+                ))}
+                {editingBore.id !== MAIN_BORE.id && <span className="text-gray-500 ml-2">Seksjoner over KOP ({editingBore.kickoffMD} m) arves fra {bores.find(b => b.id === editingBore.parentBoreId)?.name}. Legg kun inn seksjoner under KOP.</span>}
+              </div>
+            )}
+            <div className="flex-grow min-h-0">
+              <StepArchitectureImport
+                key={editingBore.id}
+                onBack={() => setStep(2)}
+                onSave={bores.length > 1 ? (archData, restrictions, architectureUnits) => {
+                  if (editingBore.id === MAIN_BORE.id) { setArchSections(archData); setData({ ...data, architecture: archData, restrictions, architectureUnits }); }
+                  else saveWell({ ...data, architectureUnits, bores: data.bores.map(b => (b.id === editingBore.id ? { ...b, architecture: archData, restrictions } : b)) });
+                } : null}
+                onFinish={(archData, restrictions, architectureUnits) => {
+                  const finalData = editingBore.id === MAIN_BORE.id
+                    ? { ...data, architecture: archData, restrictions, architectureUnits }
+                    : { ...data, architectureUnits, bores: data.bores.map(b => (b.id === editingBore.id ? { ...b, architecture: archData, restrictions } : b)) };
+                  onSave(finalData);
+                }}
+                surveyData={boreStations}
+                initialData={editingBore.id === MAIN_BORE.id ? archSections : editingBore.architecture}
+                initialRestrictions={editingBore.id === MAIN_BORE.id ? data.restrictions : editingBore.restrictions}
+                initialUnits={data.architectureUnits}
+                minDepth={editingBore.id === MAIN_BORE.id ? 0 : parseFloat(editingBore.kickoffMD) || 0}
+                inheritedSectionCount={editingBore.id === MAIN_BORE.id ? 0 : getBoreArchitecture({ ...data, architecture: archSections }, editingBore.id).length - (editingBore.architecture || []).length}
+                maxDepth={boreStations.length > 0 ? Math.max(...boreStations.map(p => p.md)) : 10000}
+                catalog={pipeCatalog}
+                onSaveCatalogPipe={onSaveCatalogPipe}
+                onDeleteCatalogPipe={onDeleteCatalogPipe}
+              />
+            </div>
+          </div>
         )}
       </div>
 
@@ -2879,19 +6171,82 @@ function CreateWellWizard({ onCancel, onSave, initialData }) {
 }
 
 // --- COMPONENT: WELL VIEW ---
-function WellView({ well, onBack, onNewRun, onEditRun, onCopyRun, onDeleteRun, onViewPortalDashboard, onTogglePortal }) {
+function WellView({ well, wells, onUpdateWell, onBack, onNewRun, onEditRun, onCopyRun, onDeleteRun, onViewPortalDashboard, onTogglePortal }) {
   const [plotConfig, setPlotConfig] = useState({ x: 'vs', y: 'tvd' });
 
+  const trajectoryOptions = useMemo(() => getTrajectoryOptions(well), [well]);
   const trajectory = useMemo(() => {
     if (!well.survey || well.survey.length === 0) return [];
-    const traj = calculateTrajectory(well.survey);
-    return traj.map(p => ({
-      ...p,
-      north: -p.z, // Mapping: z is usually calculated as -N in standard calc logic used here
-      east: p.x,
-      vs: Math.sqrt(p.x * p.x + p.z * p.z) // Vertical Section / Horizontal Offset calculation
-    }));
-  }, [well.survey]);
+    return calculateTrajectory(well.survey, trajectoryOptions);
+  }, [well.survey, trajectoryOptions]);
+
+  // Sidetracks, drawn together with the main bore in 3D
+  const bores = useMemo(() => getWellBores(well), [well]);
+  const branches = useMemo(() => bores.filter(b => b.id !== MAIN_BORE.id).map(b => ({
+    id: b.id,
+    name: b.name,
+    kickoffMD: parseFloat(b.kickoffMD) || 0,
+    points: calculateTrajectory(getBoreStations(well, b.id), trajectoryOptions),
+    architecture: getBoreArchitecture(well, b.id),
+    restrictions: b.restrictions || []
+  })), [well, bores, trajectoryOptions]);
+
+  // Offset wells in this well's frame, and closest distance from the selected bore to each of them
+  const offsetCandidates = wells.filter(w => w.id !== well.id && w.survey?.length > 0 && hasSurfaceLocation(w));
+  const offsets = useMemo(() => (well.offsetWellIds || [])
+    .map(id => wells.find(w => w.id === id))
+    .filter(Boolean)
+    .map(w => {
+      const options = getTrajectoryOptions(w);
+      return { id: w.id, name: w.name, points: relocateTrajectory(calculateTrajectory(getBoreStations(w, MAIN_BORE.id), options), options, trajectoryOptions) };
+    }), [well, wells, trajectoryOptions]);
+  const [proximityBoreId, setProximityBoreId] = useState(MAIN_BORE.id);
+  const proximity = useMemo(() => {
+    const reference = branches.find(b => b.id === proximityBoreId)?.points || trajectory;
+    return offsets.map(o => {
+      const rows = closestApproach(reference, o.points);
+      const closest = rows.reduce((best, r) => (r.distance < best.distance ? r : best), rows[0] || { distance: Infinity });
+      return { id: o.id, name: o.name, rows, closest };
+    });
+  }, [trajectory, branches, offsets, proximityBoreId]);
+  const proximityChart = useMemo(() => (proximity[0]?.rows || []).map((r, i) => ({
+    md: r.md,
+    ...Object.fromEntries(proximity.map(o => [o.id, o.rows[i]?.distance]))
+  })), [proximity]);
+  const toggleOffsetWell = (id) => {
+    const ids = well.offsetWellIds || [];
+    onUpdateWell({ offsetWellIds: ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id] });
+  };
+
+  // Survey comparison: compare survey relative to the reference survey (active by default)
+  const surveys = useMemo(() => getWellSurveys(well), [well]);
+
+  // Architecture validation per bore (combined with the parent above the KOP); runs on a bore with errors can't be exported
+  const architectureIssues = useMemo(() => Object.fromEntries(bores.map(b => {
+    const stations = getBoreStations(well, b.id);
+    return [b.id, validateArchitecture(getBoreArchitecture(well, b.id), {
+      maxDepth: Math.max(0, ...stations.map(p => p.md)), restrictions: getBoreRestrictions(well, b.id)
+    })];
+  })), [well, bores]);
+  const [showArchitectureIssues, setShowArchitectureIssues] = useState(false);
+
+  // Runs selected for a combined ComTrac export (one scenario per run, in run list order)
+  const [selectedRunIds, setSelectedRunIds] = useState([]);
+  const exportableJobs = (well.jobs || []).filter(job => architectureStatus(architectureIssues[job.boreId || MAIN_BORE.id] || []).errors === 0);
+  const selectedJobs = exportableJobs.filter(job => selectedRunIds.includes(job.id));
+  const mixedTrajectories = selectedJobs.some(job => comtracTrajectoryKey(well, job) !== comtracTrajectoryKey(well, selectedJobs[0]));
+  const toggleRunSelection = (id) => setSelectedRunIds(selectedRunIds.includes(id) ? selectedRunIds.filter(x => x !== id) : [...selectedRunIds, id]);
+  // Runs waiting in the export preflight dialog
+  const [exportRuns, setExportRuns] = useState(null);
+  const activeSurvey = useMemo(() => getActiveSurvey(well), [well]);
+  const [surveyCompare, setSurveyCompare] = useState({ reference: null, compare: null });
+  const referenceSurveyId = surveyCompare.reference || activeSurvey.id;
+  const compareSurveyId = surveyCompare.compare || surveys.find(s => s.id !== referenceSurveyId)?.id;
+  const surveyDiff = useMemo(() => {
+    if (!compareSurveyId || compareSurveyId === referenceSurveyId) return [];
+    const trajectoryFor = (id) => calculateTrajectory(getBoreStations(well, surveys.find(s => s.id === id)?.boreId, id), trajectoryOptions);
+    return compareTrajectories(trajectoryFor(referenceSurveyId), trajectoryFor(compareSurveyId));
+  }, [well, surveys, trajectoryOptions, referenceSurveyId, compareSurveyId]);
 
   const plotData = useMemo(() => {
     // Transform data based on plotConfig
@@ -2903,6 +6258,11 @@ function WellView({ well, onBack, onNewRun, onEditRun, onCopyRun, onDeleteRun, o
           case 'vs': return p.vs;
           case 'north': return p.north;
           case 'east': return p.east;
+          case 'closure': return p.closureDist;
+          case 'inc': return p.inc;
+          case 'dls': return p.dls;
+          case 'build': return p.build;
+          case 'turn': return p.turn;
           default: return 0;
         }
       };
@@ -2910,12 +6270,20 @@ function WellView({ well, onBack, onNewRun, onEditRun, onCopyRun, onDeleteRun, o
     });
   }, [trajectory, plotConfig]);
 
+  const vsAzimuth = trajectory.length > 0 ? trajectory[0].vsAzimuth : 0;
+  const td = trajectory.length > 0 ? trajectory[trajectory.length - 1] : null;
+
   const options = [
     { value: 'md', label: 'Measured Depth (MD)' },
     { value: 'tvd', label: 'True Vertical Depth (TVD)' },
-    { value: 'vs', label: 'Horizontal Offset (VS)' },
+    { value: 'vs', label: `Vertical Section (VS @ ${vsAzimuth.toFixed(1)}°)` },
     { value: 'north', label: 'Distance North/South' },
     { value: 'east', label: 'Distance East/West' },
+    { value: 'closure', label: 'Closure Distance' },
+    { value: 'inc', label: 'Inclination (°)' },
+    { value: 'dls', label: 'Dogleg Severity (°/30m)' },
+    { value: 'build', label: 'Build Rate (°/30m)' },
+    { value: 'turn', label: 'Turn Rate (°/30m)' },
   ];
 
   // Invert Y axis if TVD is selected (standard oilfield plotting)
@@ -2948,6 +6316,7 @@ function WellView({ well, onBack, onNewRun, onEditRun, onCopyRun, onDeleteRun, o
 
   return (
     <div className="space-y-6 h-full flex flex-col">
+      {exportRuns && <ComtracExportPreflight well={well} runs={exportRuns} onCancel={() => setExportRuns(null)} onExport={() => { exportToComtrac(well, exportRuns); setExportRuns(null); }} />}
       <div className="flex justify-between items-center">
         <button onClick={onBack} className="text-sm text-gray-500 hover:text-[#37424A] flex items-center gap-1 mb-4 shrink-0"><ArrowRight className="rotate-180" size={14} /> Tilbake til oversikt</button>
         <button onClick={onNewRun} className="bg-[#FFC82E] hover:bg-[#E5B020] text-[#37424A] font-bold py-2 px-6 rounded shadow-sm flex items-center gap-2 transition-colors">
@@ -2955,13 +6324,36 @@ function WellView({ well, onBack, onNewRun, onEditRun, onCopyRun, onDeleteRun, o
         </button>
       </div>
       <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 shrink-0">
-        <div className="flex justify-between items-start"><div><h1 className="text-3xl font-bold text-[#37424A]">{well.name}</h1><p className="text-gray-500">{well.rig || well.field} • {well.operator}</p></div><div className="text-right"><div className="text-sm text-gray-400">Total Dybde</div><div className="text-xl font-mono font-bold">{well.survey && well.survey.length > 0 ? Math.max(...well.survey.map(p => p.md), 0).toFixed(0) : '0'} m</div></div></div>
+        <div className="flex justify-between items-start"><div><h1 className="text-3xl font-bold text-[#37424A]">{well.name}</h1><p className="text-gray-500">{well.rig || well.field} • {well.operator}</p><p className="text-xs text-gray-400 mt-1">RKB {trajectoryOptions.rkb} m • Vanndyp {trajectoryOptions.waterDepth} m • Tie-in MD {trajectoryOptions.tieIn.md} m{trajectoryOptions.surfaceNorthing || trajectoryOptions.surfaceEasting ? ` • N ${trajectoryOptions.surfaceNorthing} / E ${trajectoryOptions.surfaceEasting}` : ''}</p></div><div className="text-right"><div className="text-sm text-gray-400">Total Dybde</div><div className="text-xl font-mono font-bold">{well.survey && well.survey.length > 0 ? Math.max(...well.survey.map(p => p.md), 0).toFixed(0) : '0'} m</div></div></div>
 
         {/* Row 1: Existing Plots */}
         <div className="mt-8 grid grid-cols-1 lg:grid-cols-2 gap-8 h-64 border-b pb-8 mb-6">
           <div className="border rounded p-2"><h4 className="text-xs font-bold text-gray-500 mb-2 uppercase">Bane (Inklinasjon)</h4><ResponsiveContainer width="100%" height="90%">{well.survey && well.survey.length > 0 ? <AreaChart data={well.survey}><defs><linearGradient id="colorInc" x1="0" y1="0" x2="0" y2="1"><stop offset="5%" stopColor="#FFC82E" stopOpacity={0.8} /><stop offset="95%" stopColor="#FFC82E" stopOpacity={0} /></linearGradient></defs><XAxis dataKey="md" unit="m" style={{ fontSize: '10px' }} /><YAxis unit="°" style={{ fontSize: '10px' }} /><CartesianGrid strokeDasharray="3 3" /><Tooltip /><Area type="monotone" dataKey="inc" stroke="#FFC82E" fillOpacity={1} fill="url(#colorInc)" /></AreaChart> : <div className="h-full flex items-center justify-center text-gray-400 text-xs">Ingen survey data</div>}</ResponsiveContainer></div>
           <div className="border rounded p-2 relative">
-            <h4 className="text-xs font-bold text-gray-500 mb-2 uppercase">Arkitektur (Indre Diameter)</h4>
+            <div className="flex justify-between items-start mb-2">
+              <h4 className="text-xs font-bold text-gray-500 uppercase">Arkitektur (Indre Diameter)</h4>
+              {(well.architecture || []).length > 0 && (() => {
+                const boreStatus = bores.map(b => ({ bore: b, status: architectureStatus(architectureIssues[b.id] || []) }));
+                const worst = boreStatus.find(x => x.status.level === 'error') || boreStatus.find(x => x.status.level === 'warning');
+                const total = boreStatus.reduce((sum, x) => ({ errors: sum.errors + x.status.errors, warnings: sum.warnings + x.status.warnings }), { errors: 0, warnings: 0 });
+                return (
+                  <button onClick={() => setShowArchitectureIssues(!showArchitectureIssues)} disabled={!worst} className={`text-[10px] font-bold px-2 py-0.5 rounded flex items-center gap-1 ${!worst ? 'bg-green-100 text-green-700' : worst.status.level === 'error' ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'}`}>
+                    {!worst ? <><Check size={10} /> Validert</> : <><AlertTriangle size={10} /> {total.errors > 0 ? `${total.errors} feil` : ''}{total.errors > 0 && total.warnings > 0 ? ', ' : ''}{total.warnings > 0 ? `${total.warnings} advarsler` : ''}</>}
+                  </button>
+                );
+              })()}
+            </div>
+            {showArchitectureIssues && (
+              <div className="absolute top-8 right-2 left-2 z-10 bg-white border rounded shadow-lg p-2 text-xs max-h-48 overflow-y-auto">
+                {bores.filter(b => (architectureIssues[b.id] || []).length > 0).map(b => (
+                  <div key={b.id} className="mb-2">
+                    {bores.length > 1 && <div className="font-bold text-[#37424A]">{b.name}</div>}
+                    {architectureIssues[b.id].map((issue, i) => <div key={i} className={issue.severity === 'error' ? 'text-red-700' : 'text-amber-700'}>{issue.severity === 'error' ? 'Feil' : 'Advarsel'}: {issue.message}</div>)}
+                  </div>
+                ))}
+                <div className="text-gray-400">Rett arkitekturen i brønnveiviseren (Rediger brønn).</div>
+              </div>
+            )}
             <div className="h-full w-full overflow-y-auto space-y-1 pr-2 pb-6">
               {(!well.architecture || well.architecture.length === 0) ? (
                 <div className="h-full flex items-center justify-center text-gray-400 text-xs italic">
@@ -2969,8 +6361,8 @@ function WellView({ well, onBack, onNewRun, onEditRun, onCopyRun, onDeleteRun, o
                 </div>
               ) : (
                 well.architecture.map((sec, i) => {
-                  // Convert ID to inches if stored in cm
-                  const idInInches = sec.units?.id === 'cm' ? sec.id / 2.54 : sec.id;
+                  // Stored in cm, shown in inches
+                  const idInInches = (parseFloat(sec.id) || 0) / 2.54;
                   return (
                     <div key={i} className="flex items-center gap-2 text-xs">
                       <div className="w-16 text-right font-mono text-gray-400">{sec.start.toFixed(0)}m</div>
@@ -2983,6 +6375,18 @@ function WellView({ well, onBack, onNewRun, onEditRun, onCopyRun, onDeleteRun, o
                   );
                 })
               )}
+              {[...(well.restrictions || [])].sort((a, b) => restrictionMetric(a).depth - restrictionMetric(b).depth).map((r, i) => {
+                const { depth, minId } = restrictionMetric(r);
+                return (
+                  <div key={`r${i}`} className="flex items-center gap-2 text-xs">
+                    <div className="w-16 text-right font-mono text-gray-400">{depth.toFixed(0)}m</div>
+                    <div className="h-4 bg-red-500 rounded-r flex items-center px-2 text-white text-[10px] whitespace-nowrap" style={{ width: `${Math.min(minId / 2.54 * 10, 100)}%` }}>
+                      {RESTRICTION_TYPES[r.type] || r.type} {(minId / 2.54).toFixed(3)}"
+                    </div>
+                    <div className="flex-grow text-gray-400 truncate">{r.name}</div>
+                  </div>
+                );
+              })}
             </div>
           </div>
         </div>
@@ -2993,14 +6397,17 @@ function WellView({ well, onBack, onNewRun, onEditRun, onCopyRun, onDeleteRun, o
           <div className="border rounded-lg p-2 bg-gray-50 relative flex flex-col overflow-hidden">
             <h4 className="text-xs font-bold text-gray-500 mb-2 uppercase absolute top-2 left-2 z-10 bg-white/80 px-2 py-1 rounded shadow-sm">3D Brønnbane (Interaktiv)</h4>
             <div className="flex-grow relative border border-gray-200 bg-white rounded">
-              <WellBore3D points={trajectory} architecture={well.architecture} />
+              <WellBore3D points={trajectory} architecture={well.architecture} restrictions={well.restrictions} datum={trajectoryOptions} branches={branches} offsets={offsets} />
             </div>
           </div>
 
           {/* Configurable 2D Plot Container */}
           <div className="border rounded-lg p-2 flex flex-col">
             <div className="flex justify-between items-center mb-2">
-              <h4 className="text-xs font-bold text-gray-500 uppercase">Dynamisk 2D Plot</h4>
+              <div>
+                <h4 className="text-xs font-bold text-gray-500 uppercase">Dynamisk 2D Plot</h4>
+                {td && <div className="text-[10px] text-gray-400">{SURVEY_METHODS[trajectoryOptions.method].label} • VS-azimut {vsAzimuth.toFixed(1)}°{trajectoryOptions.vsAzimuth === null ? ' (auto)' : ''} • Closure {td.closureDist.toFixed(1)} m @ {td.closureAzi.toFixed(1)}° • Maks DLS {Math.max(...trajectory.map(p => p.dls)).toFixed(2)}°/30m ({Math.max(...trajectory.map(p => p.dls100ft)).toFixed(2)}°/100ft)</div>}
+              </div>
               <div className="flex gap-2 text-xs">
                 <select className="border rounded p-1" value={plotConfig.x} onChange={e => setPlotConfig({ ...plotConfig, x: e.target.value })}>
                   {options.map(o => <option key={o.value} value={o.value}>X: {o.label}</option>)}
@@ -3036,10 +6443,176 @@ function WellView({ well, onBack, onNewRun, onEditRun, onCopyRun, onDeleteRun, o
         </div>
       </div>
 
+      {/* Surveys Section */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 mt-6">
+        <div className="p-4 border-b border-gray-100 flex justify-between items-center bg-gray-50">
+          <h3 className="font-semibold text-gray-700 flex items-center gap-2"><MapPin size={18} /> {branches.length > 0 ? 'Boringer & Surveys' : 'Surveys'}</h3>
+        </div>
+        {branches.length > 0 && (
+          <div className="px-4 pt-4">
+            <table className="w-full text-left text-xs">
+              <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                <tr><th className="px-3 py-2">Boring</th><th className="px-3 py-2">Parent</th><th className="px-3 py-2 text-right">KOP (MD)</th><th className="px-3 py-2 text-right">TD (MD)</th><th className="px-3 py-2 text-right">TD (TVD)</th></tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {[{ id: MAIN_BORE.id, name: MAIN_BORE.name, points: trajectory }, ...branches].map(b => {
+                  const bore = bores.find(x => x.id === b.id);
+                  const end = b.points[b.points.length - 1];
+                  return (
+                    <tr key={b.id} className="text-gray-600">
+                      <td className="px-3 py-2 font-bold text-[#37424A]">{b.name}</td>
+                      <td className="px-3 py-2">{bores.find(x => x.id === bore.parentBoreId)?.name || '-'}</td>
+                      <td className="px-3 py-2 text-right">{bore.parentBoreId ? `${bore.kickoffMD} m` : '-'}</td>
+                      <td className="px-3 py-2 text-right">{end ? `${end.md.toFixed(0)} m` : '-'}</td>
+                      <td className="px-3 py-2 text-right">{end ? `${end.tvd.toFixed(0)} m` : '-'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <div className="p-4 grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <table className="w-full text-left text-xs self-start">
+            <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+              <tr><th className="px-3 py-2">Navn</th>{branches.length > 0 && <th className="px-3 py-2">Boring</th>}<th className="px-3 py-2">Type</th><th className="px-3 py-2">Kilde</th><th className="px-3 py-2">Dato</th><th className="px-3 py-2 text-right">Stasjoner</th><th className="px-3 py-2 text-right">TD (MD)</th></tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {surveys.map(s => (
+                <tr key={s.id} className={s.id === activeSurvey.id ? 'font-bold text-[#37424A]' : 'text-gray-600'}>
+                  <td className="px-3 py-2">{s.name}{s.id === activeSurvey.id && <span className="ml-2 text-[9px] bg-[#00A99D] text-white px-1 rounded">AKTIV</span>}</td>
+                  {branches.length > 0 && <td className="px-3 py-2">{(bores.find(b => b.id === (s.boreId || MAIN_BORE.id)) || MAIN_BORE).name}</td>}
+                  <td className="px-3 py-2">{SURVEY_TYPES[s.type] || s.type}</td>
+                  <td className="px-3 py-2">{s.source || '-'}</td>
+                  <td className="px-3 py-2">{s.date || '-'}</td>
+                  <td className="px-3 py-2 text-right">{s.stations.length}</td>
+                  <td className="px-3 py-2 text-right">{s.stations.length > 0 ? Math.max(...s.stations.map(p => p.md)).toFixed(0) : 0} m</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {surveys.length < 2 ? (
+            <div className="flex items-center justify-center text-gray-400 text-xs italic border rounded h-48">Legg til flere surveys (Rediger Brønn) for å sammenligne</div>
+          ) : (
+            <div className="border rounded p-2 flex flex-col h-64">
+              <div className="flex justify-between items-center mb-2 text-xs">
+                <h4 className="font-bold text-gray-500 uppercase">Avvik mellom surveys</h4>
+                <div className="flex gap-2 items-center">
+                  <select className="border rounded p-1" value={compareSurveyId} onChange={e => setSurveyCompare({ ...surveyCompare, compare: e.target.value })}>
+                    {surveys.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                  </select>
+                  <span className="text-gray-400">mot</span>
+                  <select className="border rounded p-1" value={referenceSurveyId} onChange={e => setSurveyCompare({ ...surveyCompare, reference: e.target.value })}>
+                    {surveys.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                  </select>
+                </div>
+              </div>
+              {surveyDiff.length > 0 && <div className="text-[10px] text-gray-400 mb-1">Maks |ΔTVD| {Math.max(...surveyDiff.map(d => Math.abs(d.dTVD))).toFixed(2)} m • Maks lateralt avvik {Math.max(...surveyDiff.map(d => d.lateral)).toFixed(2)} m</div>}
+              <div className="flex-grow">
+                {surveyDiff.length === 0 ? (
+                  <div className="h-full flex items-center justify-center text-gray-400 text-xs italic">Velg to forskjellige surveys med overlappende MD</div>
+                ) : (
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={surveyDiff} margin={{ top: 5, right: 10, bottom: 15, left: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="md" type="number" domain={['dataMin', 'dataMax']} style={{ fontSize: '10px' }} label={{ value: 'MD (m)', position: 'insideBottom', offset: -5, fontSize: 10 }} />
+                      <YAxis yAxisId="tvd" style={{ fontSize: '10px' }} />
+                      <YAxis yAxisId="lateral" orientation="right" style={{ fontSize: '10px' }} />
+                      <Tooltip formatter={(value) => `${value.toFixed(2)} m`} labelFormatter={(md) => `MD: ${md.toFixed(0)} m`} />
+                      <Legend verticalAlign="top" height={20} wrapperStyle={{ fontSize: '10px' }} />
+                      <ReferenceLine yAxisId="tvd" y={0} stroke="#9CA3AF" />
+                      <Line yAxisId="tvd" type="monotone" dataKey="dTVD" name="ΔTVD (m)" stroke="#37424A" dot={false} strokeWidth={2} />
+                      <Line yAxisId="lateral" type="monotone" dataKey="lateral" name="Lateralt avvik (m)" stroke="#00A99D" dot={false} strokeWidth={2} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Offset Wells Section */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 mt-6">
+        <div className="p-4 border-b border-gray-100 flex justify-between items-center bg-gray-50">
+          <h3 className="font-semibold text-gray-700 flex items-center gap-2"><Layers size={18} /> Nabobrønner (Avstand)</h3>
+          {branches.length > 0 && (
+            <select className="border rounded p-1 text-xs" value={proximityBoreId} onChange={e => setProximityBoreId(e.target.value)}>
+              {bores.map(b => <option key={b.id} value={b.id}>Avstand fra: {b.name}</option>)}
+            </select>
+          )}
+        </div>
+        <div className="p-4 space-y-4">
+          {!hasSurfaceLocation(well) && <div className="text-xs text-yellow-700 bg-yellow-50 border border-yellow-200 rounded p-2 flex items-center gap-2"><AlertTriangle size={14} /> Brønnen mangler overflatekoordinater (Rediger Brønn). Avstander regnes som om brønnhodet ligger i origo.</div>}
+          <div className="flex flex-wrap gap-2 items-center text-xs">
+            <span className="font-bold text-gray-500 uppercase mr-2">Offset-brønner</span>
+            {offsetCandidates.length === 0 && <span className="text-gray-400 italic">Ingen andre brønner med survey og overflatekoordinater</span>}
+            {offsetCandidates.map(w => (
+              <label key={w.id} className={`flex items-center gap-1 px-2 py-1 rounded border cursor-pointer ${(well.offsetWellIds || []).includes(w.id) ? 'bg-[#37424A] text-white border-[#37424A]' : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'}`}>
+                <input type="checkbox" className="hidden" checked={(well.offsetWellIds || []).includes(w.id)} onChange={() => toggleOffsetWell(w.id)} />
+                {w.name}
+              </label>
+            ))}
+          </div>
+          {proximity.length > 0 && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="border rounded p-2 h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={proximityChart} margin={{ top: 5, right: 10, bottom: 15, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="md" type="number" domain={['dataMin', 'dataMax']} style={{ fontSize: '10px' }} label={{ value: 'MD (m)', position: 'insideBottom', offset: -5, fontSize: 10 }} />
+                    <YAxis style={{ fontSize: '10px' }} label={{ value: 'Avstand (m)', angle: -90, position: 'insideLeft', fontSize: 10 }} />
+                    <Tooltip formatter={(value) => `${value.toFixed(1)} m`} labelFormatter={(md) => `MD: ${md.toFixed(0)} m`} />
+                    <Legend verticalAlign="top" height={20} wrapperStyle={{ fontSize: '10px' }} />
+                    {proximity.map((o, i) => <Line key={o.id} type="monotone" dataKey={o.id} name={o.name} stroke={['#6B7280', '#8B5CF6', '#EF4444', '#3B82F6', '#F59E0B'][i % 5]} dot={false} strokeWidth={2} />)}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="space-y-3">
+                <table className="w-full text-left text-xs">
+                  <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
+                    <tr><th className="px-3 py-2">Offset-brønn</th><th className="px-3 py-2 text-right">Min. avstand</th><th className="px-3 py-2 text-right">Ved MD</th><th className="px-3 py-2 text-right">Offset MD</th></tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {proximity.map(o => (
+                      <tr key={o.id}>
+                        <td className="px-3 py-2 font-bold text-[#37424A]">{o.name}</td>
+                        <td className="px-3 py-2 text-right font-bold">{isFinite(o.closest.distance) ? `${o.closest.distance.toFixed(1)} m` : '-'}</td>
+                        <td className="px-3 py-2 text-right">{isFinite(o.closest.distance) ? `${o.closest.md.toFixed(0)} m` : '-'}</td>
+                        <td className="px-3 py-2 text-right">{isFinite(o.closest.distance) ? `${o.closest.offsetMD.toFixed(0)} m` : '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="max-h-40 overflow-auto border rounded">
+                  <table className="w-full text-right text-[10px]">
+                    <thead className="bg-gray-50 text-gray-500 sticky top-0"><tr><th className="px-2 py-1">MD (m)</th>{proximity.map(o => <th key={o.id} className="px-2 py-1">{o.name} (m)</th>)}</tr></thead>
+                    <tbody>
+                      {proximityChart.map(row => (
+                        <tr key={row.md} className="border-t border-gray-100">
+                          <td className="px-2 py-0.5">{row.md.toFixed(0)}</td>
+                          {proximity.map(o => <td key={o.id} className="px-2 py-0.5">{row[o.id]?.toFixed(1) ?? '-'}</td>)}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
       {/* Runs List Section */}
       <div className="bg-white rounded-lg shadow-sm border border-gray-200 mt-6">
         <div className="p-4 border-b border-gray-100 flex justify-between items-center bg-gray-50">
           <h3 className="font-semibold text-gray-700 flex items-center gap-2"><Activity size={18} /> Tilhørende Jobber (Runs)</h3>
+          {exportableJobs.length > 1 && (
+            <div className="flex items-center gap-3">
+              {mixedTrajectories && <span className="text-xs text-amber-600 flex items-center gap-1"><AlertTriangle size={12} /> Valgte runs bruker ulike boringer/surveys</span>}
+              <button onClick={() => setExportRuns(selectedJobs)} disabled={selectedJobs.length === 0 || mixedTrajectories} className={`px-3 py-1.5 rounded text-xs font-bold flex items-center gap-1 ${selectedJobs.length > 0 && !mixedTrajectories ? 'bg-[#37424A] text-white hover:bg-slate-700' : 'bg-gray-200 text-gray-400 cursor-not-allowed'}`} title="Ett ComTrac-prosjekt med ett scenario per valgt run"><Download size={14} /> Eksporter valgte ({selectedJobs.length})</button>
+            </div>
+          )}
         </div>
         <div className="p-4 max-h-96 overflow-auto">
           {(!well.jobs || well.jobs.length === 0) ?
@@ -3047,7 +6620,7 @@ function WellView({ well, onBack, onNewRun, onEditRun, onCopyRun, onDeleteRun, o
             :
             <table className="w-full text-left text-sm">
               <thead className="bg-gray-50 text-gray-500 font-medium border-b border-gray-200">
-                <tr><th className="px-6 py-3">Mål</th><th className="px-6 py-3">Dybde</th><th className="px-6 py-3">Status</th><th className="px-6 py-3">Dato</th><th className="px-6 py-3 text-right">Handling</th></tr>
+                <tr><th className="pl-4 py-3 w-8"><input type="checkbox" title="Velg alle for eksport" checked={exportableJobs.length > 0 && selectedJobs.length === exportableJobs.length} onChange={e => setSelectedRunIds(e.target.checked ? exportableJobs.map(j => j.id) : [])} /></th><th className="px-6 py-3">Mål</th><th className="px-6 py-3">Dybde</th><th className="px-6 py-3">Status</th><th className="px-6 py-3">Dato</th><th className="px-6 py-3 text-right">Handling</th></tr>
               </thead>
               <tbody className="divide-y divide-gray-100">
                 {well.jobs.map(job => {
@@ -3062,11 +6635,13 @@ function WellView({ well, onBack, onNewRun, onEditRun, onCopyRun, onDeleteRun, o
                   ];
                   const completedSteps = jobComplete.filter(Boolean).length;
                   const isFullyComplete = completedSteps === 6;
+                  const exportBlocked = architectureStatus(architectureIssues[job.boreId || MAIN_BORE.id] || []).errors > 0;
 
                   return (
                     <tr key={job.id} className="hover:bg-gray-50 transition-colors">
+                      <td className="pl-4 py-4"><input type="checkbox" disabled={exportBlocked} checked={!exportBlocked && selectedRunIds.includes(job.id)} onChange={() => toggleRunSelection(job.id)} title={exportBlocked ? 'Arkitekturen har feil – kan ikke eksporteres' : 'Velg for eksport'} /></td>
                       <td className="px-6 py-4">{job.general?.goal}</td>
-                      <td className="px-6 py-4">{job.general?.targetDepth} m</td>
+                      <td className="px-6 py-4">{job.general?.targetDepth} m{(surveys.length > 1 || branches.length > 0) && <div className="text-[10px] text-gray-400">{branches.length > 0 ? `${(bores.find(b => b.id === job.boreId) || MAIN_BORE).name} • ` : ''}{(surveys.find(s => s.id === job.surveyId) || getBoreActiveSurvey(well, job.boreId))?.name}</div>}</td>
                       <td className="px-6 py-4">
                         <span className={`inline-flex items-center gap-1 px-2 py-1 rounded text-xs font-bold ${isFullyComplete ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-700'}`}>
                           {isFullyComplete ? <Check size={12} /> : <AlertTriangle size={12} />}
@@ -3078,7 +6653,8 @@ function WellView({ well, onBack, onNewRun, onEditRun, onCopyRun, onDeleteRun, o
                         <button onClick={(e) => { e.stopPropagation(); onTogglePortal(job.id, !(job.fieldPortalEnabled !== false)); }} className={`p-1.5 rounded ${job.fieldPortalEnabled !== false ? 'text-green-600 hover:bg-green-50' : 'text-gray-300 hover:bg-gray-100'}`} title={job.fieldPortalEnabled !== false ? 'Deaktiver Portal' : 'Aktiver Portal'}>{job.fieldPortalEnabled !== false ? <ToggleRight size={20} /> : <ToggleLeft size={20} />}</button>
                         <button onClick={(e) => { e.stopPropagation(); onEditRun(job); }} className="p-1.5 hover:bg-blue-50 text-gray-400 hover:text-blue-600 rounded" title="Rediger"><Edit2 size={16} /></button>
                         <button onClick={(e) => { e.stopPropagation(); onCopyRun(job); }} className="p-1.5 hover:bg-gray-100 text-gray-400 hover:text-gray-700 rounded" title="Kopier"><Copy size={16} /></button>
-                        <button onClick={(e) => { e.stopPropagation(); exportToComtrac(well, job); }} className="p-1.5 hover:bg-green-50 text-gray-400 hover:text-green-600 rounded" title="Last ned XML"><Download size={16} /></button>
+                        <button onClick={(e) => { e.stopPropagation(); exportJobWorkbook(well, job).catch(err => { console.error("Error exporting workbook:", err); alert("Kunne ikke lage Excel-filen."); }); }} className="p-1.5 hover:bg-green-50 text-gray-400 hover:text-green-600 rounded" title="Last ned Excel-arbeidsbok"><FileSpreadsheet size={16} /></button>
+                        <button onClick={(e) => { e.stopPropagation(); setExportRuns([job]); }} disabled={exportBlocked} className={`p-1.5 rounded ${exportBlocked ? 'text-gray-200 cursor-not-allowed' : 'hover:bg-green-50 text-gray-400 hover:text-green-600'}`} title={exportBlocked ? 'Arkitekturen har feil – rett dem før eksport' : 'Last ned XML'}><Download size={16} /></button>
                         <button onClick={(e) => { e.stopPropagation(); onDeleteRun(job.id); }} className="p-1.5 hover:bg-red-50 text-gray-400 hover:text-red-600 rounded" title="Slett"><Trash2 size={16} /></button>
                       </td>
                     </tr>
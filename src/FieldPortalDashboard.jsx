@@ -1,6 +1,7 @@
 import React, { useState, useMemo } from 'react';
 import { ArrowLeft, Activity, Database, Settings, AlertTriangle, ToggleLeft, ToggleRight } from 'lucide-react';
 import { ResponsiveContainer, ComposedChart, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Line, ReferenceDot } from 'recharts';
+import { pickupSimulatedWeight } from './pickupWeights';
 
 function FieldPortalDashboard({ well, run, onBack, onTogglePortal }) {
     const [portalEnabled, setPortalEnabled] = useState(run.fieldPortalEnabled !== false);
@@ -192,9 +193,8 @@ function FieldPortalDashboard({ well, run, onBack, onTogglePortal }) {
                                 </thead>
                                 <tbody className="bg-white">
                                     {pickupWeights.map((pw, i) => {
-                                        const simData = chartData.find(d => Math.abs(d.md - pw.md) < 50) || {};
-                                        const simValue = pw.type === 'RIH' ? (simData.rih_standard_1 || simData.rih_standard_2 || simData.rih_tractor) : simData.pooh;
-                                        const deviation = simValue !== null && simValue !== undefined ? pw.weight - simValue : null;
+                                        const simValue = pickupSimulatedWeight(chartData, pw);
+                                        const deviation = simValue !== null ? pw.weight - simValue : null;
 
                                         return (
                                             <tr key={i} className="border-b last:border-0">
@@ -0,0 +1,13 @@
+// --- HELPER: PICKUP WEIGHTS ---
+// Shared by App.jsx (field portal, Excel workbook) and FieldPortalDashboard, so every view shows the same deviation.
+
+// Simulated weight (kg) for a field pickup reading: the simulation point nearest its MD (within 50 m), RIH from
+// whichever RIH curve covers that depth. A simulated weight of 0 is a value, not a gap.
+export const pickupSimulatedWeight = (chartData, pw) => {
+  const sim = (chartData || []).reduce((best, d) => {
+    const distance = Math.abs(d.md - pw.md);
+    return distance < 50 && (!best || distance < Math.abs(best.md - pw.md)) ? d : best;
+  }, null) || {};
+  const value = (pw.type || 'RIH') === 'RIH' ? (sim.rih_standard_1 ?? sim.rih_standard_2 ?? sim.rih_tractor) : sim.pooh;
+  return value ?? null;
+};